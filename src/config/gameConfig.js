@@ -1,25 +1,78 @@
+// Floating damage number colors: the default palette for ui.damageText below,
+// and what damageResolver and the renderer fall back to when a config has none.
+//   hitColor     plain hits (and the renderer's fallback for any text)
+//   typeColors   plain hits by damage type; types not listed use hitColor
+//   weakColor    hits on a weakness (>1x), shown larger with a "!"
+//   resistColor  resisted hits (<1x), shown smaller
+//   immuneColor  "IMMUNE" (0x);  shieldColor  damage a shield soaked up
+export const DEFAULT_DAMAGE_TEXT = {
+    hitColor: "#fca5a5",
+    typeColors: {
+        fire: "#fb7185",
+        cold: "#93c5fd",
+        electric: "#fde047",
+        poison: "#a3e635",
+    },
+    weakColor: "#fb923c",
+    resistColor: "#94a3b8",
+    immuneColor: "#64748b",
+    shieldColor: "#7dd3fc",
+};
+
 export const GAME_CONFIG = {
     gridCellSize: 40,
     startingMoney: 2000,
     startingLives: 20,
     maximumWaveNumber: 100,
+    // Scripted waves (JSON, relative to index.html); later waves fall back to WavePlanFactory
+    waveScriptUrl: "./src/config/waves.json",
+    // Selling refunds this share of build + upgrade spend...
     towerRefundRate: 0.6,
-    projectileLerpSpeedPerSecond: 6,
+    // ...or all of it for towers placed since the last wave started, within this much game time
+    sellFullRefundGraceSeconds: 10,
+    // Default projectile flight; towers can override with the same keys
+    // (plus projectileAccelerationPixelsPerSecondSquared). See systems/projectileGuidance.js
+    projectileSpeedPixelsPerSecond: 600,
+    projectileMaxLifetimeSeconds: 4,
+    // Systems always advance in fixed steps, independent of the display's frame rate.
+    // randomSeed: null picks a new seed per page load; add ?seed=<value> to the URL to replay one.
+    simulation: {
+        fixedStepSeconds: 1 / 60,
+        maxStepsPerFrame: 8,
+        randomSeed: null,
+    },
     showRangeOnHover: true,
+    // Targeting mode for towers whose type doesn't declare defaultTargetingMode
+    defaultTargetingMode: "first",
     map: {
-        pathCells: [
-            { x: 0, y: 5 },
-            { x: 4, y: 5 },
-            { x: 4, y: 2 },
-            { x: 9, y: 2 },
-            { x: 9, y: 8 },
-            { x: 13, y: 8 },
-            { x: 13, y: 3 },
-            { x: 20, y: 3 },
-            { x: 22, y: 3 },
-        ],
+        // Named paths (grid cells, entrance -> exit). Paths that share cells form forks/merges.
+        // Wave entries may pick one via `pathName`; otherwise enemies alternate between paths.
+        paths: {
+            main: [
+                { x: 0, y: 5 },
+                { x: 4, y: 5 },
+                { x: 4, y: 2 },
+                { x: 9, y: 2 },
+                { x: 9, y: 8 },
+                { x: 13, y: 8 },
+                { x: 13, y: 3 },
+                { x: 20, y: 3 },
+                { x: 22, y: 3 },
+            ],
+            // Second entrance from the bottom edge that merges into "main" at (9, 8)
+            south: [
+                { x: 9, y: 14 },
+                { x: 9, y: 8 },
+                { x: 13, y: 8 },
+                { x: 13, y: 3 },
+                { x: 20, y: 3 },
+                { x: 22, y: 3 },
+            ],
+        },
+        defaultPathName: "main",
         pathThicknessMultiplier: 0.6,
     },
+    // Towers hit both ground and air enemies unless they set canTargetAir / canTargetGround to false.
     towersByTypeKey: {
         basic: {
             displayName: "Basic",
@@ -38,9 +91,12 @@ export const GAME_CONFIG = {
             attacksPerSecond: 1.6,
             damagePerShot: 28,
             baseRadiusPixels: 5,
+            defaultTargetingMode: "strongest",
+            projectileSpeedPixelsPerSecond: 1400,
         },
         splash: {
             displayName: "Splash",
+            canTargetAir: false,
             uiColor: "#f87171",
             buildCost: 80,
             attackRangePixels: 120,
@@ -48,6 +104,7 @@ export const GAME_CONFIG = {
             damagePerShot: 12,
             baseRadiusPixels: 14,
             splash: { radiusPixels: 40 },
+            projectileTrajectory: "arc",
             projectileEffects: {
                 cluster: {
                     enabled: true,
@@ -71,16 +128,46 @@ export const GAME_CONFIG = {
             damagePerShot: 25,
             baseRadiusPixels: 14,
             splash: { radiusPixels: 80 },
+            // Missiles chase their target on a curved path instead of bursting where it stood
+            projectileMode: "homing",
+            homingCurvature: 0.35,
+            // Slow off the rail, then accelerating
+            projectileSpeedPixelsPerSecond: 160,
+            projectileAccelerationPixelsPerSecondSquared: 700,
+            upgrades: {
+                payload: {
+                    displayName: "Heavy Payload",
+                    levels: [
+                        { cost: 110, ops: [{ op: "multiply", path: "splash.radiusPixels", value: 1.25 }] },
+                        { cost: 200, ops: [{ op: "add", path: "splash.radiusPixels", value: 20 }, { op: "add", path: "damagePerShot", value: 10 }] }
+                    ]
+                },
+                incendiary: {
+                    displayName: "Incendiary Warhead",
+                    levels: [
+                        {
+                            cost: 180,
+                            ops: [
+                                { op: "set", path: "damageType", value: "fire" },
+                                { op: "merge", path: "projectileEffects.burn", value: { enabled: true, damagePerSecond: 8, durationMs: 2500, maxStacks: 2 } }
+                            ]
+                        }
+                    ]
+                }
+            }
         },
         // inside export const GAME_CONFIG = { ... towersByTypeKey: { ... } }
         nuke: {
             displayName: "Nuke",
+            canTargetAir: false,
             buildCost: 300,
             uiColor: "#ffaa00",
             damagePerShot: 400,
             attacksPerSecond: 0.15,          // very slow
             attackRangePixels: 220,          // long range
             splash: { radiusPixels: 120 },   // big boom
+            projectileSpeedPixelsPerSecond: 320, // heavy shell
+            projectileTrajectory: "arc",
             sizeCells: 2,                     // << NEW: occupies 2x2 cells
             visualScale: 4,   // draw it bigger than normal
             projectileEffects: {
@@ -97,6 +184,7 @@ export const GAME_CONFIG = {
             damagePerShot: 22,
             baseRadiusPixels: 10,
             damageType: "electric",
+            defaultTargetingMode: "first",
             projectileEffects: {
                 trail: { enabled: true, color: "#93c5fd", lifeMs: 250, countPerSecond: 36, sizeMin: 1, sizeMax: 3 },
                 chain: {
@@ -111,10 +199,71 @@ export const GAME_CONFIG = {
                     coreColor: "#e0f2fe",
                     glowColor: "#93c5fd"
                 }
+            },
+            upgrades: {
+                relay: {
+                    displayName: "Arc Relay",
+                    levels: [
+                        { cost: 160, ops: [{ op: "add", path: "projectileEffects.chain.maxJumps", value: 1 }] },
+                        {
+                            cost: 260,
+                            ops: [
+                                { op: "add", path: "projectileEffects.chain.maxJumps", value: 1 },
+                                { op: "add", path: "projectileEffects.chain.jumpRadius", value: 30 }
+                            ]
+                        }
+                    ]
+                }
+            }
+        },
+        frost: {
+            displayName: "Frost",
+            uiColor: "#7dd3fc",
+            buildCost: 90,
+            attackRangePixels: 130,
+            attacksPerSecond: 1.0,
+            damagePerShot: 6,
+            baseRadiusPixels: 10,
+            damageType: "cold",
+            aoe: { radiusPixels: 50 },
+            projectileEffects: {
+                // speedMultiplier: 0.55 => enemies move at 55% speed while chilled
+                slow: { enabled: true, speedMultiplier: 0.55, durationMs: 1600 },
+                stun: { enabled: true, chance: 0.08, durationMs: 500 }
+            }
+        },
+        venom: {
+            displayName: "Venom",
+            canTargetAir: false,
+            uiColor: "#a3e635",
+            buildCost: 100,
+            attackRangePixels: 150,
+            attacksPerSecond: 0.9,
+            damagePerShot: 4,
+            baseRadiusPixels: 9,
+            damageType: "poison",
+            projectileEffects: {
+                // Each hit adds a stack; stacks tick independently
+                poison: { enabled: true, damagePerSecond: 8, durationMs: 4000, maxStacks: 5 }
+            }
+        },
+        ember: {
+            displayName: "Ember",
+            canTargetAir: false,
+            uiColor: "#fb923c",
+            buildCost: 85,
+            attackRangePixels: 100,
+            attacksPerSecond: 1.8,
+            damagePerShot: 5,
+            baseRadiusPixels: 10,
+            damageType: "fire",
+            projectileEffects: {
+                burn: { enabled: true, damagePerSecond: 10, durationMs: 2000, maxStacks: 3 }
             }
         },
         aftershock: {
             displayName: "Aftershock",
+            canTargetAir: false,
             uiColor: "#f59e0b",
             buildCost: 150,
             attackRangePixels: 160,
@@ -130,6 +279,11 @@ export const GAME_CONFIG = {
                 explosion: { enabled: true, flashAlpha: 0.07, flashTtl: 100 }
             },
 
+            // Damage and range can't both reach Lv 3
+            upgradeTierCaps: [{ aboveLevel: 2, maxCategories: 1 }],
+
+            // Seismic Charge Lv 2 opens two branches; picking one locks the other
+            // (requires / excludes: see towerUpgradeSystem.js)
             upgrades: {
                 damage: {
                     displayName: "Seismic Charge",
@@ -143,7 +297,8 @@ export const GAME_CONFIG = {
                     displayName: "Epicenter Expansion",
                     levels: [
                         { cost: 120, multiplier: { attackRangePixels: 1.2 } },
-                        { cost: 220, multiplier: { attackRangePixels: 1.5 } }
+                        { cost: 220, multiplier: { attackRangePixels: 1.5 } },
+                        { cost: 380, multiplier: { attackRangePixels: 1.2 } }
                     ]
                 },
                 shockwave: {
@@ -151,6 +306,8 @@ export const GAME_CONFIG = {
                     levels: [
                         {
                             cost: 300,
+                            requires: { damage: 2 },
+                            excludes: ["tremor"],
                             // Unlock AFTERSHOCK + RIPPLE together.
                             // Deep-merge in TowerUpgradeSystem.applyUpgrade keeps existing effects.
                             unlocksEffect: {
@@ -178,11 +335,52 @@ export const GAME_CONFIG = {
                             }
                         }
                     ]
+                },
+                tremor: {
+                    displayName: "Rolling Tremors",
+                    levels: [
+                        { cost: 250, requires: { damage: 2 }, excludes: ["shockwave"], multiplier: { attacksPerSecond: 1.4 } },
+                        { cost: 400, multiplier: { attacksPerSecond: 1.3 } }
+                    ]
+                }
+            }
+        },
+        // Lobs shells over everything; can't hit anything closer than minimumRangePixels
+        mortar: {
+            displayName: "Mortar",
+            canTargetAir: false,
+            uiColor: "#a8a29e",
+            buildCost: 110,
+            attackRangePixels: 280,
+            minimumRangePixels: 90,
+            attacksPerSecond: 0.45,
+            damagePerShot: 34,
+            baseRadiusPixels: 12,
+            splash: { radiusPixels: 55 },
+            projectileTrajectory: "arc",
+            arcHeightRatio: 0.45,
+            // Slow shells, so lead the target
+            projectileMode: "predictive",
+            projectileSpeedPixelsPerSecond: 260,
+            projectileEffects: {
+                explosion: { enabled: true, flashAlpha: 0.05, flashTtl: 80 }
+            },
+            upgrades: {
+                barrage: {
+                    displayName: "Barrage",
+                    levels: [
+                        { cost: 120, multiplier: { attacksPerSecond: 1.3 } },
+                        { cost: 240, multiplier: { attacksPerSecond: 1.3 } }
+                    ]
+                },
+                shortFuse: {
+                    displayName: "Short Fuse",
+                    levels: [
+                        { cost: 150, ops: [{ op: "multiply", path: "minimumRangePixels", value: 0.5 }] }
+                    ]
                 }
             }
         }
-
-
     },
     ui: {
         bossBar: {
@@ -199,21 +397,53 @@ export const GAME_CONFIG = {
             hitShakeXPixels: 4,
             hitShakeYPixels: 4,
         },
+        // Floating damage number colors (see DEFAULT_DAMAGE_TEXT)
+        damageText: structuredClone(DEFAULT_DAMAGE_TEXT),
     },
     damageTypes: ["physical", "fire", "cold", "electric", "poison"]
 };
 
 // Factories kept as plain functions so we never need to deep-clone config with functions.
+// WavePlanFactory is the procedural generator used when the wave script (waves.json) runs out.
 export const WavePlanFactory = {
     makeWaveEntries(waveNumber) {
         if (waveNumber % 10 === 0) {
             return [{ enemyTypeKey: "boss", count: 1, spawnIntervalSeconds: 2.0 }];
         }
         const count = Math.min(12 + waveNumber * 2, 40);
-        return [{ enemyTypeKey: "grunt", count, spawnIntervalSeconds: 0.6 }];
+        const entries = [{ enemyTypeKey: "grunt", count, spawnIntervalSeconds: 0.6 }];
+
+        // Mix in archetypes as the run goes on so tower composition matters
+        if (waveNumber >= 12) {
+            entries.push({ enemyTypeKey: "runner", count: Math.min(4 + Math.floor(waveNumber / 3), 16), spawnIntervalSeconds: 0.4, startDelaySeconds: 3 });
+        }
+        if (waveNumber >= 14 && waveNumber % 2 === 0) {
+            entries.push({ enemyTypeKey: "tank", count: Math.min(2 + Math.floor(waveNumber / 10), 8), spawnIntervalSeconds: 1.5, startDelaySeconds: 2 });
+        }
+        if (waveNumber >= 16 && waveNumber % 3 === 0) {
+            entries.push({ enemyTypeKey: "healer", count: 2 + Math.floor(waveNumber / 20), spawnIntervalSeconds: 2.0, startDelaySeconds: 4 });
+        }
+        if (waveNumber >= 18 && waveNumber % 4 === 0) {
+            entries.push({ enemyTypeKey: "splitter", count: 3 + Math.floor(waveNumber / 15), spawnIntervalSeconds: 1.2, startDelaySeconds: 5 });
+        }
+        if (waveNumber >= 11 && waveNumber % 3 === 2) {
+            entries.push({ enemyTypeKey: "flyer", count: Math.min(4 + Math.floor(waveNumber / 4), 14), spawnIntervalSeconds: 0.8, startDelaySeconds: 4 });
+        }
+        if (waveNumber >= 20 && waveNumber % 5 === 0) {
+            entries.push({ enemyTypeKey: "shielded", count: 3 + Math.floor(waveNumber / 15), spawnIntervalSeconds: 1.0, startDelaySeconds: 6 });
+        }
+        return entries;
     },
 };
 
+// Enemy archetype registry: enemyTypeKey -> (waveNumber) => stat block.
+// Behavior fields on a stat block (all optional):
+//   archetype            - render variant ("grunt" | "runner" | "tank" | "healer" | "splitter" | "shielded" | "flyer" | "boss")
+//   isFlying             - follows the path's air lane; only towers with canTargetAir can hit it
+//   armorFlat            - flat damage subtracted from every hit (min 1 damage per hit)
+//   shieldPoints         - separate shield pool absorbed before HP; regenerates via shieldRegen*
+//   healing              - { radiusPixels, hitPointsPerSecond, pulseIntervalMs } heals nearby allies
+//   splitOnDeath         - { count, childStatBlock } spawns children where it dies
 export const EnemyStatFactories = {
     grunt(waveNumber) {
         return {
@@ -223,6 +453,103 @@ export const EnemyStatFactories = {
             rewardMoney: 8,
             fillColor: "#e11d48",
             isBoss: false,
+            archetype: "grunt",
+            // Soft-bodied: burns easily, shrugs off some cold
+            damageTypeMultipliers: { fire: 1.25, cold: 0.8 },
+        };
+    },
+    runner(waveNumber) {
+        return {
+            name: "Runner",
+            hitPoints: 18 + Math.floor(waveNumber * 3),
+            movementSpeedCellsPerSecond: 2.2 + waveNumber * 0.05,
+            drawRadiusPixels: 9,
+            rewardMoney: 6,
+            fillColor: "#facc15",
+            archetype: "runner",
+            // Too quick to chill for long, easy to zap
+            damageTypeMultipliers: { cold: 0.7, electric: 1.25 },
+        };
+    },
+    tank(waveNumber) {
+        return {
+            name: "Tank",
+            hitPoints: 140 + Math.floor(waveNumber * 22),
+            movementSpeedCellsPerSecond: 0.6 + waveNumber * 0.02,
+            drawRadiusPixels: 15,
+            rewardMoney: 20,
+            fillColor: "#64748b",
+            archetype: "tank",
+            armorFlat: 6 + Math.floor(waveNumber / 5),
+            // Plating shrugs off physical, corrodes under poison
+            damageTypeMultipliers: { physical: 0.8, poison: 1.3 },
+        };
+    },
+    healer(waveNumber) {
+        return {
+            name: "Healer",
+            hitPoints: 60 + Math.floor(waveNumber * 8),
+            movementSpeedCellsPerSecond: 0.9 + waveNumber * 0.03,
+            drawRadiusPixels: 12,
+            rewardMoney: 18,
+            fillColor: "#34d399",
+            archetype: "healer",
+            healing: { radiusPixels: 80, hitPointsPerSecond: 6 + waveNumber * 0.8, pulseIntervalMs: 1000 },
+            damageTypeMultipliers: { fire: 1.2 },
+        };
+    },
+    splitter(waveNumber) {
+        return {
+            name: "Splitter",
+            hitPoints: 70 + Math.floor(waveNumber * 10),
+            movementSpeedCellsPerSecond: 0.9 + waveNumber * 0.03,
+            drawRadiusPixels: 14,
+            rewardMoney: 10,
+            fillColor: "#c084fc",
+            archetype: "splitter",
+            splitOnDeath: { count: 3, childStatBlock: EnemyStatFactories.splitling(waveNumber) },
+        };
+    },
+    // Child of "splitter"; usable on its own in wave scripts too.
+    splitling(waveNumber) {
+        return {
+            name: "Splitling",
+            hitPoints: 14 + Math.floor(waveNumber * 3),
+            movementSpeedCellsPerSecond: 1.5 + waveNumber * 0.04,
+            drawRadiusPixels: 7,
+            rewardMoney: 3,
+            fillColor: "#d8b4fe",
+            archetype: "splitling",
+        };
+    },
+    shielded(waveNumber) {
+        return {
+            name: "Shielded",
+            hitPoints: 50 + Math.floor(waveNumber * 7),
+            movementSpeedCellsPerSecond: 1.0 + waveNumber * 0.03,
+            drawRadiusPixels: 12,
+            rewardMoney: 16,
+            fillColor: "#0ea5e9",
+            archetype: "shielded",
+            shieldPoints: 40 + Math.floor(waveNumber * 6),
+            shieldRegenPerSecond: 8 + waveNumber * 0.5,
+            shieldRegenDelayMs: 2000,
+            // Electric arcs straight through the barrier's weak spots
+            damageTypeMultipliers: { electric: 1.3 },
+        };
+    },
+    flyer(waveNumber) {
+        return {
+            name: "Flyer",
+            hitPoints: 35 + Math.floor(waveNumber * 5),
+            movementSpeedCellsPerSecond: 1.3 + waveNumber * 0.03,
+            drawRadiusPixels: 10,
+            rewardMoney: 10,
+            fillColor: "#f472b6",
+            archetype: "flyer",
+            // Skips the path along its air lane; only anti-air towers can touch it
+            isFlying: true,
+            damageTypeMultipliers: { electric: 1.2, physical: 1.1 },
         };
     },
     boss(waveNumber) {
@@ -245,6 +572,9 @@ export const EnemyStatFactories = {
             rewardMoney: scaledReward,
             fillColor: "#8b5cf6",
             isBoss: true,
+            archetype: "boss",
+            // Armored hide: resists physical hits, vulnerable to electric and poison
+            damageTypeMultipliers: { physical: 0.75, electric: 1.25, poison: 1.2 },
         };
     },
 };
\ No newline at end of file
@@ -0,0 +1,219 @@
+// ===========================================
+// File: src/config/towerDefinition.js
+// ===========================================
+/*
+ Authoring helpers for tower definitions (the objects in
+ GAME_CONFIG.towersByTypeKey): the editable projectile-effect fields the admin
+ Tower Creator builds its form from, validation, and JSON import/export.
+
+ Field keys may be dotted ("ripple.endRadius") for nested settings. Optional
+ fields left at 0 are omitted so the effect's own default applies
+ (e.g. an explosion without radiusPixelsOverride uses the tower's AoE radius).
+*/
+
+import { applyOperation, getPathValue } from "../systems/upgradeOperations.js";
+import { validateUpgradeConfig } from "../systems/towerUpgradeSystem.js";
+import { ProjectileBehaviorRegistry } from "../systems/projectileBehaviors.js";
+import { findUnknownEffectKeys } from "../systems/effects/effectsRegistry.js";
+import { PROJECTILE_MODES, PROJECTILE_TRAJECTORIES } from "../systems/projectileGuidance.js";
+
+const number = (key, label, defaultValue, min, max, step, extra = {}) =>
+    ({ key, label, type: "number", defaultValue, min, max, step, ...extra });
+const color = (key, label, defaultValue) => ({ key, label, type: "color", defaultValue });
+const checkbox = (key, label, defaultValue) => ({ key, label, type: "checkbox", defaultValue });
+
+// Defaults match the fallbacks in systems/effects/effectsRegistry.js
+export const PROJECTILE_EFFECT_FIELDS = {
+    trail: [
+        color("color", "Color", "#ffaa00"),
+        number("lifeMs", "Life (ms)", 400, 20, 5000, 10),
+        number("countPerSecond", "Particles / Sec", 24, 1, 400, 1),
+        number("sizeMin", "Size Min", 2, 0.5, 40, 0.5),
+        number("sizeMax", "Size Max", 5, 0.5, 40, 0.5),
+        number("jitter", "Jitter (px)", 4, 0, 60, 1),
+    ],
+    chain: [
+        number("maxJumps", "Max Jumps", 3, 1, 20, 1),
+        number("jumpRadius", "Jump Radius (px)", 120, 1, 1000, 1),
+        number("damageFalloff", "Damage Falloff", 0.6, 0, 1, 0.05),
+        checkbox("preferUntargeted", "Prefer Untargeted", false),
+        number("boltTtlMs", "Bolt Life (ms)", 140, 60, 2000, 10),
+        number("boltSegments", "Bolt Segments", 12, 6, 60, 1),
+        number("boltAmplitude", "Bolt Amplitude", 8, 2, 60, 1),
+        number("coreWidth", "Core Width", 2, 1, 12, 1),
+        color("coreColor", "Core Color", "#e0f2fe"),
+        color("glowColor", "Glow Color", "#93c5fd"),
+    ],
+    cluster: [
+        number("count", "Bomblets", 6, 1, 40, 1),
+        number("spread", "Spread (deg)", 360, 1, 360, 1),
+        number("childDistance", "Distance (px)", 40, 0, 400, 1),
+        number("childDistanceJitter", "Distance Jitter (px)", 20, 0, 400, 1),
+        number("childSpeedScale", "Speed Scale", 1, 0.1, 5, 0.05),
+        number("childDamageScale", "Damage Scale", 0.35, 0, 5, 0.05),
+        number("childAoe.radiusPixels", "Bomblet AoE (px)", 40, 0, 400, 1),
+    ],
+    explosion: [
+        number("radiusPixelsOverride", "Radius (px) (0 = AoE)", 0, 0, 600, 1, { optional: true }),
+        number("flashAlpha", "Flash Alpha", 0.16, 0, 1, 0.01),
+        number("flashTtl", "Flash (ms)", 120, 0, 2000, 10),
+    ],
+    knockback: [
+        number("maxPx", "Max Push (px) (0 = auto)", 0, 0, 400, 1, { optional: true }),
+    ],
+    aftershock: [
+        number("delayMs", "Delay (ms)", 600, 0, 10000, 10),
+        number("radiusPixelsOverride", "Radius (px) (0 = AoE)", 0, 0, 600, 1, { optional: true }),
+        number("damageMultiplier", "Damage Mult", 0.5, 0, 10, 0.05),
+        number("flashAlpha", "Flash Alpha", 0.08, 0, 1, 0.01),
+        number("flashTtl", "Flash (ms)", 90, 0, 2000, 10),
+        checkbox("ripple.enabled", "Ripple", true),
+        number("ripple.startRadius", "Ripple Start (px) (0 = auto)", 0, 0, 600, 1, { optional: true }),
+        number("ripple.endRadius", "Ripple End (px) (0 = auto)", 0, 0, 1200, 1, { optional: true }),
+        number("ripple.durationMs", "Ripple (ms)", 520, 120, 5000, 10),
+        number("ripple.coreWidth", "Ripple Core Width", 3, 1, 20, 1),
+        number("ripple.glowWidth", "Ripple Glow Width", 9, 2, 40, 1),
+        color("ripple.coreColor", "Ripple Core", "#fde68a"),
+        color("ripple.glowColor", "Ripple Glow", "#fbbf24"),
+        number("ripple.alpha", "Ripple Alpha", 0.6, 0, 1, 0.05),
+    ],
+    slow: [
+        number("speedMultiplier", "Speed Mult", 0.55, 0, 1, 0.05),
+        number("durationMs", "Duration (ms)", 1600, 0, 20000, 50),
+        number("chance", "Chance", 1, 0, 1, 0.01),
+    ],
+    burn: [
+        number("damagePerSecond", "Damage / Sec", 10, 0, 10000, 1),
+        number("durationMs", "Duration (ms)", 2000, 0, 20000, 50),
+        number("maxStacks", "Max Stacks", 3, 1, 50, 1),
+        number("chance", "Chance", 1, 0, 1, 0.01),
+    ],
+    poison: [
+        number("damagePerSecond", "Damage / Sec", 8, 0, 10000, 1),
+        number("durationMs", "Duration (ms)", 4000, 0, 20000, 50),
+        number("maxStacks", "Max Stacks", 5, 1, 50, 1),
+        number("chance", "Chance", 1, 0, 1, 0.01),
+    ],
+    stun: [
+        number("durationMs", "Duration (ms)", 500, 0, 10000, 50),
+        number("chance", "Chance", 0.1, 0, 1, 0.01),
+    ],
+};
+
+/**
+ * Builds one projectile effect from form values.
+ * @param {string} effectKey - a PROJECTILE_EFFECT_FIELDS key
+ * @param {(fieldKey:string) => any} readField - current value of a field
+ * @returns {object} e.g. { enabled: true, maxJumps: 4, ... }
+ */
+export function buildProjectileEffect(effectKey, readField) {
+    const effect = { enabled: true };
+    for (const field of PROJECTILE_EFFECT_FIELDS[effectKey] || []) {
+        const value = readField(field.key);
+        if (value === undefined || value === null || value === "") continue;
+        if (field.optional && !value) continue;
+        applyOperation(effect, { op: "set", path: field.key, value });
+    }
+    return effect;
+}
+
+/**
+ * Value a form field should show for an existing effect (its default when unset).
+ */
+export function readProjectileEffectField(effect, field) {
+    const value = getPathValue(effect, field.key);
+    return value === undefined ? field.defaultValue : value;
+}
+
+/**
+ * Checks a tower definition before it goes into the shop. Returns a list of problems.
+ *
+ * @param {object} definition
+ * @param {{damageTypes?:string[]}} [options]
+ * @returns {string[]}
+ */
+export function validateTowerDefinition(definition, { damageTypes = [] } = {}) {
+    if (!definition || typeof definition !== "object" || Array.isArray(definition)) {
+        return ["Tower definition must be an object."];
+    }
+
+    const problems = [];
+    const positive = ["attacksPerSecond", "attackRangePixels"];
+    const nonNegative = ["buildCost", "damagePerShot"];
+    for (const key of positive) {
+        if (!(Number(definition[key]) > 0)) problems.push(`${key} must be > 0.`);
+    }
+    for (const key of nonNegative) {
+        if (!(Number(definition[key]) >= 0)) problems.push(`${key} must be >= 0.`);
+    }
+    if (definition.sizeCells !== undefined && !(Number.isInteger(definition.sizeCells) && definition.sizeCells >= 1)) {
+        problems.push("sizeCells must be a whole number >= 1.");
+    }
+    if (definition.damageType && damageTypes.length && !damageTypes.includes(definition.damageType)) {
+        problems.push(`Unknown damageType "${definition.damageType}".`);
+    }
+    if (definition.projectileBehavior && !ProjectileBehaviorRegistry.has(definition.projectileBehavior)) {
+        problems.push(`Unknown projectileBehavior "${definition.projectileBehavior}".`);
+    }
+    if (definition.projectileMode && !PROJECTILE_MODES.includes(definition.projectileMode)) {
+        problems.push(`projectileMode must be one of ${PROJECTILE_MODES.join(", ")}.`);
+    }
+    if (definition.homingCurvature !== undefined && !(Number(definition.homingCurvature) >= 0)) {
+        problems.push("homingCurvature must be >= 0.");
+    }
+    for (const key of ["projectileSpeedPixelsPerSecond", "projectileMaxLifetimeSeconds"]) {
+        if (definition[key] !== undefined && !(Number(definition[key]) > 0)) problems.push(`${key} must be > 0.`);
+    }
+    if (definition.projectileAccelerationPixelsPerSecondSquared !== undefined
+        && !Number.isFinite(definition.projectileAccelerationPixelsPerSecondSquared)) {
+        problems.push("projectileAccelerationPixelsPerSecondSquared must be a number.");
+    }
+    if (definition.projectileTrajectory && !PROJECTILE_TRAJECTORIES.includes(definition.projectileTrajectory)) {
+        problems.push(`projectileTrajectory must be one of ${PROJECTILE_TRAJECTORIES.join(", ")}.`);
+    }
+    if (definition.arcHeightRatio !== undefined && !(Number(definition.arcHeightRatio) >= 0)) {
+        problems.push("arcHeightRatio must be >= 0.");
+    }
+    if (definition.minimumRangePixels !== undefined) {
+        const minimum = Number(definition.minimumRangePixels);
+        if (!(minimum >= 0)) problems.push("minimumRangePixels must be >= 0.");
+        else if (minimum >= Number(definition.attackRangePixels)) problems.push("minimumRangePixels must be below attackRangePixels.");
+    }
+    for (const key of ["splash", "aoe"]) {
+        if (definition[key] && !(Number(definition[key].radiusPixels) > 0)) {
+            problems.push(`${key}.radiusPixels must be > 0.`);
+        }
+    }
+    for (const effectKey of findUnknownEffectKeys(definition)) {
+        problems.push(`Unknown projectile effect "${effectKey}".`);
+    }
+    return problems.concat(validateUpgradeConfig(definition));
+}
+
+/** JSON for export: `{ towerTypeKey, definition }`. */
+export function serializeTowerDefinition(towerTypeKey, definition) {
+    return JSON.stringify({ towerTypeKey, definition }, null, 2);
+}
+
+/**
+ * Parses exported JSON. A bare definition (no wrapper) is accepted too.
+ * @returns {{ok:true, towerTypeKey:string|null, definition:object}|{ok:false, reason:string}}
+ */
+export function parseTowerDefinition(text) {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        return { ok: false, reason: `Invalid JSON: ${error.message}` };
+    }
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+        return { ok: false, reason: "Expected a JSON object." };
+    }
+
+    const wrapped = parsed.definition && typeof parsed.definition === "object";
+    return {
+        ok: true,
+        towerTypeKey: wrapped && typeof parsed.towerTypeKey === "string" ? parsed.towerTypeKey : null,
+        definition: wrapped ? parsed.definition : parsed,
+    };
+}
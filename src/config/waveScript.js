@@ -0,0 +1,121 @@
+// ===========================================
+// File: src/config/waveScript.js
+// ===========================================
+/*
+ Data-driven wave scripts.
+
+ JSON format (see waves.json):
+   {
+     "waves": [
+       {
+         "bonusReward": 25,                 // optional extra $ when the wave is cleared
+         "groups": [
+           {
+             "enemyTypeKey": "grunt",       // key in EnemyStatFactories
+             "count": 10,
+             "spawnIntervalSeconds": 0.6,
+             "startDelaySeconds": 0,        // optional, offset from wave start
+             "pathName": "south"            // optional, named map path (omitted = alternate paths)
+           }
+         ]
+       }
+     ]
+   }
+
+ Wave N uses waves[N - 1]. Past the end of the script the procedural
+ fallback factory (WavePlanFactory) takes over up to maximumWaveNumber.
+*/
+
+/**
+ * Builds a wave plan factory backed by a script, with a procedural fallback.
+ * The returned object is what WaveSpawnerSystem consumes:
+ *   - makeWaveEntries(waveNumber) -> group entries
+ *   - getBonusReward(waveNumber)  -> extra $ for clearing the wave
+ *
+ * @param {{makeWaveEntries:(n:number)=>object[]}} fallbackFactory
+ * @param {object|null} [script]
+ */
+export function createScriptedWavePlan(fallbackFactory, script = null) {
+    let waves = [];
+
+    const plan = {
+        /** Replace the active script (e.g. once the JSON has loaded). */
+        setScript(nextScript) {
+            waves = Array.isArray(nextScript?.waves) ? nextScript.waves : [];
+        },
+
+        get scriptedWaveCount() {
+            return waves.length;
+        },
+
+        makeWaveEntries(waveNumber) {
+            const wave = waves[waveNumber - 1];
+            if (!wave) return fallbackFactory.makeWaveEntries(waveNumber);
+
+            return (wave.groups || []).map(group => ({
+                enemyTypeKey: group.enemyTypeKey,
+                count: Math.max(0, Math.floor(Number(group.count) || 0)),
+                spawnIntervalSeconds: Math.max(0, Number(group.spawnIntervalSeconds) || 0),
+                startDelaySeconds: Math.max(0, Number(group.startDelaySeconds) || 0),
+                pathName: group.pathName || null,
+            }));
+        },
+
+        getBonusReward(waveNumber) {
+            const wave = waves[waveNumber - 1];
+            return Math.max(0, Number(wave?.bonusReward) || 0);
+        },
+    };
+
+    plan.setScript(script);
+    return plan;
+}
+
+/**
+ * Checks a parsed script against the known enemy types / map paths.
+ * Returns a list of human-readable problems (empty when valid).
+ */
+export function validateWaveScript(script, enemyStatFactories, pathNames = []) {
+    const problems = [];
+    if (!script || !Array.isArray(script.waves)) {
+        problems.push("Wave script must be an object with a \"waves\" array.");
+        return problems;
+    }
+
+    script.waves.forEach((wave, waveIndex) => {
+        const label = `Wave ${waveIndex + 1}`;
+        if (!Array.isArray(wave?.groups) || wave.groups.length === 0) {
+            problems.push(`${label}: needs at least one group.`);
+            return;
+        }
+        wave.groups.forEach((group, groupIndex) => {
+            const where = `${label}, group ${groupIndex + 1}`;
+            if (typeof enemyStatFactories[group?.enemyTypeKey] !== "function") {
+                problems.push(`${where}: unknown enemyTypeKey "${group?.enemyTypeKey}".`);
+            }
+            if (!(Number(group?.count) > 0)) {
+                problems.push(`${where}: count must be > 0.`);
+            }
+            if (group?.pathName && pathNames.length && !pathNames.includes(group.pathName)) {
+                problems.push(`${where}: unknown pathName "${group.pathName}".`);
+            }
+        });
+    });
+
+    return problems;
+}
+
+/**
+ * Fetches and parses a wave script. Resolves to null on any failure so callers
+ * can keep using the procedural fallback.
+ */
+export async function loadWaveScript(url) {
+    try {
+        const response = await fetch(url, { cache: "no-cache" });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return await response.json();
+    } catch (err) {
+        console.warn(`Wave script "${url}" could not be loaded; using procedural waves.`, err);
+        return null;
+    }
+}
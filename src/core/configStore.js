@@ -0,0 +1,83 @@
+// ===========================================
+// File: src/core/configStore.js
+// ===========================================
+/*
+ The run's live configuration, shared by everything that reads tower
+ definitions at runtime (upgrade panel, admin tools). Edits go through the
+ store so subscribers (e.g. an open upgrade panel) can re-render.
+
+ Tower definitions are replaced, never edited in place: createGameConfiguration
+ copies towersByTypeKey shallowly, so the definition objects are still the
+ GAME_CONFIG ones.
+*/
+
+import { validateUpgradeConfig } from "../systems/towerUpgradeSystem.js";
+
+/**
+ * @param {object} configuration - see createGameConfiguration
+ */
+export function createConfigStore(configuration) {
+    const listeners = new Set();
+
+    function notify(change) {
+        for (const listener of listeners) {
+            try {
+                listener(change, configuration);
+            } catch (error) {
+                console.warn("Config listener failed:", error);
+            }
+        }
+    }
+
+    return {
+        get configuration() {
+            return configuration;
+        },
+
+        getTowerDefinition(towerTypeKey) {
+            return configuration.towersByTypeKey[towerTypeKey] ?? null;
+        },
+
+        /** Adds or replaces a tower type. */
+        setTowerDefinition(towerTypeKey, definition) {
+            configuration.towersByTypeKey[towerTypeKey] = definition;
+            notify({ kind: "tower", towerTypeKey });
+        },
+
+        /**
+         * Replaces a tower type's upgrade tree (and tier caps) after validating it.
+         * @returns {{ok:true}|{ok:false, reason:string, problems:string[]}}
+         */
+        setTowerUpgrades(towerTypeKey, upgrades, upgradeTierCaps = undefined) {
+            const current = configuration.towersByTypeKey[towerTypeKey];
+            if (!current) {
+                return { ok: false, reason: `Unknown tower type "${towerTypeKey}".`, problems: [] };
+            }
+
+            const next = { ...current, upgrades };
+            if (upgradeTierCaps !== undefined) next.upgradeTierCaps = upgradeTierCaps;
+            const problems = validateUpgradeConfig(next);
+            if (problems.length) {
+                return { ok: false, reason: `${problems.length} problem(s) in the upgrade tree.`, problems };
+            }
+
+            configuration.towersByTypeKey[towerTypeKey] = next;
+            notify({ kind: "tower", towerTypeKey });
+            return { ok: true };
+        },
+
+        /** For edits made directly on `configuration` (e.g. global tuning fields). */
+        notifyChanged(change = { kind: "config" }) {
+            notify(change);
+        },
+
+        /**
+         * @param {(change:{kind:string, towerTypeKey?:string}, configuration:object) => void} listener
+         * @returns {() => void} unsubscribe
+         */
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+    };
+}
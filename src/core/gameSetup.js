@@ -0,0 +1,157 @@
+// ===========================================
+// File: src/core/gameSetup.js
+// ===========================================
+/*
+ DOM-free construction of the run: configuration copy, gameState and entity
+ factories. main.js adds the canvas, renderer and UI on top; the headless
+ simulation (headlessSimulation.js) uses these as-is.
+*/
+
+import { GAME_CONFIG } from "../config/gameConfig.js";
+import { TowerEntity } from "../entities/tower.js";
+import { EnemyEntity } from "../entities/enemy.js";
+import { createRandom } from "./random.js";
+import { findUnknownEffectKeys } from "../systems/effects/effectsRegistry.js";
+
+/**
+ * Shallow copy of the game config; functions (factories) remain referenced.
+ * Warns about projectileEffects keys no registered effect handles (they would do nothing).
+ */
+export function createGameConfiguration(baseConfig = GAME_CONFIG) {
+    const configuration = {
+        ...baseConfig,
+        map: { ...baseConfig.map },
+        towersByTypeKey: { ...baseConfig.towersByTypeKey },
+    };
+    for (const [towerTypeKey, towerCfg] of Object.entries(configuration.towersByTypeKey)) {
+        for (const effectKey of findUnknownEffectKeys(towerCfg)) {
+            console.warn(`Tower "${towerTypeKey}": unknown projectile effect "${effectKey}" is ignored.`);
+        }
+    }
+    return configuration;
+}
+
+// Centers a multi-cell footprint on its geometric middle.
+// gridX, gridY are the TOP-LEFT cell of the footprint.
+export function footprintCenterPixels(gridX, gridY, sizeCells, cellSize) {
+    const half = sizeCells * cellSize / 2;
+    return {
+        x: gridX * cellSize + half,
+        y: gridY * cellSize + half,
+    };
+}
+
+export function isAreaOnPath(gridMap, topLeftX, topLeftY, sizeCells) {
+    for (let gx = topLeftX; gx < topLeftX + sizeCells; gx += 1) {
+        for (let gy = topLeftY; gy < topLeftY + sizeCells; gy += 1) {
+            if (gridMap.isGridCellOnPath(gx, gy)) return true;
+        }
+    }
+    return false;
+}
+
+export function doesAreaOverlapAnyTower(gameState, topLeftX, topLeftY, sizeCells) {
+    return gameState.towers.some(t => {
+        const s = Math.max(1, Math.floor(Number(t.sizeCells ?? 1)));
+        const ax1 = topLeftX, ay1 = topLeftY;
+        const ax2 = topLeftX + sizeCells, ay2 = topLeftY + sizeCells;
+        const bx1 = t.gridX, by1 = t.gridY;
+        const bx2 = t.gridX + s, by2 = t.gridY + s;
+        // AABB overlap in grid coords
+        return ax1 < bx2 && ax2 > bx1 && ay1 < by2 && ay2 > by1;
+    });
+}
+
+/**
+ * Checks whether a tower's footprint (top-left at gridX, gridY) fits on the grid,
+ * off every path and clear of other towers. Does not look at money.
+ * @returns {{ok:true}|{ok:false, reason:string}}
+ */
+export function checkTowerPlacement(gameState, towerTypeKey, gridX, gridY) {
+    const def = gameState.configuration.towersByTypeKey[towerTypeKey];
+    if (!def) return { ok: false, reason: `Unknown tower type "${towerTypeKey}".` };
+
+    const sizeCells = Math.max(1, Math.floor(Number(def.sizeCells ?? 1)));
+    if (gridX < 0 || gridY < 0 ||
+        gridX + sizeCells > gameState.gridMap.gridColumnCount ||
+        gridY + sizeCells > gameState.gridMap.gridRowCount) {
+        return { ok: false, reason: "Out of bounds." };
+    }
+    if (isAreaOnPath(gameState.gridMap, gridX, gridY, sizeCells)) {
+        return { ok: false, reason: "Blocked by the path." };
+    }
+    if (doesAreaOverlapAnyTower(gameState, gridX, gridY, sizeCells)) {
+        return { ok: false, reason: "Overlaps another tower." };
+    }
+    return { ok: true };
+}
+
+/**
+ * Builds an empty gameState. The caller assigns gridMap before spawning anything.
+ *
+ * @param {object} configuration - see createGameConfiguration
+ * @param {{seed?:number|string}} [options]
+ */
+export function createGameState(configuration, { seed } = {}) {
+    const gameState = {
+        configuration,
+        gridMap: null,
+
+        // Deterministic simulation: every gameplay roll uses rng; time advances in fixed ticks.
+        rng: createRandom(seed),
+        simulationTick: 0,
+        simulationTimeSeconds: 0,
+
+        money: 0,
+        lives: 0,
+        currentWaveNumber: 0,
+        autoStartNextWave: false,
+        enemies: [],
+        towers: [],
+        projectiles: [],
+        floatingTexts: [],
+
+        // Particles & visual FX (new)
+        // - particles: short-lived visual fragments (explosion debris / embers)
+        // - decals: longer-lived static marks (scorch)
+        // - screenFlash: used to show a quick white flash on big explosions
+        particles: [],       // array of { type: 'fragment'|'scorch', x, y, vx, vy, lifeMs, maxLifeMs, size, color, ... }
+        decals: [],          // array of long life persistent decals (scorch marks), rendered beneath entities
+        screenFlash: {       // simple one-shot screen flash: { alpha: 0..1, ttlMs }
+            alpha: 0,
+            ttlMs: 0
+        },
+
+        // Admin / runtime modifiers
+        modifiers: {
+            towerDamageMultiplier: 1, // <= Admin panel will change this
+        },
+        factories: {
+            // Use the current grid's waypoints at creation time (no stale closure).
+            // pathName picks a named map path; unknown/missing names use the default path.
+            // Flying enemies take that path's air lane instead.
+            createEnemy: (statBlock, pathName = statBlock.pathName) => {
+                const route = gameState.gridMap.getRoute(pathName, Boolean(statBlock.isFlying));
+                return new EnemyEntity(statBlock, route.waypoints, route.name);
+            },
+
+            createTower: (towerTypeKey, gridX, gridY) => {
+                const definition = { ...configuration.towersByTypeKey[towerTypeKey] };
+                definition.defaultTargetingMode ??= configuration.defaultTargetingMode;
+                const sizeCells = Math.max(1, Math.floor(Number(definition.sizeCells ?? 1)));
+
+                const { x: pixelX, y: pixelY } = footprintCenterPixels(
+                    gridX,
+                    gridY,
+                    sizeCells,
+                    configuration.gridCellSize
+                );
+
+                return new TowerEntity(definition, pixelX, pixelY, gridX, gridY, towerTypeKey);
+            },
+
+        },
+    };
+
+    return gameState;
+}
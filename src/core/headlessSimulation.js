@@ -0,0 +1,240 @@
+// ===========================================
+// File: src/core/headlessSimulation.js
+// ===========================================
+/*
+ Headless balance runs: the same systems main.js steps, with no canvas, UI or
+ renderer. Build a run from config, place a scripted tower layout, simulate
+ N waves as fast as possible and collect per-wave stats.
+
+ Layout entries (grid cells are the footprint's top-left, like placement):
+   { towerTypeKey: "basic", gridX: 3, gridY: 6, atWave: 1, upgrades: ["damage", "damage"] }
+ atWave (default 1) builds the tower just before that wave starts; upgrades are
+ bought in order right after. Anything unaffordable or blocked is skipped and
+ reported, so a layout can be reused as prices change.
+
+ See tools/simulate.js for the command-line front end.
+*/
+
+import { EnemyStatFactories, WavePlanFactory } from "../config/gameConfig.js";
+import { createScriptedWavePlan } from "../config/waveScript.js";
+import { GridMap, resolveMapPaths } from "../map/gridMap.js";
+import { MovementSystem } from "../systems/movementSystem.js";
+import { CombatSystem } from "../systems/combatSystem.js";
+import { WaveSpawnerSystem } from "../systems/waveSpawnerSystem.js";
+import { StatusEffectSystem } from "../systems/statusEffectSystem.js";
+import { EnemyAbilitySystem } from "../systems/enemyAbilitySystem.js";
+import { TowerUpgradeSystem } from "../systems/towerUpgradeSystem.js";
+import { TowerSaleSystem } from "../systems/towerSaleSystem.js";
+import { createGameConfiguration, createGameState, checkTowerPlacement } from "./gameSetup.js";
+
+/**
+ * Stand-in for the canvas GridMap reads its size from: enough columns/rows to
+ * hold every path cell (same minimum width main.js uses when auto-scaling).
+ */
+export function createHeadlessSurface(configuration) {
+    let maxX = 0;
+    let maxY = 0;
+    for (const cells of Object.values(resolveMapPaths(configuration.map))) {
+        for (const cell of cells) {
+            maxX = Math.max(maxX, cell.x);
+            maxY = Math.max(maxY, cell.y);
+        }
+    }
+    const columns = Math.max(maxX + 2, 24);
+    const rows = Math.max(maxY + 2, 15);
+    return {
+        clientWidth: columns * configuration.gridCellSize,
+        clientHeight: rows * configuration.gridCellSize,
+    };
+}
+
+/**
+ * Simulates a run and returns per-wave stats.
+ *
+ * @param {{
+ *   waves?: number,
+ *   seed?: number|string,
+ *   layout?: object[],
+ *   waveScript?: object|null,
+ *   configuration?: object,
+ *   enemyStatFactories?: object,
+ *   maxWaveSeconds?: number,
+ *   stopOnDefeat?: boolean,
+ * }} [options]
+ * @returns {{
+ *   seed:number, waves:object[], skipped:{entry:object, reason:string}[],
+ *   money:number, lives:number, defeated:boolean
+ * }}
+ */
+export function runHeadlessSimulation(options = {}) {
+    const {
+        waves = 10,
+        seed = 1,
+        layout = [],
+        waveScript = null,
+        configuration = createGameConfiguration(),
+        enemyStatFactories = EnemyStatFactories,
+        maxWaveSeconds = 600,
+        stopOnDefeat = true,
+    } = options;
+
+    const gameState = createGameState(configuration, { seed });
+    gameState.gridMap = new GridMap(configuration, createHeadlessSurface(configuration));
+    gameState.money = configuration.startingMoney;
+    gameState.lives = configuration.startingLives;
+    // Makes the damage resolver tally damage per tower type
+    gameState.damageByTowerType = {};
+
+    const fixedStepSeconds = configuration.simulation?.fixedStepSeconds || 1 / 60;
+    const wavePlan = createScriptedWavePlan(WavePlanFactory, waveScript);
+
+    const statusEffectSystem = new StatusEffectSystem();
+    const enemyAbilitySystem = new EnemyAbilitySystem();
+    const movementSystem = new MovementSystem();
+    const combatSystem = new CombatSystem();
+    const waveSpawnerSystem = new WaveSpawnerSystem(wavePlan, enemyStatFactories);
+
+    // Same order as main.js stepSimulation (floating text is purely visual)
+    function step() {
+        statusEffectSystem.tick(gameState, fixedStepSeconds);
+        enemyAbilitySystem.tick(gameState, fixedStepSeconds);
+        movementSystem.tick(gameState, fixedStepSeconds);
+        combatSystem.tick(gameState, fixedStepSeconds);
+        waveSpawnerSystem.tick(gameState, fixedStepSeconds);
+
+        // Nobody looks at visuals here; keep memory flat over long runs
+        gameState.floatingTexts.length = 0;
+        gameState.particles.length = 0;
+        gameState.decals.length = 0;
+        if (gameState.ripples) gameState.ripples.length = 0;
+        if (gameState.lightningBeams) gameState.lightningBeams.length = 0;
+
+        gameState.simulationTick += 1;
+        gameState.simulationTimeSeconds += fixedStepSeconds;
+    }
+
+    const skipped = [];
+    const waveStats = [];
+    const lastWave = Math.min(waves, configuration.maximumWaveNumber ?? waves);
+
+    for (let waveNumber = 1; waveNumber <= lastWave; waveNumber += 1) {
+        const moneyBeforeBuild = gameState.money;
+        for (const entry of layout) {
+            if ((entry.atWave ?? 1) !== waveNumber) continue;
+            buildLayoutEntry(gameState, entry, skipped);
+        }
+
+        const moneyAtStart = gameState.money;
+        const livesAtStart = gameState.lives;
+        for (const key of Object.keys(gameState.damageByTowerType)) delete gameState.damageByTowerType[key];
+
+        waveSpawnerSystem.startWave(gameState);
+        const spawned = waveSpawnerSystem.spawnPlan.length;
+        const startSeconds = gameState.simulationTimeSeconds;
+        const maxSteps = Math.ceil(maxWaveSeconds / fixedStepSeconds);
+
+        let steps = 0;
+        while (waveSpawnerSystem.isActive && gameState.lives > 0 && steps < maxSteps) {
+            step();
+            steps += 1;
+        }
+        const timedOut = waveSpawnerSystem.isActive && gameState.lives > 0;
+
+        waveStats.push({
+            waveNumber,
+            spawned,
+            leaks: livesAtStart - gameState.lives,
+            lives: gameState.lives,
+            moneySpent: moneyBeforeBuild - moneyAtStart,
+            moneyAtStart,
+            moneyAtEnd: gameState.money,
+            damageByTowerType: { ...gameState.damageByTowerType },
+            durationSeconds: gameState.simulationTimeSeconds - startSeconds,
+            timedOut,
+        });
+
+        if (timedOut) break;
+        if (gameState.lives <= 0 && stopOnDefeat) break;
+    }
+
+    return {
+        seed: gameState.rng.seed,
+        waves: waveStats,
+        skipped,
+        money: gameState.money,
+        lives: gameState.lives,
+        defeated: gameState.lives <= 0,
+    };
+}
+
+function buildLayoutEntry(gameState, entry, skipped) {
+    const { towerTypeKey } = entry;
+    const gridX = entry.gridX | 0;
+    const gridY = entry.gridY | 0;
+
+    const placement = checkTowerPlacement(gameState, towerTypeKey, gridX, gridY);
+    if (!placement.ok) {
+        skipped.push({ entry, reason: placement.reason });
+        return;
+    }
+
+    const def = gameState.configuration.towersByTypeKey[towerTypeKey];
+    if (gameState.money < def.buildCost) {
+        skipped.push({ entry, reason: `Not enough money ($${gameState.money} < $${def.buildCost}).` });
+        return;
+    }
+
+    gameState.money -= def.buildCost;
+    const tower = gameState.factories.createTower(towerTypeKey, gridX, gridY);
+    TowerSaleSystem.markBuilt(tower, gameState, { duringBuildPhase: true });
+    gameState.towers.push(tower);
+
+    for (const key of entry.upgrades || []) {
+        const check = TowerUpgradeSystem.checkUpgrade(tower, key, gameState.configuration);
+        if (!check.ok) {
+            skipped.push({ entry, reason: `Upgrade "${key}": ${check.reason}` });
+            break;
+        }
+        const cost = TowerUpgradeSystem.getNextUpgradeCost(tower, key, gameState.configuration);
+        if (gameState.money < cost) {
+            skipped.push({ entry, reason: `Upgrade "${key}": not enough money ($${gameState.money} < $${cost}).` });
+            break;
+        }
+        gameState.money -= cost;
+        TowerSaleSystem.addInvestment(tower, cost, gameState.configuration);
+        TowerUpgradeSystem.applyUpgrade(tower, key, gameState.configuration);
+    }
+}
+
+/**
+ * Plain-text table of a simulation result, one row per wave.
+ * @param {ReturnType<typeof runHeadlessSimulation>} result
+ * @returns {string}
+ */
+export function formatSimulationReport(result) {
+    const towerTypes = [...new Set(result.waves.flatMap(w => Object.keys(w.damageByTowerType)))].sort();
+    const header = ["wave", "spawned", "leaks", "lives", "spent", "$start", "$end", "secs", ...towerTypes];
+    const rows = result.waves.map(w => [
+        w.waveNumber,
+        w.spawned,
+        w.leaks,
+        w.lives,
+        w.moneySpent,
+        w.moneyAtStart,
+        w.moneyAtEnd,
+        w.durationSeconds.toFixed(1) + (w.timedOut ? "!" : ""),
+        ...towerTypes.map(key => Math.round(w.damageByTowerType[key] || 0)),
+    ].map(String));
+
+    const widths = header.map((h, i) => Math.max(h.length, ...rows.map(r => r[i].length)));
+    const line = (cells) => cells.map((c, i) => c.padStart(widths[i])).join("  ");
+
+    const out = [`seed ${result.seed}`, line(header), ...rows.map(line)];
+    for (const { entry, reason } of result.skipped) {
+        out.push(`skipped ${entry.towerTypeKey} @ (${entry.gridX}, ${entry.gridY}) wave ${entry.atWave ?? 1}: ${reason}`);
+    }
+    out.push(result.defeated
+        ? `Defeated on wave ${result.waves.at(-1)?.waveNumber}.`
+        : `Finished with ${result.lives} lives and $${result.money}.`);
+    return out.join("\n");
+}
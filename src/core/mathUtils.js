@@ -70,3 +70,40 @@ export function projectPointOntoSegment(p, a, b) {
     distance: Math.hypot(dx, dy),
   };
 }
+
+/**
+ * Cumulative distances along a polyline: result[i] is the path length from points[0] to points[i].
+ *
+ * @param {{x:number,y:number}[]} points
+ * @returns {number[]}
+ */
+export function computeCumulativeLengths(points) {
+  const out = [];
+  if (!Array.isArray(points) || points.length === 0) return out;
+  out.push(0);
+  for (let i = 1; i < points.length; i += 1) {
+    out.push(out[i - 1] + distanceBetweenPoints(points[i - 1], points[i]));
+  }
+  return out;
+}
+
+/**
+ * Distance travelled along a polyline for a point heading toward points[segmentEndIndex].
+ * The point is projected onto the segment (segmentEndIndex - 1 -> segmentEndIndex), so positions
+ * knocked slightly off the line still measure sensibly.
+ *
+ * @param {{x:number,y:number}} point
+ * @param {{x:number,y:number}[]} points
+ * @param {number[]} cumulativeLengths - from computeCumulativeLengths(points)
+ * @param {number} segmentEndIndex - index of the waypoint being approached
+ * @returns {number} pixels from the start of the path
+ */
+export function measurePathProgress(point, points, cumulativeLengths, segmentEndIndex) {
+  if (!Array.isArray(points) || points.length < 2) return 0;
+  const end = clamp(Math.floor(segmentEndIndex) || 1, 1, points.length - 1);
+  const a = points[end - 1];
+  const b = points[end];
+  const proj = projectPointOntoSegment(point, a, b);
+  const segmentLength = cumulativeLengths[end] - cumulativeLengths[end - 1];
+  return cumulativeLengths[end - 1] + segmentLength * proj.t;
+}
@@ -0,0 +1,91 @@
+// ===========================================
+// File: src/core/random.js
+// ===========================================
+/*
+ Seedable random numbers for the simulation.
+
+ Every gameplay roll (status-effect chances, cluster spread, knockback
+ direction, explosion debris) draws from gameState.rng, so a run is fully
+ reproducible from its seed plus the player's inputs.
+*/
+
+/** Hashes strings (FNV-1a) and truncates numbers into a 32-bit seed. */
+function normalizeSeed(seed) {
+    if (typeof seed === "number" && Number.isFinite(seed)) return seed >>> 0;
+    const text = String(seed ?? "");
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i += 1) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Creates a mulberry32 generator.
+ * @param {number|string} [seed] - defaults to the current time
+ */
+export function createRandom(seed = Date.now()) {
+    let initialSeed = normalizeSeed(seed);
+    let state = initialSeed;
+
+    return {
+        /** The seed this generator was (re)started from. */
+        get seed() {
+            return initialSeed;
+        },
+
+        /** Uniform float in [0, 1). Drop-in for Math.random(). */
+        next() {
+            state = (state + 0x6d2b79f5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        },
+
+        /** Uniform float in [min, max). */
+        range(min, max) {
+            return min + this.next() * (max - min);
+        },
+
+        /** Uniform integer in [min, max] (inclusive). */
+        int(min, max) {
+            return Math.floor(this.range(Math.ceil(min), Math.floor(max) + 1));
+        },
+
+        /** True with probability p. */
+        chance(p) {
+            return this.next() < p;
+        },
+
+        /** Internal state, for saves/replays that need to resume the exact sequence. */
+        getState() {
+            return state;
+        },
+
+        setState(nextState) {
+            state = Number(nextState) >>> 0;
+        },
+
+        reseed(nextSeed) {
+            initialSeed = normalizeSeed(nextSeed);
+            state = initialSeed;
+        },
+    };
+}
+
+// Used only when a caller passes a gameState without an rng (e.g. ad-hoc tools).
+const fallbackRandom = createRandom();
+
+// Tower Creator previews aren't part of the run, so they must not advance its RNG
+const previewRandom = createRandom();
+
+/**
+ * The simulation RNG for a gameState. Pass the projectile or effect the roll is
+ * for: preview ones (isPreview) get a separate generator.
+ */
+export function randomFor(gameState, source = null) {
+    if (source?.isPreview) return previewRandom;
+    return gameState?.rng ?? fallbackRandom;
+}
@@ -0,0 +1,148 @@
+// ===========================================
+// File: src/core/replay.js
+// ===========================================
+/*
+ Input recording and replay.
+
+ A recording is the run snapshot taken when recording started (see saveGame.js,
+ which also carries the RNG state) plus every player command tagged with the
+ simulation tick it was issued on. Because the simulation is fixed-step and
+ seeded, re-applying the same commands on the same ticks reproduces the run.
+
+ Admin tools change the run outside the command stream. Each one used while
+ recording is listed in the recording's unrecordedChanges; a recording with
+ any of those still plays, but won't reproduce the original run.
+
+ Command shapes (towers are addressed by their top-left grid cell):
+   { type: "placeTower",    towerTypeKey, gridX, gridY }
+   { type: "upgradeTower",  gridX, gridY, upgradeKey }
+   { type: "sellTower",     gridX, gridY }
+   { type: "refundTower",   gridX, gridY }           (older recordings; pays buildCost x towerRefundRate)
+   { type: "undoPlacement" }                        (full refund of the latest build-phase placement)
+   { type: "setTargeting",  gridX, gridY, mode }
+   { type: "startWave" }
+   { type: "setAutoStartNextWave", enabled }
+*/
+
+import { parseRunSnapshot } from "./saveGame.js";
+
+export const REPLAY_FORMAT_VERSION = 1;
+
+export const REPLAY_COMMAND_TYPES = [
+    "placeTower",
+    "upgradeTower",
+    "sellTower",
+    "refundTower",
+    "undoPlacement",
+    "setTargeting",
+    "startWave",
+    "setAutoStartNextWave",
+];
+
+export class ReplayRecorder {
+    constructor() {
+        this.recording = null;
+        this.isRecording = false;
+    }
+
+    /** Begins a new recording from a run snapshot (serializeRun output). */
+    start(startSnapshot) {
+        this.recording = {
+            version: REPLAY_FORMAT_VERSION,
+            recordedAt: new Date().toISOString(),
+            startSnapshot: structuredClone(startSnapshot),
+            commands: [],
+            unrecordedChanges: [],
+            endTick: startSnapshot.simulationTick ?? 0,
+        };
+        this.isRecording = true;
+    }
+
+    record(tick, command) {
+        if (!this.isRecording) return;
+        this.recording.commands.push({ tick, ...structuredClone(command) });
+        this.recording.endTick = Math.max(this.recording.endTick, tick);
+    }
+
+    /** Notes a change made outside the command stream (e.g. "money edit"); the recording won't reproduce. */
+    noteUnrecordedChange(label) {
+        if (!this.isRecording) return;
+        if (!this.recording.unrecordedChanges.includes(label)) this.recording.unrecordedChanges.push(label);
+    }
+
+    /** Stops recording; the finished recording stays available for export. */
+    stop(endTick) {
+        if (!this.isRecording) return this.recording;
+        this.isRecording = false;
+        if (Number.isFinite(endTick)) this.recording.endTick = Math.max(this.recording.endTick, endTick);
+        return this.recording;
+    }
+}
+
+/**
+ * Feeds a recording's commands back tick by tick.
+ */
+export class ReplayPlayer {
+    constructor(recording) {
+        this.recording = recording;
+        this.nextCommandIndex = 0;
+    }
+
+    /** Commands due on (or before) this tick, in recorded order. */
+    takeCommandsForTick(tick) {
+        const due = [];
+        const { commands } = this.recording;
+        while (this.nextCommandIndex < commands.length && commands[this.nextCommandIndex].tick <= tick) {
+            due.push(commands[this.nextCommandIndex]);
+            this.nextCommandIndex += 1;
+        }
+        return due;
+    }
+
+    isFinished(tick) {
+        return this.nextCommandIndex >= this.recording.commands.length && tick >= this.recording.endTick;
+    }
+}
+
+/**
+ * Validates a recording (object or JSON text).
+ * @returns {{ok:true, replay:object}|{ok:false, reason:string}}
+ */
+export function parseReplay(value) {
+    let replay = value;
+    if (typeof value === "string") {
+        try {
+            replay = JSON.parse(value);
+        } catch {
+            return { ok: false, reason: "Replay file is not valid JSON." };
+        }
+    }
+
+    if (!replay || typeof replay !== "object" || replay.version !== REPLAY_FORMAT_VERSION) {
+        return { ok: false, reason: `Unsupported replay version "${replay?.version}".` };
+    }
+
+    const start = parseRunSnapshot(replay.startSnapshot);
+    if (!start.ok) return { ok: false, reason: `Replay start state: ${start.reason}` };
+
+    if (!Array.isArray(replay.commands)) {
+        return { ok: false, reason: "Replay is missing its command list." };
+    }
+    let lastTick = -Infinity;
+    for (const [index, command] of replay.commands.entries()) {
+        if (!REPLAY_COMMAND_TYPES.includes(command?.type)) {
+            return { ok: false, reason: `Command ${index + 1}: unknown type "${command?.type}".` };
+        }
+        if (!Number.isInteger(command.tick) || command.tick < lastTick) {
+            return { ok: false, reason: `Command ${index + 1}: ticks must be integers in ascending order.` };
+        }
+        lastTick = command.tick;
+    }
+
+    const unrecordedChanges = Array.isArray(replay.unrecordedChanges) ? replay.unrecordedChanges.map(String) : [];
+
+    return {
+        ok: true,
+        replay: { ...replay, unrecordedChanges, endTick: Math.max(Number(replay.endTick) || 0, lastTick) },
+    };
+}
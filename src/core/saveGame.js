@@ -0,0 +1,256 @@
+// ===========================================
+// File: src/core/saveGame.js
+// ===========================================
+/*
+ Run persistence: gameState <-> plain JSON snapshot, localStorage save slots.
+
+ Snapshots are only taken between waves, so nothing in flight (enemies,
+ projectiles, scheduled effects) needs to be captured. Towers are rebuilt from
+ their config entry, their upgrade purchases are re-applied in the order they
+ were bought (so upgrade ops on any path come back), and then the fields below
+ are overlaid with their saved values.
+*/
+
+import { TowerUpgradeSystem } from "../systems/towerUpgradeSystem.js";
+
+export const SAVE_FORMAT_VERSION = 1;
+
+export const AUTOSAVE_SLOT = "autosave";
+export const MANUAL_SAVE_SLOTS = ["slot1", "slot2", "slot3"];
+
+// Tower fields that upgrades (or the player) can change after placement.
+const PERSISTED_TOWER_FIELDS = [
+    "damagePerShot",
+    "attacksPerSecond",
+    "attackRangePixels",
+    "minimumRangePixels",
+    "damageType",
+    "canTargetAir",
+    "canTargetGround",
+    "splash",
+    "aoe",
+    "projectileEffects",
+    "projectileBehavior",
+    "projectileMode",
+    "homingCurvature",
+    "projectileSpeedPixelsPerSecond",
+    "projectileAccelerationPixelsPerSecondSquared",
+    "projectileMaxLifetimeSeconds",
+    "projectileTrajectory",
+    "arcHeightRatio",
+    "upgradeState",
+    "upgradeOrder",
+    "targetingMode",
+    // Sell value bookkeeping (see TowerSaleSystem)
+    "investedMoney",
+    "placedAtSeconds",
+    "placedBeforeWaveNumber",
+];
+
+/**
+ * Captures the current run as a JSON-safe snapshot.
+ * Refuses while a wave is running (enemies/projectiles are not persisted).
+ *
+ * nextWaveStartsAtSeconds is a pending auto-start (simulation time), kept so a
+ * snapshot taken just after a wave cleared still starts the next one on time.
+ *
+ * @param {object} gameState
+ * @param {{waveInProgress?:boolean, nextWaveStartsAtSeconds?:number|null}} [options]
+ * @returns {{ok:true, snapshot:object}|{ok:false, reason:string}}
+ */
+export function serializeRun(gameState, { waveInProgress = false, nextWaveStartsAtSeconds = null } = {}) {
+    if (waveInProgress || (gameState.enemies || []).some(e => !e._isMarkedDead && !e.isPreviewDummy)) {
+        return { ok: false, reason: "Can't save during a wave. Wait until it is cleared." };
+    }
+
+    const mapConfig = gameState.configuration?.map || {};
+    const paths = {};
+    for (const [name, path] of Object.entries(gameState.gridMap?.paths || {})) {
+        paths[name] = path.cells.map(c => ({ x: c.x | 0, y: c.y | 0 }));
+    }
+
+    // Tower Creator previews are sandbox-only
+    const towers = gameState.towers.filter(tower => !tower.isPreview).map((tower) => {
+        const entry = {
+            towerTypeKey: tower.towerTypeKey,
+            gridX: tower.gridX,
+            gridY: tower.gridY,
+        };
+        for (const field of PERSISTED_TOWER_FIELDS) {
+            if (tower[field] !== undefined) entry[field] = structuredClone(tower[field]);
+        }
+        return entry;
+    });
+
+    return {
+        ok: true,
+        snapshot: {
+            version: SAVE_FORMAT_VERSION,
+            savedAt: new Date().toISOString(),
+            money: gameState.money,
+            lives: gameState.lives,
+            currentWaveNumber: gameState.currentWaveNumber,
+            autoStartNextWave: Boolean(gameState.autoStartNextWave),
+            modifiers: { ...(gameState.modifiers || {}) },
+            // Resume the exact random sequence / simulation clock on load
+            randomState: gameState.rng?.getState?.() ?? null,
+            simulationTick: gameState.simulationTick ?? 0,
+            simulationTimeSeconds: gameState.simulationTimeSeconds ?? 0,
+            nextWaveStartsAtSeconds: Number.isFinite(nextWaveStartsAtSeconds) ? nextWaveStartsAtSeconds : null,
+            map: {
+                paths,
+                defaultPathName: gameState.gridMap?.defaultPathName ?? mapConfig.defaultPathName ?? null,
+            },
+            towers,
+        },
+    };
+}
+
+/**
+ * Validates a snapshot (object or JSON text) before it is applied.
+ * @param {string|object} value
+ * @returns {{ok:true, snapshot:object}|{ok:false, reason:string}}
+ */
+export function parseRunSnapshot(value) {
+    let snapshot = value;
+    if (typeof value === "string") {
+        try {
+            snapshot = JSON.parse(value);
+        } catch {
+            return { ok: false, reason: "Save file is not valid JSON." };
+        }
+    }
+
+    if (!snapshot || typeof snapshot !== "object") {
+        return { ok: false, reason: "Save data is empty." };
+    }
+    if (snapshot.version !== SAVE_FORMAT_VERSION) {
+        return { ok: false, reason: `Unsupported save version "${snapshot.version}".` };
+    }
+    for (const key of ["money", "lives", "currentWaveNumber"]) {
+        if (!Number.isFinite(snapshot[key])) {
+            return { ok: false, reason: `Save is missing "${key}".` };
+        }
+    }
+    if (!Array.isArray(snapshot.towers)) {
+        return { ok: false, reason: "Save is missing its tower list." };
+    }
+    const paths = snapshot.map?.paths;
+    if (!paths || typeof paths !== "object" || !Object.values(paths).some(cells => Array.isArray(cells) && cells.length >= 2)) {
+        return { ok: false, reason: "Save has no walkable map path." };
+    }
+
+    return { ok: true, snapshot };
+}
+
+/**
+ * Rebuilds tower entities from a snapshot. Towers whose type no longer exists
+ * in the configuration are skipped and reported.
+ *
+ * @param {object} snapshot
+ * @param {(towerTypeKey:string, gridX:number, gridY:number) => object} createTower
+ * @param {object} towersByTypeKey
+ * @returns {{towers:object[], skipped:string[]}}
+ */
+export function restoreTowers(snapshot, createTower, towersByTypeKey) {
+    const towers = [];
+    const skipped = [];
+
+    for (const entry of snapshot.towers) {
+        if (!towersByTypeKey?.[entry?.towerTypeKey]) {
+            skipped.push(String(entry?.towerTypeKey));
+            continue;
+        }
+        const tower = createTower(entry.towerTypeKey, entry.gridX | 0, entry.gridY | 0);
+        const gameConfig = { towersByTypeKey };
+        for (const category of savedPurchases(tower, entry)) {
+            TowerUpgradeSystem.applyUpgrade(tower, category, gameConfig);
+        }
+        for (const field of PERSISTED_TOWER_FIELDS) {
+            if (entry[field] !== undefined) tower[field] = structuredClone(entry[field]);
+        }
+        towers.push(tower);
+    }
+
+    return { towers, skipped };
+}
+
+/**
+ * Upgrade categories bought for a saved tower, in purchase order. Saves from
+ * before upgradeOrder existed fall back to each category's missing levels.
+ */
+function savedPurchases(tower, entry) {
+    if (Array.isArray(entry.upgradeOrder)) return entry.upgradeOrder.map(String);
+
+    const purchases = [];
+    for (const [category, level] of Object.entries(entry.upgradeState || {})) {
+        for (let owned = tower.upgradeState?.[category] ?? 0; owned < level; owned += 1) purchases.push(category);
+    }
+    return purchases;
+}
+
+// Reading window.localStorage throws when storage is blocked (e.g. some private modes).
+function defaultStorage() {
+    try {
+        return globalThis.localStorage ?? null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Named save slots on top of a Storage (localStorage by default).
+ * Every method tolerates a missing/blocked storage so the game keeps running.
+ */
+export class SaveSlotStore {
+    constructor(storage = defaultStorage(), keyPrefix = "jaxonTD.save.") {
+        this.storage = storage;
+        this.keyPrefix = keyPrefix;
+    }
+
+    isAvailable() {
+        return Boolean(this.storage);
+    }
+
+    write(slot, snapshot) {
+        if (!this.storage) return { ok: false, reason: "Local storage is not available." };
+        try {
+            this.storage.setItem(this.keyPrefix + slot, JSON.stringify(snapshot));
+            return { ok: true };
+        } catch (err) {
+            return { ok: false, reason: `Could not write save: ${err?.message || err}` };
+        }
+    }
+
+    /** Returns the parsed snapshot or null if the slot is empty/corrupt. */
+    read(slot) {
+        if (!this.storage) return null;
+        try {
+            const text = this.storage.getItem(this.keyPrefix + slot);
+            if (!text) return null;
+            const result = parseRunSnapshot(text);
+            return result.ok ? result.snapshot : null;
+        } catch {
+            return null;
+        }
+    }
+
+    remove(slot) {
+        try {
+            this.storage?.removeItem(this.keyPrefix + slot);
+        } catch { /* ignore */ }
+    }
+
+    /** Short summary for slot pickers, or null when empty. */
+    describe(slot) {
+        const snapshot = this.read(slot);
+        if (!snapshot) return null;
+        return {
+            slot,
+            savedAt: snapshot.savedAt,
+            currentWaveNumber: snapshot.currentWaveNumber,
+            money: snapshot.money,
+            lives: snapshot.lives,
+        };
+    }
+}
@@ -0,0 +1,79 @@
+// ===========================================
+// File: src/core/simulationClock.js
+// ===========================================
+/*
+ The game clock. gameState.simulationTimeSeconds only advances when the
+ fixed-step simulation runs, so everything timed against it (scheduled
+ aftershocks, lightning/ripple lifetimes, hit flashes, boss-bar shake)
+ freezes on pause and speeds up with fast-forward.
+*/
+
+export const GAME_SPEEDS = [1, 2, 3];
+
+/**
+ * Current game time in milliseconds. Use this instead of performance.now() for
+ * anything that should follow the simulation (gameplay timers and effect lifetimes).
+ *
+ * @param {object} gameState
+ * @returns {number}
+ */
+export function simulationNowMs(gameState) {
+    const seconds = gameState?.simulationTimeSeconds;
+    return Number.isFinite(seconds) ? seconds * 1000 : performance.now();
+}
+
+/**
+ * Pause / fast-forward / single-step state for the main loop.
+ * The loop multiplies frame time by `speed`, and while paused runs only the
+ * steps queued with step().
+ */
+export function createTimeScale() {
+    let speed = 1;
+    let isPaused = false;
+    let pendingSteps = 0;
+
+    return {
+        get speed() {
+            return speed;
+        },
+
+        get isPaused() {
+            return isPaused;
+        },
+
+        /** Picks one of GAME_SPEEDS and resumes. Returns false for unsupported speeds. */
+        setSpeed(nextSpeed) {
+            if (!GAME_SPEEDS.includes(nextSpeed)) return false;
+            speed = nextSpeed;
+            this.resume();
+            return true;
+        },
+
+        pause() {
+            isPaused = true;
+        },
+
+        resume() {
+            isPaused = false;
+            pendingSteps = 0;
+        },
+
+        togglePause() {
+            if (isPaused) this.resume();
+            else this.pause();
+        },
+
+        /** Advances exactly one fixed step (pausing first if needed). */
+        step() {
+            isPaused = true;
+            pendingSteps += 1;
+        },
+
+        /** Steps queued while paused; the loop calls this once per frame. */
+        takePendingSteps() {
+            const steps = pendingSteps;
+            pendingSteps = 0;
+            return steps;
+        },
+    };
+}
@@ -1,5 +1,5 @@
 export class EnemyEntity {
-    constructor(statBlock, waypoints) {
+    constructor(statBlock, waypoints, pathName = null) {
         this.hitPoints = statBlock.hitPoints;
         this.maximumHitPoints = statBlock.hitPoints;
 
@@ -12,8 +12,31 @@ export class EnemyEntity {
         this.isBoss = Boolean(statBlock.isBoss);
         this.name = statBlock.name || (this.isBoss ? "BOSS" : "Enemy");
 
+        // Damage-taken multipliers keyed by damage type (e.g. { fire: 1.5, cold: 0.5 }).
+        // Missing types default to 1x in the damage resolver.
+        this.damageTypeMultipliers = { ...(statBlock.damageTypeMultipliers || {}) };
+
+        // Flying enemies follow an air lane (straight line or map.airLanes) instead of the
+        // ground path, and can only be hit by towers with canTargetAir.
+        this.isFlying = Boolean(statBlock.isFlying);
+
+        // Archetype behaviors (see EnemyStatFactories); handled by EnemyAbilitySystem / damage resolver
+        this.archetype = statBlock.archetype || (this.isBoss ? "boss" : "grunt");
+        this.armorFlat = Math.max(0, Number(statBlock.armorFlat) || 0);
+        this.maximumShieldPoints = Math.max(0, Number(statBlock.shieldPoints) || 0);
+        this.shieldPoints = this.maximumShieldPoints;
+        this.shieldRegenPerSecond = Math.max(0, Number(statBlock.shieldRegenPerSecond) || 0);
+        this.shieldRegenDelayMs = Math.max(0, Number(statBlock.shieldRegenDelayMs) || 0);
+        this.healing = statBlock.healing ? { ...statBlock.healing } : null;
+        this.splitOnDeath = statBlock.splitOnDeath ? { ...statBlock.splitOnDeath } : null;
+
+        // Active status effects (slow/burn/poison/stun); managed by StatusEffectSystem
+        this.statusEffects = [];
+
         // IMPORTANT: keep a reference to the active path (CSS-pixel waypoints)
+        // and its name so grid rebuilds can rebind the enemy to the same route.
         this.waypoints = waypoints;
+        this.pathName = pathName;
 
         // Spawn at the first waypoint (CSS px coords)
         this.x = waypoints[0].x;
@@ -22,6 +45,11 @@ export class EnemyEntity {
         // Start aiming toward the next waypoint (movement system will clamp if needed)
         this.currentWaypointIndex = 1;
 
+        // Distance-along-path metrics (maintained by MovementSystem)
+        this.pathProgressPixels = 0;
+        this.pathRemainingPixels = Infinity;
+        this.pathProgressRatio = 0;
+
         this._isMarkedDead = false;
     }
 
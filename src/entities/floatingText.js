@@ -1,12 +1,15 @@
 // ===========================================
 // File: src/entities/floatingText.js
 // ===========================================
+import { DEFAULT_DAMAGE_TEXT } from "../config/gameConfig.js";
+
 export class FloatingText {
-    constructor({ x, y, text, color = "#ffd166", lifetimeMs = 900, risePixels = 28 }) {
+    constructor({ x, y, text, color = DEFAULT_DAMAGE_TEXT.hitColor, lifetimeMs = 900, risePixels = 28, fontScale = 1 }) {
         this.x = x;
         this.y = y;
         this.text = String(text);
         this.color = color;
+        this.fontScale = fontScale;
         this.lifetimeMs = lifetimeMs;
         this.risePixels = risePixels;
         this.ageMs = 0;
@@ -1,6 +1,9 @@
 export class ProjectileEntity {
     constructor(properties) {
         Object.assign(this, properties);
+        // 0..1 along the flight path; derived from distance travelled at the projectile's speed
         this.travelProgress = 0;
+        this.distanceTravelledPixels = 0;
+        this.ageSeconds = 0;
     }
 }
\ No newline at end of file
@@ -8,7 +8,37 @@ export class TowerEntity {
         this.attacksPerSecond = Number(definition.attacksPerSecond) || 1;
         this.attackRangePixels = Number(definition.attackRangePixels) || 80;
 
+        this.damageType = definition.damageType || "physical";
+
+        // Which enemy layers this tower can acquire and hit (flying enemies are "air").
+        this.canTargetAir = definition.canTargetAir !== false;
+        this.canTargetGround = definition.canTargetGround !== false;
+
+        // ProjectileBehaviorRegistry key; null resolves by tower type, then "basic"
+        this.projectileBehavior = definition.projectileBehavior || null;
+
+        // "homing" | "predictive" | "dumb" (null = by shot type, see projectileGuidance.js)
+        this.projectileMode = definition.projectileMode || null;
+        this.homingCurvature = Number(definition.homingCurvature) || 0;
+        // "straight" | "arc" (lobbed; see projectileGuidance.js)
+        this.projectileTrajectory = definition.projectileTrajectory || "straight";
+        if (Number.isFinite(definition.arcHeightRatio)) this.arcHeightRatio = definition.arcHeightRatio;
+
+        // Dead zone: enemies closer than this can't be targeted
+        this.minimumRangePixels = Math.max(0, Number(definition.minimumRangePixels) || 0);
+
+        // Flight overrides; unset ones use the game config's defaults when a shot is fired
+        for (const key of ["projectileSpeedPixelsPerSecond", "projectileAccelerationPixelsPerSecondSquared", "projectileMaxLifetimeSeconds"]) {
+            if (Number.isFinite(definition[key])) this[key] = definition[key];
+        }
+
         this.splash = definition.splash ? { ...definition.splash } : null;
+        this.aoe = definition.aoe ? { ...definition.aoe } : null;
+
+        // Own copy so upgrades can merge new effects without mutating the shared config.
+        this.projectileEffects = definition.projectileEffects
+            ? structuredClone(definition.projectileEffects)
+            : null;
 
         this.sizeCells = Math.max(1, Math.floor(Number(definition.sizeCells ?? 1)));
         this.visualScale = Number.isFinite(definition.visualScale) ? definition.visualScale : 1;
@@ -24,6 +54,9 @@ export class TowerEntity {
         this.rotationRadians = 0;
         this.currentTarget = null;
 
+        // Per-tower targeting priority ("first" | "last" | "strongest" | "weakest" | "closest").
+        this.targetingMode = definition.defaultTargetingMode || "first";
+
         // Guarantee an upgrade state object so the tooltip always has something to read.
         this.upgradeState = (definition.defaultUpgradeState && typeof definition.defaultUpgradeState === "object")
             ? { ...definition.defaultUpgradeState }
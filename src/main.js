@@ -3,13 +3,20 @@
 // ===========================================
 
 import { GAME_CONFIG, WavePlanFactory, EnemyStatFactories } from "./config/gameConfig.js";
-import { GridMap } from "./map/gridMap.js";
+import { GridMap, resolveMapPaths, DEFAULT_PATH_NAME } from "./map/gridMap.js";
+import { validateWorkingPaths } from "./map/pathValidation.js";
 
 import { MovementSystem } from "./systems/movementSystem.js";
-import { CombatSystem } from "./systems/combatSystem.js";
+import { CombatSystem, TARGETING_MODES } from "./systems/combatSystem.js";
 import { WaveSpawnerSystem } from "./systems/waveSpawnerSystem.js";
+import { StatusEffectSystem } from "./systems/statusEffectSystem.js";
+import { EnemyAbilitySystem } from "./systems/enemyAbilitySystem.js";
+import { TowerSaleSystem } from "./systems/towerSaleSystem.js";
+import { TowerUpgradeSystem } from "./systems/towerUpgradeSystem.js";
+import { createScriptedWavePlan, loadWaveScript, validateWaveScript } from "./config/waveScript.js";
 
 import { CanvasRenderer } from "./render/canvasRenderer.js";
+import { TowerEntity } from "./entities/tower.js";
 
 import {
     createUserInterfaceBindings,
@@ -18,18 +25,50 @@ import {
 } from "./ui/uiBindings.js";
 import { toast, initializeToastService, setToastPosition } from "./ui/toast.js";
 
-import { TowerEntity } from "./entities/tower.js";
-import { EnemyEntity } from "./entities/enemy.js";
-
 import { projectPointOntoSegment } from "./core/mathUtils.js";
+import {
+    createGameConfiguration,
+    createGameState,
+    footprintCenterPixels,
+    isAreaOnPath,
+    doesAreaOverlapAnyTower,
+    checkTowerPlacement,
+} from "./core/gameSetup.js";
+import { updateEnemyPathProgress } from "./systems/movementSystem.js";
 
 import { createAdminPanel } from "./ui/adminPanel.js";
 
 import { FloatingTextSystem } from "./systems/floatingTextSystem.js";
 import { FloatingText } from "./entities/floatingText.js"; // only if you need to spawn from UI later
 
-import { showTowerUpgrades, clearTowerUpgrades } from "./ui/towerUpgradePanel.js";
+import {
+    showTowerUpgrades,
+    clearTowerUpgrades,
+    refreshTowerUpgrades,
+    refreshTowerSellValue,
+    isShowingTowerUpgrades,
+    purchaseTowerUpgrade,
+    setTowerUpgradeCommandHandler,
+    setTowerUpgradeHoverHandler,
+    setTowerUpgradeConfigStore,
+    setTowerUpgradePanelReadOnly,
+} from "./ui/towerUpgradePanel.js";
 import { installTowerSelection } from "./ui/towerSelection.js";
+import { summarizeUpgradeChanges } from "./ui/upgradePreview.js";
+
+import {
+    serializeRun,
+    parseRunSnapshot,
+    restoreTowers,
+    SaveSlotStore,
+    AUTOSAVE_SLOT,
+    MANUAL_SAVE_SLOTS,
+} from "./core/saveGame.js";
+import { installSaveSlotsPanel, downloadJSONFile } from "./ui/saveSlotsPanel.js";
+import { ReplayRecorder, ReplayPlayer, parseReplay } from "./core/replay.js";
+import { createTimeScale, GAME_SPEEDS } from "./core/simulationClock.js";
+import { createConfigStore } from "./core/configStore.js";
+import { installReplayPanel } from "./ui/replayPanel.js";
 
 // ===========================================
 // Responsive Canvas and Auto-Grid Helpers
@@ -47,46 +86,19 @@ function resizeAndScaleCanvasForDevicePixelRatio(canvasElement, renderingContext
     renderingContext2D.setTransform(devicePixelRatio, 0, 0, devicePixelRatio, 0, 0);
 }
 
-function computeMaxPathXCell(pathCells) {
-    return pathCells.reduce((maximum, cell) => Math.max(maximum, cell.x), 0);
-}
-
-// Centers a multi-cell footprint on its geometric middle.
-// gridX, gridY are the TOP-LEFT cell of the footprint.
-function footprintCenterPixels(gridX, gridY, sizeCells, cellSize) {
-    const half = sizeCells * cellSize / 2;
-    return {
-        x: gridX * cellSize + half,
-        y: gridY * cellSize + half,
-    };
-}
-
-function isAreaOnPath(gridMap, topLeftX, topLeftY, sizeCells) {
-    for (let gx = topLeftX; gx < topLeftX + sizeCells; gx += 1) {
-        for (let gy = topLeftY; gy < topLeftY + sizeCells; gy += 1) {
-            if (gridMap.isGridCellOnPath(gx, gy)) return true;
-        }
+function computeMaxPathXCell(pathsByName) {
+    let maximum = 0;
+    for (const cells of Object.values(pathsByName)) {
+        for (const cell of cells) maximum = Math.max(maximum, cell.x);
     }
-    return false;
-}
-
-function doesAreaOverlapAnyTower(gameState, topLeftX, topLeftY, sizeCells) {
-    return gameState.towers.some(t => {
-        const s = Math.max(1, Math.floor(Number(t.sizeCells ?? 1)));
-        const ax1 = topLeftX, ay1 = topLeftY;
-        const ax2 = topLeftX + sizeCells, ay2 = topLeftY + sizeCells;
-        const bx1 = t.gridX, by1 = t.gridY;
-        const bx2 = t.gridX + s, by2 = t.gridY + s;
-        // AABB overlap in grid coords
-        return ax1 < bx2 && ax2 > bx1 && ay1 < by2 && ay2 > by1;
-    });
+    return maximum;
 }
 
 
 function recomputeGridForCanvas(configuration, gameState, renderer, gameCanvas) {
     // Optionally auto-scale grid cell size based on canvas CSS width
     if (configuration.autoScaleGridCellSize) {
-        const maximumPathX = computeMaxPathXCell(configuration.map.pathCells);
+        const maximumPathX = computeMaxPathXCell(resolveMapPaths(configuration.map));
         const desiredColumnCount = Math.max(maximumPathX + 2, 24);
 
         const cssWidth = gameCanvas.clientWidth;
@@ -109,34 +121,39 @@ function recomputeGridForCanvas(configuration, gameState, renderer, gameCanvas)
         tower.y = tower.gridY * configuration.gridCellSize + configuration.gridCellSize / 2;
     }
 
-    // ===== Rebind/snap enemies to the new path =====
-    // 1) Point each enemy to the new waypoint list
+    // ===== Rebind/snap enemies to their (rebuilt) paths =====
+    // 1) Point each enemy to the new waypoint list of the path (or air lane) it was on
     // 2) Snap its (x,y) onto the closest point of the new polyline so it stays on-path
     //    and set currentWaypointIndex to the next waypoint after the closest segment.
-    const waypoints = gameState.gridMap.waypoints;
-    if (Array.isArray(waypoints) && waypoints.length >= 2) {
-        for (const enemy of gameState.enemies) {
-            enemy.waypoints = waypoints;
-
-            // Find closest segment on the new path
-            let best = { distance: Infinity, x: enemy.x, y: enemy.y, segIndex: 0, t: 0 };
-            for (let i = 0; i < waypoints.length - 1; i += 1) {
-                const a = waypoints[i];
-                const b = waypoints[i + 1];
-                const proj = projectPointOntoSegment({ x: enemy.x, y: enemy.y }, a, b);
-                if (proj.distance < best.distance) {
-                    best = { distance: proj.distance, x: proj.x, y: proj.y, segIndex: i, t: proj.t };
-                }
+    for (const enemy of gameState.enemies) {
+        const path = gameState.gridMap.getRoute(enemy.pathName, enemy.isFlying);
+        const waypoints = path?.waypoints;
+        if (!Array.isArray(waypoints) || waypoints.length < 2) continue;
+
+        enemy.waypoints = waypoints;
+        enemy.pathName = path.name;
+
+        // Find closest segment on the new path
+        let best = { distance: Infinity, x: enemy.x, y: enemy.y, segIndex: 0, t: 0 };
+        for (let i = 0; i < waypoints.length - 1; i += 1) {
+            const a = waypoints[i];
+            const b = waypoints[i + 1];
+            const proj = projectPointOntoSegment({ x: enemy.x, y: enemy.y }, a, b);
+            if (proj.distance < best.distance) {
+                best = { distance: proj.distance, x: proj.x, y: proj.y, segIndex: i, t: proj.t };
             }
+        }
 
-            // Snap enemy to the new path
-            enemy.x = best.x;
-            enemy.y = best.y;
+        // Snap enemy to the new path
+        enemy.x = best.x;
+        enemy.y = best.y;
 
-            // Advance index to the segment's endpoint we are headed toward.
-            // (Movement system will continue from here cleanly.)
-            enemy.currentWaypointIndex = Math.min(best.segIndex + 1, waypoints.length - 1);
-        }
+        // Advance index to the segment's endpoint we are headed toward.
+        // (Movement system will continue from here cleanly.)
+        enemy.currentWaypointIndex = Math.min(best.segIndex + 1, waypoints.length - 1);
+
+        // Re-measure path progress against the rebuilt path's segment lengths
+        updateEnemyPathProgress(enemy, waypoints, path.cumulativePathLengths, enemy.currentWaypointIndex);
     }
 }
 
@@ -165,68 +182,29 @@ const userInterface = createUserInterfaceBindings();
 // Configuration (shallow copy; functions remain referenced)
 // ===========================================
 
-const configuration = {
-    ...GAME_CONFIG,
-    map: { ...GAME_CONFIG.map },
-    towersByTypeKey: { ...GAME_CONFIG.towersByTypeKey },
-};
+const configuration = createGameConfiguration(GAME_CONFIG);
 
 // Enable responsive grid and scaling
 configuration.autoScaleGridCellSize = true;
 configuration.minGridCellSize = 20;
 configuration.maxGridCellSize = 80;
 
+// Runtime edits (admin tools) go through the store so open panels hear about them
+const configStore = createConfigStore(configuration);
+
 // ===========================================
 // Game State and Factories
 // ===========================================
 
-const gameState = {
-    configuration,
-    gridMap: null,
-    money: 0,
-    lives: 0,
-    currentWaveNumber: 0,
-    autoStartNextWave: false,
-    enemies: [],
-    towers: [],
-    projectiles: [],
-    floatingTexts: [],
-
-    // Particles & visual FX (new)
-    // - particles: short-lived visual fragments (explosion debris / embers)
-    // - decals: longer-lived static marks (scorch)
-    // - screenFlash: used to show a quick white flash on big explosions
-    particles: [],       // array of { type: 'fragment'|'scorch', x, y, vx, vy, lifeMs, maxLifeMs, size, color, ... }
-    decals: [],          // array of long life persistent decals (scorch marks), rendered beneath entities
-    screenFlash: {       // simple one-shot screen flash: { alpha: 0..1, ttlMs }
-        alpha: 0,
-        ttlMs: 0
-    },
-
-    // Admin / runtime modifiers
-    modifiers: {
-        towerDamageMultiplier: 1, // <= Admin panel will change this
-    },
-    factories: {
-        // Use the current grid's waypoints at creation time (no stale closure)
-        createEnemy: (statBlock) => new EnemyEntity(statBlock, gameState.gridMap.waypoints),
-
-        createTower: (towerTypeKey, gridX, gridY) => {
-            const definition = { ...configuration.towersByTypeKey[towerTypeKey] };
-            const sizeCells = Math.max(1, Math.floor(Number(definition.sizeCells ?? 1)));
-
-            const { x: pixelX, y: pixelY } = footprintCenterPixels(
-                gridX,
-                gridY,
-                sizeCells,
-                configuration.gridCellSize
-            );
-
-            return new TowerEntity(definition, pixelX, pixelY, gridX, gridY, towerTypeKey);
-        },
+// URL ?seed= wins over the configured seed; otherwise every page load gets a fresh one.
+// Numeric URL seeds are taken as numbers, so the seed shown in the stats panel reproduces the run.
+function resolveRandomSeed() {
+    const fromUrl = new URLSearchParams(window.location.search).get("seed");
+    if (fromUrl !== null && /^\d+$/.test(fromUrl)) return Number(fromUrl);
+    return fromUrl ?? configuration.simulation?.randomSeed ?? Date.now();
+}
 
-    },
-};
+const gameState = createGameState(configuration, { seed: resolveRandomSeed() });
 
 installTowerSelection(document.getElementById("gameCanvas"), gameState);
 
@@ -239,11 +217,15 @@ const renderer = new CanvasRenderer(renderingContext2D, gameState.gridMap, confi
 // Systems
 // ===========================================
 
+const statusEffectSystem = new StatusEffectSystem();
+const enemyAbilitySystem = new EnemyAbilitySystem();
 const movementSystem = new MovementSystem();
-const combatSystem = new CombatSystem(() => userInterface.targetingModeSelect.value);
+const combatSystem = new CombatSystem();
 const floatingTextSystem = new FloatingTextSystem();
+// Starts procedural; the JSON script is swapped in once loaded (see initialize()).
+const wavePlan = createScriptedWavePlan(WavePlanFactory);
 const waveSpawnerSystem = new WaveSpawnerSystem(
-    WavePlanFactory,
+    wavePlan,
     EnemyStatFactories,
     (completedWaveNumber, currentGameState) => {
         const moreWavesRemain = completedWaveNumber < configuration.maximumWaveNumber;
@@ -255,15 +237,19 @@ const waveSpawnerSystem = new WaveSpawnerSystem(
             playerIsAlive &&
             !waveSpawnerSystem.isActive
         ) {
-            // Small breathing room before the next wave starts
-            setTimeout(() => {
-                if (!waveSpawnerSystem.isActive) {
-                    waveSpawnerSystem.startWave(currentGameState);
-                }
-            }, 800);
+            // Small breathing room before the next wave starts (in simulation time, so runs stay reproducible)
+            autoStartNextWaveAtSeconds = currentGameState.simulationTimeSeconds + 0.8;
         }
+
+        // Between waves is the only safe point to snapshot the run (never from a replay).
+        // After scheduling the auto-start, so the save carries it.
+        if (playerIsAlive && !replayPlayer) autosaveRun();
     }
 );
+let autoStartNextWaveAtSeconds = null;
+// True until the configured wave script has loaded (or failed); no wave may start
+// before then, or early waves would come from the procedural plan and not reproduce.
+let isWaveScriptLoading = false;
 
 
 // ===========================================
@@ -272,7 +258,10 @@ const waveSpawnerSystem = new WaveSpawnerSystem(
 
 let selectedTowerTypeKey = null;
 let selectedTowerButtonElement = null;
-let lastPlacedTower = null;
+
+// Towers placed in the current build phase, newest last; "Undo" sells the latest one back
+// at full price. Cleared whenever a wave starts.
+const placementUndoStack = [];
 
 // Drag-to-place state
 let isDragPlacing = false;
@@ -322,9 +311,16 @@ function tryPlaceSelectedTowerAtCell(gridX, gridY) {
     const topLeftX = Math.min(Math.max(0, gridX), maxX);
     const topLeftY = Math.min(Math.max(0, gridY), maxY);
 
-    const isOnPath = isAreaOnPath(gameState.gridMap, topLeftX, topLeftY, sizeCells);
-    const isOccupied = doesAreaOverlapAnyTower(gameState, topLeftX, topLeftY, sizeCells);
-    if (isOnPath || isOccupied) return false;
+    return issueCommand({ type: "placeTower", towerTypeKey: selectedTowerTypeKey, gridX: topLeftX, gridY: topLeftY });
+}
+
+/**
+ * Builds a tower with its footprint's top-left at (gridX, gridY) if the area is free and affordable.
+ * Returns true if a tower was placed.
+ */
+function placeTower(towerTypeKey, gridX, gridY) {
+    if (!checkTowerPlacement(gameState, towerTypeKey, gridX, gridY).ok) return false;
+    const def = configuration.towersByTypeKey[towerTypeKey];
 
     // Cost check
     if (gameState.money < def.buildCost) {
@@ -338,9 +334,11 @@ function tryPlaceSelectedTowerAtCell(gridX, gridY) {
 
     gameState.money -= def.buildCost;
 
-    const tower = gameState.factories.createTower(selectedTowerTypeKey, topLeftX, topLeftY);
+    const tower = gameState.factories.createTower(towerTypeKey, gridX, gridY);
+    const duringBuildPhase = !waveSpawnerSystem.isActive;
+    TowerSaleSystem.markBuilt(tower, gameState, { duringBuildPhase });
     gameState.towers.push(tower);
-    lastPlacedTower = tower;
+    if (duringBuildPhase) placementUndoStack.push(tower);
 
     // NEW: show upgrades for the newly placed tower
     showTowerUpgrades(tower, gameState);
@@ -356,26 +354,12 @@ buildTowerButtonsFromConfig(userInterface, configuration, selectTowerType);
 // Register UI Event Listseners
 // ===========================================
 
-userInterface.refundLastTowerButton.addEventListener("click", () => {
-    if (!lastPlacedTower) return;
-
-    const refundAmount = Math.floor(
-        configuration.towersByTypeKey[lastPlacedTower.towerTypeKey].buildCost * configuration.towerRefundRate
-    );
-
-    gameState.money += refundAmount;
-    gameState.towers = gameState.towers.filter((tower) => tower !== lastPlacedTower);
-    lastPlacedTower = null;
-
-    updateTowerButtonsDisableState(gameState);
-
-    refreshStatsPanel(userInterface, gameState, configuration);
+userInterface.undoPlacementButton.addEventListener("click", () => {
+    issueCommand({ type: "undoPlacement" });
 });
 
 userInterface.startWaveButton.addEventListener("click", () => {
-    if (!waveSpawnerSystem.isActive) {
-        waveSpawnerSystem.startWave(gameState);
-    }
+    issueCommand({ type: "startWave" });
 });
 
 userInterface.gridCellSizeInput.addEventListener("change", () => {
@@ -389,9 +373,157 @@ userInterface.gridCellSizeInput.addEventListener("change", () => {
 });
 
 userInterface.autoStartNextWaveCheckbox.addEventListener("change", (event) => {
-    gameState.autoStartNextWave = Boolean(event.target.checked);
+    if (!issueCommand({ type: "setAutoStartNextWave", enabled: Boolean(event.target.checked) })) {
+        event.target.checked = gameState.autoStartNextWave;
+    }
 });
 
+// ===========================================
+// Player Commands (recorded for replays, see core/replay.js)
+// ===========================================
+
+const replayRecorder = new ReplayRecorder();
+let lastRecording = null;   // most recent finished recording (export / watch)
+let replayPlayer = null;    // non-null while the read-only replay viewer is active
+let replaySpeed = 1;
+let preReplaySnapshot = null;
+
+setTowerUpgradeCommandHandler((command) => issueCommand(command));
+setTowerUpgradeConfigStore(configStore);
+
+// Hovering an upgrade shows the tower's range ring next to its post-upgrade one
+setTowerUpgradeHoverHandler((hover) => {
+    if (!hover) {
+        renderer.setHoverPreview(null);
+        return;
+    }
+    const { tower, changes } = hover;
+    const rangeChange = changes.find(c => c.path === "attackRangePixels");
+    renderer.setHoverPreview({
+        x: tower.x,
+        y: tower.y,
+        radiusPixels: tower.attackRangePixels,
+        nextRadiusPixels: rangeChange ? rangeChange.after : null,
+        minimumRadiusPixels: tower.minimumRangePixels,
+        strokeColor: tower.uiColor,
+    });
+});
+
+// Commands only ever address real towers; Tower Creator previews are never recorded
+function findTowerAtCell(gridX, gridY) {
+    return gameState.towers.find(t => !t.isPreview && t.gridX === gridX && t.gridY === gridY) || null;
+}
+
+/**
+ * Removes a tower and pays out its sell value (see TowerSaleSystem), or its whole
+ * investment when undoing a placement. refundAmount overrides both (legacy refunds).
+ */
+function sellTower(tower, { fullRefund = false, refundAmount: fixedRefundAmount = null } = {}) {
+    if (!tower) return false;
+
+    const refundAmount = fixedRefundAmount ?? (fullRefund
+        ? TowerSaleSystem.getInvestment(tower, configuration)
+        : TowerSaleSystem.getSellValue(tower, gameState));
+
+    gameState.money += refundAmount;
+    gameState.towers = gameState.towers.filter((t) => t !== tower);
+
+    const stackIndex = placementUndoStack.indexOf(tower);
+    if (stackIndex !== -1) placementUndoStack.splice(stackIndex, 1);
+    if (gameState.selectedTower === tower) gameState.selectedTower = null;
+    if (isShowingTowerUpgrades(tower)) clearTowerUpgrades();
+
+    toast.info(`Sold ${tower.displayName || tower.towerTypeKey} for $${refundAmount}.`, {
+        title: fullRefund ? "Undo" : "Sell",
+        durationMs: 1400,
+    });
+
+    updateTowerButtonsDisableState(gameState);
+    refreshStatsPanel(userInterface, gameState, configuration);
+    return true;
+}
+
+/** Closes the build phase: placements can no longer be undone. */
+function startNextWave() {
+    if (waveSpawnerSystem.isActive || isWaveScriptLoading) return false;
+    clearTowerPreview();
+    placementUndoStack.length = 0;
+    waveSpawnerSystem.startWave(gameState);
+    return true;
+}
+
+/**
+ * Entry point for every player action that changes the simulation.
+ * Applies it immediately and, when recording, logs it against the current tick.
+ */
+function issueCommand(command) {
+    if (replayPlayer) {
+        toast.info("The replay viewer is read-only.", { title: "Replay", durationMs: 1400, coalesceKey: "replay-read-only" });
+        return false;
+    }
+    const addressesPreviewTower = command.type !== "placeTower"
+        && gameState.towers.some(t => t.isPreview && t.gridX === command.gridX && t.gridY === command.gridY);
+    if (addressesPreviewTower) {
+        toast.info("Preview towers can't be sold, upgraded or retargeted.", { title: "Tower Creator", durationMs: 1800, coalesceKey: "preview-tower" });
+        return false;
+    }
+    const applied = executeCommand(command);
+    if (applied) replayRecorder.record(gameState.simulationTick, command);
+    return applied;
+}
+
+/** Applies a command to the run. Returns false if it had no effect. */
+function executeCommand(command) {
+    switch (command.type) {
+        // The preview never outlives a change to the board, so it can't block a placement
+        case "placeTower":
+            clearTowerPreview();
+            return placeTower(command.towerTypeKey, command.gridX, command.gridY);
+
+        case "upgradeTower": {
+            const tower = findTowerAtCell(command.gridX, command.gridY);
+            if (!tower || !purchaseTowerUpgrade(tower, command.upgradeKey, gameState)) return false;
+            refreshTowerUpgrades();
+            return true;
+        }
+
+        case "sellTower":
+            return sellTower(findTowerAtCell(command.gridX, command.gridY));
+
+        // Only recordings made before selling existed contain this; it still pays
+        // what it paid then (build cost x towerRefundRate) so they replay the same
+        case "refundTower": {
+            const tower = findTowerAtCell(command.gridX, command.gridY);
+            if (!tower) return false;
+            const buildCost = configuration.towersByTypeKey[tower.towerTypeKey]?.buildCost ?? 0;
+            return sellTower(tower, { refundAmount: Math.floor(buildCost * configuration.towerRefundRate) });
+        }
+
+        case "undoPlacement":
+            if (!placementUndoStack.length) return false;
+            return sellTower(placementUndoStack.at(-1), { fullRefund: true });
+
+        case "setTargeting": {
+            const tower = findTowerAtCell(command.gridX, command.gridY);
+            if (!tower || !TARGETING_MODES.includes(command.mode)) return false;
+            tower.targetingMode = command.mode;
+            return true;
+        }
+
+        case "startWave":
+            return startNextWave();
+
+        case "setAutoStartNextWave":
+            gameState.autoStartNextWave = Boolean(command.enabled);
+            userInterface.autoStartNextWaveCheckbox.checked = gameState.autoStartNextWave;
+            return true;
+
+        default:
+            console.warn(`Unknown command "${command.type}".`);
+            return false;
+    }
+}
+
 // ===========================================
 // Admin Panel (hacker sandbox)
 // ===========================================
@@ -409,7 +541,8 @@ function findShopButtonForTowerKey(key) {
 const mapDesigner = {
     isActive: false,
     tool: "path",            // "path" | "erase"
-    workingPath: [],
+    workingPaths: { [DEFAULT_PATH_NAME]: [] }, // { [pathName]: cells[] } — one entry per entrance/branch
+    activePathName: DEFAULT_PATH_NAME,         // path currently being painted
     dragPainting: false,
 
     // snapshot so enabling gives a fresh canvas, and you can restore if you CANCEL
@@ -417,45 +550,77 @@ const mapDesigner = {
     didCommitLast: false,    // if you commit, we don't restore the stash on disable
 };
 
-// Start with a blank workingPath (fresh canvas)
+// The path the editor is currently painting (created on demand)
+function activeWorkingPath() {
+    return (mapDesigner.workingPaths[mapDesigner.activePathName] ||= []);
+}
+
+function sanitizeCells(cells) {
+    return cells
+        .map(o => ({ x: Number(o.x) | 0, y: Number(o.y) | 0 }))
+        .filter(o => Number.isFinite(o.x) && Number.isFinite(o.y));
+}
+
+// Start with a blank working set (fresh canvas, single default path)
 function startBlankWorkingPath() {
-    mapDesigner.workingPath = [];
+    mapDesigner.workingPaths = { [DEFAULT_PATH_NAME]: [] };
+    mapDesigner.activePathName = DEFAULT_PATH_NAME;
 }
 
-function clonePathCellsFromConfig() {
-    const src = configuration?.map?.pathCells ?? [];
-    return src.map(c => ({ x: c.x | 0, y: c.y | 0 }));
+function clonePathsFromConfig() {
+    const out = {};
+    for (const [name, cells] of Object.entries(resolveMapPaths(configuration?.map))) {
+        out[name] = cells.map(c => ({ x: c.x | 0, y: c.y | 0 }));
+    }
+    return out;
 }
 
 function setWorkingFromConfig() {
-    mapDesigner.workingPath = clonePathCellsFromConfig();
+    mapDesigner.workingPaths = clonePathsFromConfig();
+    mapDesigner.activePathName = Object.keys(mapDesigner.workingPaths)[0] ?? DEFAULT_PATH_NAME;
 }
 
 function exportWorkingJSON() {
-    return JSON.stringify(mapDesigner.workingPath, null, 2);
+    return JSON.stringify(mapDesigner.workingPaths, null, 2);
 }
 
+// Accepts either { name: cells[] } or a legacy bare cells[] (loaded as the default path)
 function loadWorkingFromJSON(text) {
     try {
-        const arr = JSON.parse(text);
-        if (!Array.isArray(arr)) return false;
-        mapDesigner.workingPath = arr
-            .map(o => ({ x: Number(o.x) | 0, y: Number(o.y) | 0 }))
-            .filter(o => Number.isFinite(o.x) && Number.isFinite(o.y));
+        const parsed = JSON.parse(text);
+        if (Array.isArray(parsed)) {
+            mapDesigner.workingPaths = { [DEFAULT_PATH_NAME]: sanitizeCells(parsed) };
+        } else if (parsed && typeof parsed === "object") {
+            const paths = {};
+            for (const [name, cells] of Object.entries(parsed)) {
+                if (Array.isArray(cells)) paths[name] = sanitizeCells(cells);
+            }
+            if (Object.keys(paths).length === 0) return false;
+            mapDesigner.workingPaths = paths;
+        } else {
+            return false;
+        }
+        mapDesigner.activePathName = Object.keys(mapDesigner.workingPaths)[0];
         return true;
     } catch { return false; }
 }
 
 function commitWorkingToConfigAndRebuild() {
     // Validate before committing
-    const { ok, reason } = validateWorkingPath(mapDesigner.workingPath, gameState.gridMap);
+    const { ok, reason } = validateWorkingPaths(mapDesigner.workingPaths, gameState.gridMap);
     if (!ok) {
         toast.error(reason || "Invalid path.", { title: "Map Designer", durationMs: 4000 });
         return;
     }
 
-    // Replace map path with a deep copy of the working path
-    configuration.map.pathCells = mapDesigner.workingPath.map(c => ({ x: c.x | 0, y: c.y | 0 }));
+    // Replace map paths with a deep copy of the working set
+    const paths = {};
+    for (const [name, cells] of Object.entries(mapDesigner.workingPaths)) {
+        paths[name] = cells.map(c => ({ x: c.x | 0, y: c.y | 0 }));
+    }
+    configuration.map.paths = paths;
+    configuration.map.defaultPathName = paths[DEFAULT_PATH_NAME] ? DEFAULT_PATH_NAME : Object.keys(paths)[0];
+    delete configuration.map.pathCells;
 
     // Recompute grid & realign entities
     recomputeGridForCanvas(configuration, gameState, renderer, gameCanvas);
@@ -470,24 +635,26 @@ function snapToGrid(px, py) {
 }
 
 function cellIndexInWorking(gx, gy) {
-    return mapDesigner.workingPath.findIndex(c => c.x === gx && c.y === gy);
+    return activeWorkingPath().findIndex(c => c.x === gx && c.y === gy);
 }
 
 function addCell(gx, gy) {
     if (gx < 0 || gy < 0) return;
     if (gx >= gameState.gridMap.gridColumnCount || gy >= gameState.gridMap.gridRowCount) return;
     if (cellIndexInWorking(gx, gy) === -1) {
-        mapDesigner.workingPath.push({ x: gx, y: gy });
+        activeWorkingPath().push({ x: gx, y: gy });
     }
 }
 
 function eraseCell(gx, gy) {
     const i = cellIndexInWorking(gx, gy);
-    if (i >= 0) mapDesigner.workingPath.splice(i, 1);
+    if (i >= 0) activeWorkingPath().splice(i, 1);
 }
 
 const mapDesignerHooks = {
     enable() {
+        replayRecorder.noteUnrecordedChange("map designer");
+
         // Snapshot gameplay so editor starts with a fresh canvas
         mapDesigner.stash = {
             towers: [...gameState.towers],
@@ -530,6 +697,8 @@ const mapDesignerHooks = {
         mapDesigner.stash = null;
     },
     clear() {
+        replayRecorder.noteUnrecordedChange("map designer");
+
         // Keep editor active so painting can resume immediately after a clear
         mapDesigner.isActive = true;
         mapDesigner.dragPainting = false;
@@ -538,15 +707,17 @@ const mapDesignerHooks = {
         mapDesigner.tool = "path";
 
         // Wipe both working and committed paths
-        mapDesigner.workingPath = [];
-        configuration.map.pathCells = [];
+        startBlankWorkingPath();
+        configuration.map.paths = { [DEFAULT_PATH_NAME]: [] };
+        configuration.map.defaultPathName = DEFAULT_PATH_NAME;
+        delete configuration.map.pathCells;
 
         // Fresh grid (blank path)
         recomputeGridForCanvas(configuration, gameState, renderer, gameCanvas);
 
         // Make sure the overlay points at the (now empty) working path; update() will keep it in sync
         if (renderer.setMapDesignerOverlay) {
-            renderer.setMapDesignerOverlay(mapDesigner.workingPath);
+            renderer.setMapDesignerOverlay(activeWorkingPath());
         }
     },
     startBlank() {
@@ -562,55 +733,149 @@ const mapDesignerHooks = {
         return loadWorkingFromJSON(text);
     },
     commitToConfig() {
+        replayRecorder.noteUnrecordedChange("map designer");
         commitWorkingToConfigAndRebuild();
+    },
+    loadFromConfig() {
+        setWorkingFromConfig();
+    },
+    listPaths() {
+        return Object.keys(mapDesigner.workingPaths);
+    },
+    getActivePath() {
+        return mapDesigner.activePathName;
+    },
+    setActivePath(name) {
+        if (mapDesigner.workingPaths[name]) mapDesigner.activePathName = name;
+    },
+    // New named path (extra entrance or branch); becomes the active one. Returns the final name.
+    addPath(name) {
+        const base = String(name || "path").trim().toLowerCase().replace(/[^a-z0-9_\-]/g, "-") || "path";
+        let unique = base;
+        for (let n = 2; mapDesigner.workingPaths[unique]; n += 1) unique = `${base}-${n}`;
+        mapDesigner.workingPaths[unique] = [];
+        mapDesigner.activePathName = unique;
+        return unique;
+    },
+    removePath(name) {
+        const names = Object.keys(mapDesigner.workingPaths);
+        if (names.length <= 1 || !mapDesigner.workingPaths[name]) return false;
+        delete mapDesigner.workingPaths[name];
+        if (mapDesigner.activePathName === name) mapDesigner.activePathName = Object.keys(mapDesigner.workingPaths)[0];
+        return true;
     }
 };
 
-function validateWorkingPath(path, grid) {
-    // must have at least 2 cells
-    if (!Array.isArray(path) || path.length < 2) {
-        return { ok: false, reason: "Path must have at least START and END cells." };
-    }
-
-    const cols = grid.gridColumnCount;
-    const rows = grid.gridRowCount;
-
-    // helper: is cell within grid bounds
-    const inBounds = (x, y) => x >= 0 && y >= 0 && x < cols && y < rows;
+// ===========================================
+// Tower Creator preview (admin sandbox; never recorded or saved)
+// ===========================================
 
-    // helper: edge cell?
-    const isEdge = (x, y) => (x === 0 || y === 0 || x === cols - 1 || y === rows - 1);
+const PREVIEW_DUMMY_COUNT = 3;
+const PREVIEW_DUMMY_HIT_POINTS = 1_000_000;
 
-    // 1) All cells must be in-bounds
-    for (const c of path) {
-        if (!inBounds(c.x, c.y)) {
-            return { ok: false, reason: `Cell (${c.x},${c.y}) is out of bounds.` };
+/** Free footprint closest to (pixelX, pixelY), or null if the grid is full. */
+function findFreeCellNear(pixelX, pixelY, sizeCells) {
+    const grid = gameState.gridMap;
+    let best = null;
+    let bestDistance = Infinity;
+    for (let gx = 0; gx + sizeCells <= grid.gridColumnCount; gx += 1) {
+        for (let gy = 0; gy + sizeCells <= grid.gridRowCount; gy += 1) {
+            if (isAreaOnPath(grid, gx, gy, sizeCells) || doesAreaOverlapAnyTower(gameState, gx, gy, sizeCells)) continue;
+            const center = footprintCenterPixels(gx, gy, sizeCells, configuration.gridCellSize);
+            const distance = Math.hypot(center.x - pixelX, center.y - pixelY);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = { gx, gy, ...center };
+            }
         }
     }
+    return best;
+}
 
-    // 2) START and END must be on an edge
-    const start = path[0];
-    const end = path[path.length - 1];
-    if (!isEdge(start.x, start.y)) {
-        return { ok: false, reason: "START cell must be on the grid edge." };
-    }
-    if (!isEdge(end.x, end.y)) {
-        return { ok: false, reason: "END cell must be on the grid edge." };
-    }
+function clearTowerPreview() {
+    const previewTowers = gameState.towers.filter(t => t.isPreview);
+    gameState.towers = gameState.towers.filter(t => !t.isPreview);
+    gameState.enemies = gameState.enemies.filter(e => !e.isPreviewDummy);
+    if (previewTowers.some(t => isShowingTowerUpgrades(t))) clearTowerUpgrades();
+    if (previewTowers.includes(gameState.selectedTower)) gameState.selectedTower = null;
+}
 
-    // 3) Contiguity: every step must be 4-neighbor adjacent (Manhattan distance == 1)
-    for (let i = 1; i < path.length; i += 1) {
-        const a = path[i - 1], b = path[i];
-        const dx = Math.abs(a.x - b.x), dy = Math.abs(a.y - b.y);
-        if (!((dx === 1 && dy === 0) || (dx === 0 && dy === 1))) {
-            return { ok: false, reason: `Path is not contiguous at (${a.x},${a.y}) → (${b.x},${b.y}).` };
+// Spacing (px) of the candidate dummy spots sampled along the path
+const PREVIEW_PATH_SAMPLE_PIXELS = 8;
+
+/**
+ * Spots on the path (with the waypoint an enemy there heads for next) whose
+ * distance from the tower lies between its minimum and attack range.
+ */
+function findPathPointsInRange(waypoints, tower) {
+    const points = [];
+    for (let index = 1; index < waypoints.length; index += 1) {
+        const from = waypoints[index - 1];
+        const to = waypoints[index];
+        const steps = Math.max(1, Math.ceil(Math.hypot(to.x - from.x, to.y - from.y) / PREVIEW_PATH_SAMPLE_PIXELS));
+        for (let step = 0; step < steps; step += 1) {
+            const x = from.x + (to.x - from.x) * (step / steps);
+            const y = from.y + (to.y - from.y) * (step / steps);
+            const distance = Math.hypot(x - tower.x, y - tower.y);
+            if (distance <= tower.attackRangePixels && distance >= tower.minimumRangePixels) {
+                points.push({ x, y, nextWaypointIndex: index });
+            }
         }
     }
-
-    return { ok: true };
+    return points;
 }
 
+/**
+ * Drops a test tower built from `definition` next to the middle of the main path,
+ * with stationary dummies on the path inside its range. Only allowed between waves;
+ * the preview is sandboxed (see canAttackEnemy and randomFor) and cleared when a wave starts.
+ * @returns {{ok:true}|{ok:false, reason:string}}
+ */
+function previewTowerDefinition(towerTypeKey, definition) {
+    if (replayPlayer) return { ok: false, reason: "The replay viewer is read-only." };
+    if (waveSpawnerSystem.isActive) return { ok: false, reason: "Previews are only available between waves." };
+    clearTowerPreview();
+
+    const route = gameState.gridMap.getRoute(null, false);
+    const waypoints = route?.waypoints || [];
+    if (waypoints.length < 2) return { ok: false, reason: "The map has no path to preview on." };
+
+    const sizeCells = Math.max(1, Math.floor(Number(definition.sizeCells ?? 1)));
+    const anchor = waypoints[Math.floor(waypoints.length / 2)];
+    const spot = findFreeCellNear(anchor.x, anchor.y, sizeCells);
+    if (!spot) return { ok: false, reason: "No free cell for the preview tower." };
+
+    const tower = new TowerEntity(
+        { ...definition, defaultTargetingMode: definition.defaultTargetingMode ?? configuration.defaultTargetingMode },
+        spot.x, spot.y, spot.gx, spot.gy, towerTypeKey
+    );
+    const inRange = findPathPointsInRange(waypoints, tower);
+    if (!inRange.length) return { ok: false, reason: "No stretch of the path lies inside the preview tower's range." };
+
+    tower.isPreview = true;
+    tower.investedMoney = 0;
+    gameState.towers.push(tower);
 
+    // Dummies sit still (speed 0), spread evenly over the in-range stretch of the path
+    const dummyCount = Math.min(PREVIEW_DUMMY_COUNT, inRange.length);
+    for (let i = 0; i < dummyCount; i += 1) {
+        const point = inRange[Math.floor(((i + 0.5) * inRange.length) / dummyCount)];
+        const dummy = gameState.factories.createEnemy({
+            name: "Dummy",
+            hitPoints: PREVIEW_DUMMY_HIT_POINTS,
+            movementSpeedCellsPerSecond: 0,
+            drawRadiusPixels: 12,
+            rewardMoney: 0,
+            fillColor: "#94a3b8",
+        });
+        dummy.isPreviewDummy = true;
+        dummy.x = point.x;
+        dummy.y = point.y;
+        dummy.currentWaypointIndex = point.nextWaypointIndex;
+        gameState.enemies.push(dummy);
+    }
+    return { ok: true };
+}
 
 const adminPanel = createAdminPanel(document, gameState, configuration, {
     rebuildTowerButtons: () => {
@@ -631,11 +896,14 @@ const adminPanel = createAdminPanel(document, gameState, configuration, {
         if (btn) selectTowerType(key, btn);
     },
     mapDesignerHooks,
+    configStore,
+    previewTowerDefinition,
+    clearTowerPreview,
     startWaveNow: () => {
-        if (!waveSpawnerSystem.isActive) {
-            waveSpawnerSystem.startWave(gameState);
-        }
-    }
+        issueCommand({ type: "startWave" });
+    },
+    // Admin edits bypass issueCommand, so a recording made meanwhile won't reproduce
+    onAdminAction: (label) => replayRecorder.noteUnrecordedChange(label),
 });
 
 const openAdminButton = document.getElementById("openAdminPanelButton");
@@ -680,16 +948,19 @@ function showTowerTooltip(userInterface, tower, mouseClientX, mouseClientY) {
     const attacksPerSecond = Number(tower.attacksPerSecond ?? 0);
     const baseDamagePerShot = Number(tower.damagePerShot ?? 0);
     const attackRangePixels = Number(tower.attackRangePixels ?? 0);
+    const minimumRangePixels = Number(tower.minimumRangePixels ?? 0);
     const buildCost = Number(tower.buildCost ?? 0);
 
     const globalMult = Math.max(0, Number(gameState?.modifiers?.towerDamageMultiplier ?? 1));
     const effectiveDamagePerShot = Math.max(0, Math.round(baseDamagePerShot * globalMult));
 
+    // Combat uses aoe first, then splash
+    const areaConfig = tower?.aoe || tower?.splash;
     const splashRadius =
-        tower?.splash &&
-            typeof tower.splash === "object" &&
-            Number.isFinite(tower.splash.radiusPixels)
-            ? Number(tower.splash.radiusPixels)
+        areaConfig &&
+            typeof areaConfig === "object" &&
+            Number.isFinite(areaConfig.radiusPixels)
+            ? Number(areaConfig.radiusPixels)
             : null;
 
     // Build upgrades block if the config actually defines any
@@ -702,6 +973,17 @@ function showTowerTooltip(userInterface, tower, mouseClientX, mouseClientY) {
             const max = Array.isArray(path?.levels) ? path.levels.length : 0;
             const name = path?.displayName || key;
             rows.push(`<div class="statRow"><span class="label">${name}</span><span>Lv ${level}/${max}</span></div>`);
+
+            // Before -> after for the next level, unless the branch is closed
+            const check = TowerUpgradeSystem.checkUpgrade(tower, key, cfgRoot);
+            if (check.state === "maxed" || check.state === "excluded") continue;
+            for (const row of summarizeUpgradeChanges(TowerUpgradeSystem.previewUpgrade(tower, key, cfgRoot))) {
+                rows.push(`
+                <div class="statRow upgradePreviewRow">
+                  <span class="label">${row.label}</span>
+                  <span>${row.after ? `${row.before} → <span class="upgradePreviewAfter">${row.after}</span>` : ""}</span>
+                </div>`);
+            }
         }
         if (rows.length) {
             upgradesHtml = `
@@ -725,12 +1007,19 @@ function showTowerTooltip(userInterface, tower, mouseClientX, mouseClientY) {
       <div class="statRow">
         <span class="label">Damage Type</span><span>${tower.damageType || "physical"}</span>
       </div>
+      <div class="statRow">
+        <span class="label">Targets</span><span>${[tower.canTargetGround !== false && "Ground", tower.canTargetAir !== false && "Air"].filter(Boolean).join(" + ") || "None"}</span>
+      </div>
       <div class="statRow">
         <span class="label">Attacks / Sec</span><span>${attacksPerSecond.toFixed(2)}</span>
       </div>
       <div class="statRow">
         <span class="label">Range (px)</span><span>${attackRangePixels}</span>
       </div>
+      ${minimumRangePixels > 0 ? `
+      <div class="statRow">
+        <span class="label">Min Range (px)</span><span>${minimumRangePixels}</span>
+      </div>` : ``}
       ${splashRadius !== null ? `
       <div class="statRow">
         <span class="label">Splash (px)</span><span>${splashRadius}</span>
@@ -858,6 +1147,7 @@ gameCanvas.addEventListener("mousemove", (mouseEvent) => {
             x: hoveredTower.x,
             y: hoveredTower.y,
             radiusPixels: hoveredTower.attackRangePixels,
+            minimumRadiusPixels: hoveredTower.minimumRangePixels,
             strokeColor: hoveredTower.uiColor,
         });
         showTowerTooltip(userInterface, hoveredTower, mouseEvent.clientX, mouseEvent.clientY);
@@ -902,6 +1192,7 @@ gameCanvas.addEventListener("mousemove", (mouseEvent) => {
                 x: center.x,
                 y: center.y,
                 radiusPixels: towerDefinition.attackRangePixels,
+                minimumRadiusPixels: towerDefinition.minimumRangePixels,
                 strokeColor: towerDefinition.uiColor,
             });
         } else {
@@ -1013,60 +1304,399 @@ gameCanvas.addEventListener("mousemove", (e) => {
 
 
 
-// Allow ESC to toggle selection off
+// Allow ESC to toggle selection off; Ctrl/Cmd+Z undoes the latest placement
 window.addEventListener("keydown", (evt) => {
     if (evt.key === "Escape") {
         clearPlacementSelection();
     }
+    const activeTag = document.activeElement?.tagName?.toLowerCase();
+    const typing = activeTag === "input" || activeTag === "textarea" || document.activeElement?.isContentEditable;
+    if ((evt.ctrlKey || evt.metaKey) && evt.key.toLowerCase() === "z" && !typing) {
+        evt.preventDefault();
+        issueCommand({ type: "undoPlacement" });
+    }
+});
+
+// ===========================================
+// Game Speed (pause / 1x-3x / step)
+// ===========================================
+
+userInterface.pauseButton?.addEventListener("click", () => timeScale.togglePause());
+userInterface.stepFrameButton?.addEventListener("click", () => timeScale.step());
+for (const button of userInterface.gameSpeedButtons) {
+    button.addEventListener("click", () => timeScale.setSpeed(Number(button.dataset.speed)));
+}
+
+// Space pauses, 1-3 pick a speed, "." steps one tick (ignored while typing)
+window.addEventListener("keydown", (evt) => {
+    const activeTag = document.activeElement?.tagName?.toLowerCase();
+    const typing = activeTag === "input" || activeTag === "textarea" || activeTag === "select" || document.activeElement?.isContentEditable;
+    if (typing || evt.ctrlKey || evt.metaKey || evt.altKey) return;
+
+    if (evt.code === "Space") {
+        evt.preventDefault();
+        timeScale.togglePause();
+    } else if (evt.key === ".") {
+        timeScale.step();
+    } else if (GAME_SPEEDS.includes(Number(evt.key))) {
+        timeScale.setSpeed(Number(evt.key));
+    }
 });
 
+let lastGameSpeedKey = "";
+function refreshGameSpeedControls() {
+    const key = `${timeScale.isPaused}:${timeScale.speed}`;
+    if (key === lastGameSpeedKey) return;
+    lastGameSpeedKey = key;
+
+    if (userInterface.pauseButton) {
+        userInterface.pauseButton.textContent = timeScale.isPaused ? "Resume" : "Pause";
+        userInterface.pauseButton.classList.toggle("selected", timeScale.isPaused);
+    }
+    for (const button of userInterface.gameSpeedButtons) {
+        button.classList.toggle("selected", !timeScale.isPaused && Number(button.dataset.speed) === timeScale.speed);
+    }
+}
+
 // ===========================================
 // Game Loop
 // ===========================================
 
 let lastFrameTimestamp = performance.now();
+let simulationAccumulatorSeconds = 0;
+
+// Pause / 1x-3x / single-step (see core/simulationClock.js)
+const timeScale = createTimeScale();
 
 function animationFrame(timestamp) {
-    const deltaSeconds = (timestamp - lastFrameTimestamp) / 1000;
+    const frameSeconds = Math.max(0, (timestamp - lastFrameTimestamp) / 1000);
     lastFrameTimestamp = timestamp;
 
-    update(deltaSeconds);
+    update(frameSeconds);
     renderer.drawFrame(gameState);
     requestAnimationFrame(animationFrame);
 }
 
-function update(deltaSeconds) {
-    movementSystem.tick(gameState, deltaSeconds);
-    combatSystem.tick(gameState, deltaSeconds);
-    waveSpawnerSystem.tick(gameState, deltaSeconds);
-    floatingTextSystem.tick(gameState, deltaSeconds); // << new
+/**
+ * Feeds wall-clock frame time into a fixed-timestep accumulator: the simulation
+ * only ever advances in whole steps of fixedStepSeconds, so identical inputs
+ * give identical runs regardless of frame rate. Fast-forward scales the time fed
+ * in; while paused only explicitly requested single steps run. UI refresh happens
+ * once per frame.
+ */
+function update(frameSeconds) {
+    const fixedStepSeconds = configuration.simulation?.fixedStepSeconds || 1 / 60;
+    const maxStepsPerFrame = configuration.simulation?.maxStepsPerFrame || 8;
+
+    // The replay viewer has its own speed picker; it stops stepping once the recording is exhausted
+    const speed = replayPlayer ? replaySpeed : timeScale.speed;
+    const replayFinished = Boolean(replayPlayer?.isFinished(gameState.simulationTick));
+    if (replayFinished || timeScale.isPaused) {
+        simulationAccumulatorSeconds = 0;
+    } else {
+        simulationAccumulatorSeconds += frameSeconds * speed;
+    }
+
+    let steps = 0;
+    while (simulationAccumulatorSeconds >= fixedStepSeconds && steps < maxStepsPerFrame * Math.max(1, speed)) {
+        stepSimulation(fixedStepSeconds);
+        simulationAccumulatorSeconds -= fixedStepSeconds;
+        steps += 1;
+    }
+    // After a long stall (e.g. background tab) drop the backlog instead of spiralling
+    if (simulationAccumulatorSeconds >= fixedStepSeconds) simulationAccumulatorSeconds = 0;
+
+    for (let pending = timeScale.takePendingSteps(); pending > 0 && !replayFinished; pending -= 1) {
+        stepSimulation(fixedStepSeconds);
+    }
+    refreshGameSpeedControls();
+    refreshTowerSellValue();
+    userInterface.undoPlacementButton.disabled = placementUndoStack.length === 0 || Boolean(replayPlayer);
 
     updateTowerButtonsDisableState(gameState);
 
-    if (gameState.lives <= 0) {
+    replayPanel.update({
+        isRecording: replayRecorder.isRecording,
+        isViewing: Boolean(replayPlayer),
+        isFinished: replayFinished,
+        hasRecording: Boolean(lastRecording),
+        tick: gameState.simulationTick,
+        endTick: replayPlayer?.recording.endTick ?? 0,
+    });
+
+    if (gameState.lives <= 0 && !replayPlayer) {
         toast.error("You ran out of lives. Click to restart run.", {
             title: "Game Over",
             durationMs: 7000,
-            onClick: () => resetGameState(),
+            onClick: () => {
+                // The run is over; don't offer to resume it on the next visit
+                saveSlots.remove(AUTOSAVE_SLOT);
+                resetGameState();
+            },
         });
     }
 
     // Persist the overlay path on the renderer; draw happens in drawFrame.
-    renderer.setMapDesignerOverlay(mapDesigner.isActive ? mapDesigner.workingPath : null);
+    if (mapDesigner.isActive) {
+        const others = Object.entries(mapDesigner.workingPaths)
+            .filter(([name]) => name !== mapDesigner.activePathName)
+            .map(([, cells]) => cells);
+        renderer.setMapDesignerOverlay(activeWorkingPath(), others);
+    } else {
+        renderer.setMapDesignerOverlay(null);
+    }
 
 
     refreshStatsPanel(userInterface, gameState, configuration);
 }
 
-function resetGameState() {
-    gameState.money = configuration.startingMoney;
-    gameState.lives = configuration.startingLives;
-    gameState.currentWaveNumber = 0;
+/** Advances every system by exactly one fixed step. */
+function stepSimulation(deltaSeconds) {
+    if (replayPlayer) {
+        for (const command of replayPlayer.takeCommandsForTick(gameState.simulationTick)) {
+            executeCommand(command);
+        }
+    }
+
+    if (autoStartNextWaveAtSeconds !== null && gameState.simulationTimeSeconds >= autoStartNextWaveAtSeconds) {
+        autoStartNextWaveAtSeconds = null;
+        startNextWave();
+    }
+
+    statusEffectSystem.tick(gameState, deltaSeconds);
+    enemyAbilitySystem.tick(gameState, deltaSeconds);
+    movementSystem.tick(gameState, deltaSeconds);
+    combatSystem.tick(gameState, deltaSeconds);
+    waveSpawnerSystem.tick(gameState, deltaSeconds);
+    floatingTextSystem.tick(gameState, deltaSeconds);
+
+    gameState.simulationTick += 1;
+    gameState.simulationTimeSeconds += deltaSeconds;
+}
+
+/**
+ * Clears the current run and starts either a fresh one or the given save snapshot
+ * (already validated with parseRunSnapshot). A snapshot also restores its map paths.
+ */
+function resetGameState(snapshot = null) {
+    // A recording can't span a reset; keep what was captured so far
+    if (replayRecorder.isRecording) lastRecording = replayRecorder.stop(gameState.simulationTick);
+
     gameState.enemies.length = 0;
     gameState.towers.length = 0;
     gameState.projectiles.length = 0;
+    gameState.floatingTexts.length = 0;
+    gameState.particles.length = 0;
+    gameState.decals.length = 0;
+    gameState.scheduledEffects = [];
+    gameState.ripples = [];
+    gameState.lightningBeams = [];
+
+    waveSpawnerSystem.isActive = false;
+    waveSpawnerSystem.spawnPlan = [];
+    waveSpawnerSystem.nextIndexToSpawn = 0;
+    autoStartNextWaveAtSeconds = null;
+
+    gameState.simulationTick = snapshot?.simulationTick ?? 0;
+    gameState.simulationTimeSeconds = snapshot?.simulationTimeSeconds ?? 0;
+    if (Number.isFinite(snapshot?.randomState)) {
+        gameState.rng.setState(snapshot.randomState);
+    } else if (!snapshot) {
+        gameState.rng.reseed(resolveRandomSeed());
+    }
+
+    placementUndoStack.length = 0;
+    gameState.selectedTower = null;
+    clearPlacementSelection();
+    clearTowerUpgrades();
+
+    if (snapshot) {
+        gameState.money = snapshot.money;
+        gameState.lives = snapshot.lives;
+        gameState.currentWaveNumber = snapshot.currentWaveNumber;
+        gameState.autoStartNextWave = Boolean(snapshot.autoStartNextWave);
+        // A pending auto-start (saved just after a wave cleared) still fires on time
+        if (Number.isFinite(snapshot.nextWaveStartsAtSeconds)) autoStartNextWaveAtSeconds = snapshot.nextWaveStartsAtSeconds;
+        Object.assign(gameState.modifiers, snapshot.modifiers || {});
+
+        configuration.map.paths = structuredClone(snapshot.map.paths);
+        configuration.map.defaultPathName = snapshot.map.defaultPathName || undefined;
+        delete configuration.map.pathCells;
+        recomputeGridForCanvas(configuration, gameState, renderer, gameCanvas);
+
+        const { towers, skipped } = restoreTowers(snapshot, gameState.factories.createTower, configuration.towersByTypeKey);
+        gameState.towers.push(...towers);
+        // Towers placed in this build phase can still be undone, latest last (as placed)
+        const nextWaveNumber = gameState.currentWaveNumber + 1;
+        placementUndoStack.push(...towers.filter(t => t.placedBeforeWaveNumber === nextWaveNumber));
+        if (skipped.length) {
+            toast.warn(`Skipped unknown tower type(s): ${[...new Set(skipped)].join(", ")}`, { title: "Load" });
+        }
+    } else {
+        gameState.money = configuration.startingMoney;
+        gameState.lives = configuration.startingLives;
+        gameState.currentWaveNumber = 0;
+    }
+
+    userInterface.autoStartNextWaveCheckbox.checked = gameState.autoStartNextWave;
+    updateTowerButtonsDisableState(gameState);
+    refreshStatsPanel(userInterface, gameState, configuration);
+}
+
+// ===========================================
+// Save Slots (localStorage) + JSON export/import
+// ===========================================
+
+const saveSlots = new SaveSlotStore();
+
+function captureRun() {
+    return serializeRun(gameState, {
+        waveInProgress: waveSpawnerSystem.isActive,
+        nextWaveStartsAtSeconds: autoStartNextWaveAtSeconds,
+    });
+}
+
+function autosaveRun() {
+    const result = captureRun();
+    if (result.ok) saveSlots.write(AUTOSAVE_SLOT, result.snapshot);
+    saveSlotsPanel.refresh();
+}
+
+function loadRunSnapshot(value, label) {
+    if (replayPlayer) {
+        toast.warn("Exit the replay viewer first.", { title: "Load" });
+        return false;
+    }
+    const parsed = parseRunSnapshot(value);
+    if (!parsed.ok) {
+        toast.error(parsed.reason, { title: "Load" });
+        return false;
+    }
+    resetGameState(parsed.snapshot);
+    toast.success(`Loaded ${label} (wave ${parsed.snapshot.currentWaveNumber}).`, { title: "Load", durationMs: 1800 });
+    return true;
+}
+
+const saveSlotsPanel = installSaveSlotsPanel(userInterface.saveSlotsPanel, {
+    store: saveSlots,
+    slots: [AUTOSAVE_SLOT, ...MANUAL_SAVE_SLOTS],
+    onSave: (slot) => {
+        const result = captureRun();
+        const written = result.ok ? saveSlots.write(slot, result.snapshot) : result;
+        if (!written.ok) {
+            toast.warn(written.reason, { title: "Save" });
+            return;
+        }
+        toast.success(`Saved to ${slot}.`, { title: "Save", durationMs: 1400 });
+    },
+    onLoad: (slot) => {
+        const snapshot = saveSlots.read(slot);
+        if (!snapshot) {
+            toast.warn("That slot is empty.", { title: "Load" });
+            return;
+        }
+        loadRunSnapshot(snapshot, slot);
+    },
+    onDelete: (slot) => saveSlots.remove(slot),
+    onExport: () => {
+        const result = captureRun();
+        if (!result.ok) {
+            toast.warn(result.reason, { title: "Export" });
+            return;
+        }
+        downloadJSONFile(`jaxon-td-wave-${gameState.currentWaveNumber}.json`, result.snapshot);
+    },
+    onImport: (text) => loadRunSnapshot(text, "imported save"),
+    onNewRun: () => {
+        if (replayPlayer) {
+            toast.warn("Exit the replay viewer first.", { title: "New Run" });
+            return;
+        }
+        resetGameState();
+    },
+});
+
+// ===========================================
+// Replays (record / watch / export / import)
+// ===========================================
+
+function toggleRecording() {
+    if (replayRecorder.isRecording) {
+        lastRecording = replayRecorder.stop(gameState.simulationTick);
+        if (lastRecording.unrecordedChanges.length) {
+            toast.warn(`Recorded ${lastRecording.commands.length} command(s), but admin tools were used `
+                + `(${lastRecording.unrecordedChanges.join(", ")}), so it won't replay exactly.`, { title: "Replay" });
+        } else {
+            toast.success(`Recorded ${lastRecording.commands.length} command(s).`, { title: "Replay", durationMs: 1600 });
+        }
+        return;
+    }
+
+    // Recordings start from a save snapshot, so the same between-waves rule applies
+    const result = captureRun();
+    if (!result.ok) {
+        toast.warn(result.reason, { title: "Replay" });
+        return;
+    }
+    replayRecorder.start(result.snapshot);
+    toast.info("Recording started.", { title: "Replay", durationMs: 1400 });
 }
 
+function startReplayViewer(value) {
+    const parsed = parseReplay(value);
+    if (!parsed.ok) {
+        toast.error(parsed.reason, { title: "Replay" });
+        return;
+    }
+
+    if (!replayPlayer) {
+        // Remember the live run so leaving the viewer puts the player back where they were
+        const current = captureRun();
+        preReplaySnapshot = current.ok ? current.snapshot : null;
+        if (!current.ok) {
+            toast.warn("The current wave can't be kept; leaving the viewer starts a new run.", { title: "Replay" });
+        }
+    }
+
+    if (parsed.replay.unrecordedChanges.length) {
+        toast.warn(`Recorded while admin tools were used (${parsed.replay.unrecordedChanges.join(", ")}); `
+            + "playback won't match the original run.", { title: "Replay" });
+    }
+
+    resetGameState(parsed.replay.startSnapshot);
+    replayPlayer = new ReplayPlayer(parsed.replay);
+    replaySpeed = 1;
+    setTowerUpgradePanelReadOnly(true);
+    document.body.classList.add("replayViewing");
+}
+
+function exitReplayViewer() {
+    if (!replayPlayer) return;
+
+    replayPlayer = null;
+    setTowerUpgradePanelReadOnly(false);
+    document.body.classList.remove("replayViewing");
+
+    resetGameState(preReplaySnapshot);
+    preReplaySnapshot = null;
+}
+
+const replayPanel = installReplayPanel(userInterface.replayPanel, {
+    onToggleRecording: toggleRecording,
+    onWatchLast: () => {
+        if (lastRecording) startReplayViewer(lastRecording);
+    },
+    onExport: () => {
+        if (!lastRecording) return;
+        downloadJSONFile(`jaxon-td-replay-${lastRecording.startSnapshot.currentWaveNumber}.json`, lastRecording);
+    },
+    onImport: (text) => startReplayViewer(text),
+    onSpeedChange: (speed) => {
+        replaySpeed = speed;
+    },
+    onExitViewer: exitReplayViewer,
+});
+
 // ===========================================
 // Initialize
 // ===========================================
@@ -1087,6 +1717,16 @@ function initialize() {
     gameState.money = configuration.startingMoney;
     gameState.lives = configuration.startingLives;
 
+    // Offer to pick up where the last session left off
+    const autosave = saveSlots.describe(AUTOSAVE_SLOT);
+    if (autosave) {
+        toast.info(`Autosave from wave ${autosave.currentWaveNumber} found. Click to resume.`, {
+            title: "Resume run",
+            durationMs: 8000,
+            onClick: () => loadRunSnapshot(saveSlots.read(AUTOSAVE_SLOT), "autosave"),
+        });
+    }
+
     // NEW: set initial disabled/enabled states
     updateTowerButtonsDisableState(gameState);
 
@@ -1097,6 +1737,23 @@ function initialize() {
 
     refreshStatsPanel(userInterface, gameState, configuration);
     requestAnimationFrame(animationFrame);
+
+    // Load scripted waves; Start Wave stays disabled until that settles (on failure waves are procedural)
+    if (configuration.waveScriptUrl) {
+        isWaveScriptLoading = true;
+        userInterface.startWaveButton.disabled = true;
+        loadWaveScript(configuration.waveScriptUrl).then((script) => {
+            isWaveScriptLoading = false;
+            userInterface.startWaveButton.disabled = false;
+            if (!script) return;
+            const problems = validateWaveScript(script, EnemyStatFactories, gameState.gridMap.pathNames);
+            if (problems.length) {
+                console.warn("Wave script problems:\n" + problems.join("\n"));
+                toast.warn(`Wave script has ${problems.length} problem(s); see console.`, { title: "Waves" });
+            }
+            wavePlan.setScript(script);
+        });
+    }
 }
 
 initialize();
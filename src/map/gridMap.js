@@ -1,5 +1,84 @@
-import { projectPointOntoSegment } from "../core/mathUtils.js";
+import { projectPointOntoSegment, computeCumulativeLengths } from "../core/mathUtils.js";
 
+export const DEFAULT_PATH_NAME = "main";
+
+/**
+ * Normalizes the map's path declarations to { [pathName]: cells[] }.
+ * Supports both shapes:
+ *   A) map.paths = { main: [{x,y}, ...], south: [...] }   (several entrances, forks, merges)
+ *   B) map.pathCells = [{x,y}, ...]                        (legacy single path => "main")
+ * Forks and merges are expressed by paths sharing a run of cells.
+ */
+export function resolveMapPaths(mapConfig) {
+    const declared = mapConfig?.paths;
+    if (declared && typeof declared === "object" && Object.keys(declared).length > 0) {
+        const out = {};
+        for (const [name, cells] of Object.entries(declared)) {
+            out[name] = Array.isArray(cells) ? cells : [];
+        }
+        return out;
+    }
+    return { [DEFAULT_PATH_NAME]: Array.isArray(mapConfig?.pathCells) ? mapConfig.pathCells : [] };
+}
+
+// Off-grid paths already reported, keyed by name and grid size (GridMap is rebuilt on every resize)
+const warnedOffGridPaths = new Set();
+
+/**
+ * Fits a configured path to the grid. The grid's size follows the canvas, so a
+ * path written for a taller or wider map can leave it: off-grid cells are
+ * clamped to the nearest edge (an entrance below the map enters on its bottom
+ * row) and repeats that creates are dropped. Warns once per path and grid size.
+ *
+ * @param {string} name
+ * @param {{x:number,y:number}[]} cells
+ * @param {number} columns
+ * @param {number} rows
+ * @returns {{x:number,y:number}[]} the cells to use; fewer than two means the path is unusable
+ */
+export function fitPathToGrid(name, cells, columns, rows) {
+    const clamp = (value, count) => Math.max(0, Math.min(count - 1, value));
+    const fitted = [];
+    let clamped = false;
+    for (const cell of cells) {
+        const x = clamp(cell.x, columns);
+        const y = clamp(cell.y, rows);
+        if (x !== cell.x || y !== cell.y) clamped = true;
+        const last = fitted[fitted.length - 1];
+        if (!last || last.x !== x || last.y !== y) fitted.push(x === cell.x && y === cell.y ? cell : { x, y });
+    }
+
+    const key = `${name}@${columns}x${rows}`;
+    if (clamped && !warnedOffGridPaths.has(key)) {
+        warnedOffGridPaths.add(key);
+        console.warn(fitted.length >= 2
+            ? `Map path "${name}" leaves the ${columns}x${rows} grid; clamped it to the edge.`
+            : `Map path "${name}" lies outside the ${columns}x${rows} grid; it is not used.`);
+    }
+    return fitted;
+}
+
+/**
+ * Builds a route (path or air lane) from grid cells in CSS-pixel space.
+ * @param {string} name
+ * @param {{x:number,y:number}[]} cells
+ * @param {number} gridCellSize
+ */
+function buildRoute(name, cells, gridCellSize) {
+    const waypoints = cells.map(c => ({
+        x: c.x * gridCellSize + gridCellSize / 2,
+        y: c.y * gridCellSize + gridCellSize / 2
+    }));
+    // Distance from the route start to each waypoint (CSS px); used for path-progress metrics.
+    const cumulativePathLengths = computeCumulativeLengths(waypoints);
+    return {
+        name,
+        cells,
+        waypoints,
+        cumulativePathLengths,
+        totalPathLength: cumulativePathLengths[cumulativePathLengths.length - 1] || 0,
+    };
+}
 
 export class GridMap {
     // Entire updated constructor
@@ -18,13 +97,36 @@ export class GridMap {
         this.gridColumnCount = Math.max(1, Math.floor(cssWidth / this.gridCellSize));
         this.gridRowCount = Math.max(1, Math.floor(cssHeight / this.gridCellSize));
 
-        // Build waypoints in CSS-pixel space
-        // configuration.map.pathCells is in grid units; convert to pixel centers.
-        const cells = configuration.map.pathCells || [];
-        this.waypoints = cells.map(c => ({
-            x: c.x * this.gridCellSize + this.gridCellSize / 2,
-            y: c.y * this.gridCellSize + this.gridCellSize / 2
-        }));
+        // Build every named path in CSS-pixel space.
+        // Path cells are in grid units; convert to pixel centers.
+        this.paths = {};
+        for (const [name, cells] of Object.entries(resolveMapPaths(configuration.map))) {
+            const fitted = fitPathToGrid(name, cells, this.gridColumnCount, this.gridRowCount);
+            // Keep an empty path (the designer's blank map) but not one that fell off the grid
+            if (fitted.length < 2 && cells.length >= 2) continue;
+            this.paths[name] = buildRoute(name, fitted, this.gridCellSize);
+        }
+        this.pathNames = Object.keys(this.paths);
+
+        // Air lanes for flying enemies, keyed by the ground path they replace.
+        // map.airLanes = { main: [{x,y}, ...] } overrides the default straight line
+        // from that path's entrance to its exit (built lazily in getAirLane).
+        this.airLanes = {};
+        for (const [name, cells] of Object.entries(configuration.map?.airLanes || {})) {
+            if (Array.isArray(cells) && cells.length >= 2) {
+                this.airLanes[name] = buildRoute(name, cells, this.gridCellSize);
+            }
+        }
+
+        const preferred = configuration.map?.defaultPathName;
+        this.defaultPathName = this.paths[preferred] ? preferred
+            : (this.paths[DEFAULT_PATH_NAME] ? DEFAULT_PATH_NAME : this.pathNames[0]);
+
+        // Legacy single-path accessors mirror the default path
+        const defaultPath = this.paths[this.defaultPathName];
+        this.waypoints = defaultPath?.waypoints ?? [];
+        this.cumulativePathLengths = defaultPath?.cumulativePathLengths ?? [];
+        this.totalPathLength = defaultPath?.totalPathLength ?? 0;
 
         // Precompute a padded half-width that matches the renderer's stroke (20px)
         // Renderer uses lineWidth = 20 => 10px half-width. Give a tiny cushion for raster rounding.
@@ -32,49 +134,61 @@ export class GridMap {
         const strokeWidthPx = Number.isFinite(configuredStroke) ? configuredStroke : 20;
         this._pathHalfWidthWithCushion = strokeWidthPx / 2 + 1.0;
     }
-    S
+
+    /**
+     * Returns the named path, falling back to the default path for unknown/empty names.
+     * @param {string} [pathName]
+     */
+    getPath(pathName) {
+        return this.paths[pathName] || this.paths[this.defaultPathName] || null;
+    }
+
+    /**
+     * Returns the air lane flying enemies use instead of the named ground path.
+     * Falls back to a straight line between that path's first and last cells.
+     * @param {string} [pathName]
+     */
+    getAirLane(pathName) {
+        const path = this.getPath(pathName);
+        if (!path) return null;
+        if (!this.airLanes[path.name]) {
+            const cells = path.cells.length >= 2 ? [path.cells[0], path.cells[path.cells.length - 1]] : path.cells;
+            this.airLanes[path.name] = buildRoute(path.name, cells, this.gridCellSize);
+        }
+        return this.airLanes[path.name];
+    }
+
+    /** Air lane for flyers, ground path for everything else. */
+    getRoute(pathName, isFlying = false) {
+        return isFlying ? this.getAirLane(pathName) : this.getPath(pathName);
+    }
+
+    /** Paths with at least one segment (what enemies can actually walk). */
+    getWalkablePaths() {
+        return this.pathNames.map(n => this.paths[n]).filter(p => p.waypoints.length >= 2);
+    }
+
     // Entire updated method
     isGridCellOnPath(gridX, gridY) {
         // Cell center in CSS px
         const cx = gridX * this.gridCellSize + this.gridCellSize / 2;
         const cy = gridY * this.gridCellSize + this.gridCellSize / 2;
 
-        // If we don't have at least one segment, nothing is on the path
-        if (!this.waypoints || this.waypoints.length < 2) return false;
-
-        // Walk the polyline, project the point to each segment, track min distance
-        let minDist = Infinity;
-        for (let i = 0; i < this.waypoints.length - 1; i += 1) {
-            const a = this.waypoints[i];
-            const b = this.waypoints[i + 1];
-
-            // Project (cx,cy) onto segment AB in CSS px
-            const abx = b.x - a.x;
-            const aby = b.y - a.y;
-            const apx = cx - a.x;
-            const apy = cy - a.y;
-            const abLenSq = abx * abx + aby * aby;
-
-            let t = 0;
-            if (abLenSq > 0) {
-                t = (apx * abx + apy * aby) / abLenSq;
-                // clamp t to segment
-                if (t < 0) t = 0;
-                else if (t > 1) t = 1;
-            }
-
-            const closestX = a.x + abx * t;
-            const closestY = a.y + aby * t;
-            const dx = cx - closestX;
-            const dy = cy - closestY;
-            const dist = Math.hypot(dx, dy);
+        // A cell is blocked if it lies under ANY path's stroke
+        for (const path of this.getWalkablePaths()) {
+            if (this._isPointNearPolyline(cx, cy, path.waypoints)) return true;
+        }
+        return false;
+    }
 
-            if (dist < minDist) minDist = dist;
+    _isPointNearPolyline(cx, cy, waypoints) {
+        // Walk the polyline, project the point to each segment
+        for (let i = 0; i < waypoints.length - 1; i += 1) {
+            const proj = projectPointOntoSegment({ x: cx, y: cy }, waypoints[i], waypoints[i + 1]);
             // Early out if we’re already within the stroke width
-            if (minDist <= this._pathHalfWidthWithCushion) return true;
+            if (proj.distance <= this._pathHalfWidthWithCushion) return true;
         }
-
-        return minDist <= this._pathHalfWidthWithCushion;
+        return false;
     }
 
-}
\ No newline at end of file
+}
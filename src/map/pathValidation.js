@@ -0,0 +1,72 @@
+// ===========================================
+// File: src/map/pathValidation.js
+// ===========================================
+/*
+ Rules for map-designer paths. Kept free of DOM/canvas access so the
+ designer (main.js) and the Node tests share the same checks.
+*/
+
+/**
+ * Checks one designer path against the grid: at least two cells, all in bounds,
+ * START and END on the grid edge, and every step 4-neighbour adjacent.
+ *
+ * @param {{x:number,y:number}[]} path - grid cells, entrance -> exit
+ * @param {{gridColumnCount:number, gridRowCount:number}} grid - a GridMap (or anything with its size)
+ * @returns {{ok:true}|{ok:false, reason:string}}
+ */
+export function validateWorkingPath(path, grid) {
+    // must have at least 2 cells
+    if (!Array.isArray(path) || path.length < 2) {
+        return { ok: false, reason: "Path must have at least START and END cells." };
+    }
+
+    const cols = grid.gridColumnCount;
+    const rows = grid.gridRowCount;
+
+    // helper: is cell within grid bounds
+    const inBounds = (x, y) => x >= 0 && y >= 0 && x < cols && y < rows;
+
+    // helper: edge cell?
+    const isEdge = (x, y) => (x === 0 || y === 0 || x === cols - 1 || y === rows - 1);
+
+    // 1) All cells must be in-bounds
+    for (const c of path) {
+        if (!inBounds(c.x, c.y)) {
+            return { ok: false, reason: `Cell (${c.x},${c.y}) is out of bounds.` };
+        }
+    }
+
+    // 2) START and END must be on an edge
+    const start = path[0];
+    const end = path[path.length - 1];
+    if (!isEdge(start.x, start.y)) {
+        return { ok: false, reason: "START cell must be on the grid edge." };
+    }
+    if (!isEdge(end.x, end.y)) {
+        return { ok: false, reason: "END cell must be on the grid edge." };
+    }
+
+    // 3) Contiguity: every step must be 4-neighbor adjacent (Manhattan distance == 1)
+    for (let i = 1; i < path.length; i += 1) {
+        const a = path[i - 1], b = path[i];
+        const dx = Math.abs(a.x - b.x), dy = Math.abs(a.y - b.y);
+        if (!((dx === 1 && dy === 0) || (dx === 0 && dy === 1))) {
+            return { ok: false, reason: `Path is not contiguous at (${a.x},${a.y}) → (${b.x},${b.y}).` };
+        }
+    }
+
+    return { ok: true };
+}
+
+// Validates every named path; each one must be a complete edge-to-edge route on its own.
+export function validateWorkingPaths(pathsByName, grid) {
+    const names = Object.keys(pathsByName || {});
+    if (names.length === 0) {
+        return { ok: false, reason: "Map needs at least one path." };
+    }
+    for (const name of names) {
+        const { ok, reason } = validateWorkingPath(pathsByName[name], grid);
+        if (!ok) return { ok: false, reason: `Path "${name}": ${reason}` };
+    }
+    return { ok: true };
+}
@@ -1,6 +1,10 @@
 // ===========================================
 // File: src/render/canvasRenderer.js
 // ===========================================
+import { STATUS_EFFECT_DEFINITIONS } from "../systems/statusEffectSystem.js";
+import { simulationNowMs } from "../core/simulationClock.js";
+import { DEFAULT_DAMAGE_TEXT } from "../config/gameConfig.js";
+
 function hexToRgba(hex, alpha) {
     const m = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
     if (!m) return `rgba(139, 92, 246, ${alpha})`; // fallback purple
@@ -21,24 +25,41 @@ function noise1D(x, seed = 0) {
     return _lerp(a, b, _smooth(f)); // 0..1
 }
 
+// Enemy with the greatest path progress (optionally filtered), or null.
+function findLeadEnemy(enemies, predicate = null) {
+    let lead = null;
+    for (const enemy of enemies || []) {
+        if (enemy._isMarkedDead) continue;
+        if (predicate && !predicate(enemy)) continue;
+        if (!lead || (enemy.pathProgressRatio || 0) > (lead.pathProgressRatio || 0)) lead = enemy;
+    }
+    return lead;
+}
+
 export class CanvasRenderer {
     constructor(renderingContext2D, gridMap, configuration) {
         this.renderingContext2D = renderingContext2D;
         this.gridMap = gridMap;
         this.configuration = configuration;
 
+        // Game-clock time (ms) of the frame being drawn; set in drawFrame
+        this.frameTimeMs = 0;
+
         // Hover previews:
         // - when hovering an existing tower: show that tower's range in its color (no ghost)
         // - when in placement mode: show ghost tower + range ring at the hovered grid cell
-        this.hoverPreview = null;     // { x, y, radiusPixels, strokeColor }
+        // - when hovering an upgrade: also show the post-upgrade range (nextRadiusPixels), dashed
+        // - towers with a minimum range: shade the dead zone inside minimumRadiusPixels
+        this.hoverPreview = null;     // { x, y, radiusPixels, nextRadiusPixels?, minimumRadiusPixels?, strokeColor }
         this.placementGhost = null;   // { x, y, uiColor, towerTypeKey }
         this._mapDesignerPath = null; // map designer overlay (array of {x,y} or null)
+        this._mapDesignerOtherPaths = []; // other named paths being edited (drawn dimmed)
         this._hideBasePathWhileEditing = false;
     }
 
     /**
      * Set the hover preview range circle (or null to clear).
-     * @param {{x:number,y:number,radiusPixels:number,strokeColor?:string}|null} preview
+     * @param {{x:number,y:number,radiusPixels:number,nextRadiusPixels?:number|null,minimumRadiusPixels?:number,strokeColor?:string}|null} preview
      */
     setHoverPreview(preview) {
         this.hoverPreview = preview;
@@ -54,10 +75,12 @@ export class CanvasRenderer {
 
     /**
      * Provide a path of grid cells for the map designer overlay, or null to clear.
-     * @param {{x:number,y:number}[]|null} cells
+     * @param {{x:number,y:number}[]|null} cells - the path being painted
+     * @param {{x:number,y:number}[][]} [otherPaths] - other named paths, drawn dimmed for context
      */
-    setMapDesignerOverlay(cells) {
+    setMapDesignerOverlay(cells, otherPaths = []) {
         this._mapDesignerPath = Array.isArray(cells) ? cells : null;
+        this._mapDesignerOtherPaths = Array.isArray(otherPaths) ? otherPaths : [];
     }
 
     /**
@@ -120,7 +143,9 @@ export class CanvasRenderer {
         const plateX = xBase - platePad + groupOffsetX;
         const plateY = topMargin - platePad + groupOffsetY;
         const plateW = barWidth + platePad * 2;
-        const plateH = (titleHeightPx + titleGap + barHeight + 8) + platePad * 2;
+        const progressTrackGap = 20;      // below the HP numbers
+        const progressTrackHeight = 3;
+        const plateH = (titleHeightPx + titleGap + barHeight + 8 + progressTrackHeight + 8) + platePad * 2;
 
         ctx.fillStyle = "rgba(0,0,0,0.55)";
         ctx.fillRect(plateX, plateY, plateW, plateH);
@@ -164,6 +189,14 @@ export class CanvasRenderer {
         ctx.textBaseline = "top";
         ctx.fillText(hpText, xBase + barWidth / 2 + groupOffsetX, barY + barHeight + 4);
 
+        // -------- Path progress (leak risk) --------
+        const progress = Math.max(0, Math.min(1, boss.pathProgressRatio || 0));
+        const trackY = barY + barHeight + progressTrackGap;
+        ctx.fillStyle = "rgba(255,255,255,0.10)";
+        ctx.fillRect(barX, trackY, barWidth, progressTrackHeight);
+        ctx.fillStyle = progress >= 0.8 ? "#ef4444" : (progress >= 0.5 ? "#f59e0b" : "#38bdf8");
+        ctx.fillRect(barX, trackY, Math.floor(barWidth * progress), progressTrackHeight);
+
         ctx.restore();
     }
 
@@ -171,9 +204,12 @@ export class CanvasRenderer {
         const ctx = this.renderingContext2D;
         ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
 
+        // Animations and effect lifetimes run on the game clock, so they freeze on pause
+        this.frameTimeMs = simulationNowMs(gameState);
+
         const showBasePath = !this._hideBasePathWhileEditing;
-        const waypoints = (this.gridMap && Array.isArray(this.gridMap.waypoints)) ? this.gridMap.waypoints : [];
-        const hasDrawablePath = showBasePath && waypoints.length >= 2;
+        const walkablePaths = this.gridMap?.getWalkablePaths ? this.gridMap.getWalkablePaths() : [];
+        const hasDrawablePath = showBasePath && walkablePaths.length > 0;
 
         for (let gridX = 0; gridX < this.gridMap.gridColumnCount; gridX += 1) {
             for (let gridY = 0; gridY < this.gridMap.gridRowCount; gridY += 1) {
@@ -186,16 +222,56 @@ export class CanvasRenderer {
         }
 
         if (hasDrawablePath) {
-            ctx.beginPath();
-            ctx.lineWidth = 20;
-            ctx.lineCap = "round";
-            ctx.strokeStyle = "#2c566f";
-            ctx.moveTo(waypoints[0].x, waypoints[0].y);
-            for (let i = 1; i < waypoints.length; i += 1) {
-                const wp = waypoints[i];
-                ctx.lineTo(wp.x, wp.y);
+            // Shared stretches (forks/merges) simply overdraw with the same stroke
+            for (const path of walkablePaths) {
+                const waypoints = path.waypoints;
+                ctx.beginPath();
+                ctx.lineWidth = 20;
+                ctx.lineCap = "round";
+                ctx.lineJoin = "round";
+                ctx.strokeStyle = "#2c566f";
+                ctx.moveTo(waypoints[0].x, waypoints[0].y);
+                for (let i = 1; i < waypoints.length; i += 1) {
+                    const wp = waypoints[i];
+                    ctx.lineTo(wp.x, wp.y);
+                }
+                ctx.stroke();
             }
-            ctx.stroke();
+
+            // Entrance markers (one per distinct spawn point)
+            const drawn = new Set();
+            ctx.save();
+            for (const path of walkablePaths) {
+                const start = path.waypoints[0];
+                const key = `${start.x},${start.y}`;
+                if (drawn.has(key)) continue;
+                drawn.add(key);
+                ctx.fillStyle = "rgba(56, 189, 248, 0.55)";
+                ctx.beginPath();
+                ctx.arc(start.x, start.y, 7, 0, Math.PI * 2);
+                ctx.fill();
+            }
+            ctx.restore();
+        }
+
+        // Air lanes currently in use by flyers (dashed, under everything else)
+        const activeLanes = new Set();
+        for (const enemy of gameState.enemies) {
+            if (enemy.isFlying && Array.isArray(enemy.waypoints)) activeLanes.add(enemy.waypoints);
+        }
+        if (activeLanes.size) {
+            ctx.save();
+            ctx.setLineDash([6, 8]);
+            ctx.lineWidth = 2;
+            ctx.strokeStyle = "rgba(244, 114, 182, 0.35)";
+            for (const lane of activeLanes) {
+                if (lane.length < 2) continue;
+                ctx.beginPath();
+                ctx.moveTo(lane[0].x, lane[0].y);
+                for (let i = 1; i < lane.length; i += 1) ctx.lineTo(lane[i].x, lane[i].y);
+                ctx.stroke();
+            }
+            ctx.restore();
         }
 
         if (Array.isArray(gameState.decals) && gameState.decals.length) {
@@ -236,6 +312,11 @@ export class CanvasRenderer {
             ctx.restore();
         }
 
+        // Landing zones sit on the ground, under the enemies
+        for (const projectile of gameState.projectiles) {
+            if (projectile.arcPeakPixels > 0) this.drawLandingZone(projectile);
+        }
+
         for (const enemy of gameState.enemies) this.drawEnemy(enemy);
         for (const projectile of gameState.projectiles) this.drawProjectile(projectile);
 
@@ -259,7 +340,7 @@ export class CanvasRenderer {
         }
 
         if (Array.isArray(gameState.lightningBeams) && gameState.lightningBeams.length) {
-            const now = performance.now();
+            const now = this.frameTimeMs;
             const kept = [];
             for (const beam of gameState.lightningBeams) {
                 const ttl = Math.max(1, beam.ttlMs || 120);
@@ -298,7 +379,7 @@ export class CanvasRenderer {
         }
 
         if (Array.isArray(gameState.ripples) && gameState.ripples.length) {
-            const now = performance.now();
+            const now = this.frameTimeMs;
             const keptRipples = [];
             for (const r of gameState.ripples) {
                 const age = Math.max(0, now - (r.createdAt || now));
@@ -344,7 +425,7 @@ export class CanvasRenderer {
         }
 
         if (this.hoverPreview && this.configuration.showRangeOnHover) {
-            const { x, y, radiusPixels, strokeColor } = this.hoverPreview;
+            const { x, y, radiusPixels, nextRadiusPixels, minimumRadiusPixels, strokeColor } = this.hoverPreview;
             ctx.save();
             ctx.beginPath();
             ctx.arc(x, y, radiusPixels, 0, Math.PI * 2);
@@ -352,17 +433,42 @@ export class CanvasRenderer {
             ctx.globalAlpha = 0.3;
             ctx.lineWidth = 3;
             ctx.stroke();
+
+            if (Number.isFinite(nextRadiusPixels) && nextRadiusPixels !== radiusPixels) {
+                ctx.beginPath();
+                ctx.arc(x, y, nextRadiusPixels, 0, Math.PI * 2);
+                ctx.setLineDash([8, 6]);
+                ctx.globalAlpha = 0.8;
+                ctx.lineWidth = 2;
+                ctx.stroke();
+            }
+
+            if (minimumRadiusPixels > 0) {
+                ctx.beginPath();
+                ctx.arc(x, y, minimumRadiusPixels, 0, Math.PI * 2);
+                ctx.setLineDash([3, 5]);
+                ctx.globalAlpha = 1;
+                ctx.fillStyle = "rgba(239, 68, 68, 0.12)";
+                ctx.fill();
+                ctx.strokeStyle = "rgba(239, 68, 68, 0.6)";
+                ctx.lineWidth = 1.5;
+                ctx.stroke();
+            }
             ctx.restore();
         }
 
         if (this.placementGhost) this.drawGhostTower(this.placementGhost);
 
+        // Boss top bar tracks the boss furthest along its path (the most urgent one)
+        const leadBoss = findLeadEnemy(gameState.enemies, (e) => e.isBoss);
+        if (leadBoss) this.drawBossTopBar(leadBoss, this.frameTimeMs);
+
         if (Array.isArray(gameState.floatingTexts)) {
             for (const ft of gameState.floatingTexts) this.drawFloatingText(ft);
         }
 
-        if (this._mapDesignerPath && this._mapDesignerPath.length) {
-            this.drawMapDesignerOverlay(this._mapDesignerPath);
+        if (this._mapDesignerPath) {
+            this.drawMapDesignerOverlay(this._mapDesignerPath, this._mapDesignerOtherPaths);
         }
 
         ctx.save();
@@ -372,12 +478,18 @@ export class CanvasRenderer {
         ctx.shadowBlur = 0;
 
         ctx.fillStyle = "rgba(4,7,11,0.6)";
-        ctx.fillRect(8, 8, 220, 80);
+        ctx.fillRect(8, 8, 220, 100);
         ctx.fillStyle = "#dbeafe";
         ctx.font = "14px sans-serif";
         ctx.fillText("JaxonTD — Debug HUD", 18, 16);
         ctx.fillText(`Enemies: ${gameState.enemies.length}`, 18, 36);
         ctx.fillText(`Projectiles: ${gameState.projectiles.length}`, 18, 56);
+
+        // Leak risk = how far the lead enemy is along its path
+        const leadEnemy = findLeadEnemy(gameState.enemies);
+        const leakRisk = leadEnemy ? Math.round((leadEnemy.pathProgressRatio || 0) * 100) : 0;
+        ctx.fillStyle = leakRisk >= 80 ? "#fca5a5" : "#dbeafe";
+        ctx.fillText(`Leak risk: ${leakRisk}%`, 18, 76);
         ctx.restore();
     }
 
@@ -455,12 +567,11 @@ export class CanvasRenderer {
 
     drawEnemy(enemy) {
         const ctx = this.renderingContext2D;
-        const now = performance.now();
+        const now = this.frameTimeMs;
 
         // ===== Boss glow (soft radial gradient) =====
         if (enemy.isBoss) {
             const ctx = this.renderingContext2D;
-            const now = performance.now();
             const pulse = 0.6 + 0.4 * Math.sin(now * 0.006);
             const coreRadius = (enemy.drawRadiusPixels || 20);
             const glowRadius = coreRadius + 28; // how far the glow extends
@@ -483,17 +594,16 @@ export class CanvasRenderer {
             ctx.restore();
         }
 
-        // ===== Enemy body =====
-        ctx.beginPath();
-        ctx.arc(enemy.x, enemy.y, enemy.isBoss ? 20 : enemy.drawRadiusPixels, 0, Math.PI * 2);
-        ctx.fillStyle = enemy.fillColor;
-        ctx.fill();
+        // ===== Enemy body (shape depends on archetype) =====
+        this.drawEnemyBody(enemy, now);
 
         // ===== Health bar above enemy =====
         const healthBarWidth = enemy.isBoss ? 90 : 40;
         const healthBarHeight = 6;
         const barOffsetY = enemy.isBoss ? 38 : 28;
         const healthBarY = enemy.y - barOffsetY;
+
+        this.drawEnemyStatusEffects(enemy, healthBarY, now);
         const healthPercent = Math.max(0, enemy.hitPoints) / enemy.maximumHitPoints;
 
         ctx.fillStyle = "rgba(0,0,0,0.6)";
@@ -507,6 +617,21 @@ export class CanvasRenderer {
             healthBarHeight - 2
         );
 
+        // ===== Shield bar (directly under the health bar) =====
+        if (enemy.maximumShieldPoints > 0) {
+            const shieldBarY = healthBarY + healthBarHeight;
+            const shieldPercent = Math.max(0, enemy.shieldPoints) / enemy.maximumShieldPoints;
+            ctx.fillStyle = "rgba(0,0,0,0.6)";
+            ctx.fillRect(enemy.x - healthBarWidth / 2, shieldBarY, healthBarWidth, 4);
+            ctx.fillStyle = "#38bdf8";
+            ctx.fillRect(
+                enemy.x - healthBarWidth / 2 + 1,
+                shieldBarY + 1,
+                Math.max(0, (healthBarWidth - 2) * shieldPercent),
+                2
+            );
+        }
+
         // Optional small labels for boss (keep or remove if you prefer only the top bar)
         if (enemy.isBoss) {
             ctx.font = "bold 12px sans-serif";
@@ -521,18 +646,232 @@ export class CanvasRenderer {
         }
     }
 
+    /**
+     * Archetype-specific body shapes:
+     *  runner = arrowhead pointing along the path, tank = plated square,
+     *  healer = plus sign with a pulsing aura, splitter = cluster of cores,
+     *  shielded = circle inside a bubble that fades as the shield drops,
+     *  flyer = swept wings pointing along its lane.
+     * Flying enemies of any archetype also cast a ground shadow.
+     */
+    drawEnemyBody(enemy, now) {
+        const ctx = this.renderingContext2D;
+        const r = enemy.isBoss ? 20 : enemy.drawRadiusPixels;
+        const { x, y } = enemy;
+
+        if (enemy.isFlying) {
+            ctx.save();
+            ctx.fillStyle = "rgba(0, 0, 0, 0.35)";
+            ctx.beginPath();
+            ctx.ellipse(x + r * 0.5, y + r * 1.2, r * 0.9, r * 0.45, 0, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.restore();
+        }
+
+        ctx.save();
+        ctx.fillStyle = enemy.fillColor;
+
+        switch (enemy.archetype) {
+            case "runner": {
+                const next = enemy.waypoints?.[enemy.currentWaypointIndex];
+                const angle = next ? Math.atan2(next.y - y, next.x - x) : 0;
+                ctx.translate(x, y);
+                ctx.rotate(angle);
+                ctx.beginPath();
+                ctx.moveTo(r * 1.3, 0);
+                ctx.lineTo(-r, r * 0.9);
+                ctx.lineTo(-r * 0.5, 0);
+                ctx.lineTo(-r, -r * 0.9);
+                ctx.closePath();
+                ctx.fill();
+                break;
+            }
+            case "tank": {
+                ctx.fillRect(x - r, y - r, r * 2, r * 2);
+                ctx.strokeStyle = "#cbd5e1";
+                ctx.lineWidth = 3;
+                ctx.strokeRect(x - r + 1.5, y - r + 1.5, r * 2 - 3, r * 2 - 3);
+                break;
+            }
+            case "healer": {
+                const pulse = 0.5 + 0.5 * Math.sin(now * 0.004);
+                const aura = enemy.healing?.radiusPixels || 0;
+                if (aura > 0) {
+                    ctx.strokeStyle = hexToRgba(enemy.fillColor || "#34d399", 0.12 + 0.12 * pulse);
+                    ctx.lineWidth = 2;
+                    ctx.beginPath();
+                    ctx.arc(x, y, aura, 0, Math.PI * 2);
+                    ctx.stroke();
+                }
+                ctx.beginPath();
+                ctx.arc(x, y, r, 0, Math.PI * 2);
+                ctx.fill();
+                const arm = r * 0.6;
+                const thick = Math.max(2, r * 0.3);
+                ctx.fillStyle = "#f0fdf4";
+                ctx.fillRect(x - arm, y - thick / 2, arm * 2, thick);
+                ctx.fillRect(x - thick / 2, y - arm, thick, arm * 2);
+                break;
+            }
+            case "splitter": {
+                ctx.beginPath();
+                ctx.arc(x, y, r, 0, Math.PI * 2);
+                ctx.fill();
+                const count = Math.max(1, Math.min(6, enemy.splitOnDeath?.count || 3));
+                ctx.fillStyle = "rgba(15,23,42,0.55)";
+                for (let i = 0; i < count; i++) {
+                    const a = (i / count) * Math.PI * 2 + now * 0.002;
+                    ctx.beginPath();
+                    ctx.arc(x + Math.cos(a) * r * 0.45, y + Math.sin(a) * r * 0.45, r * 0.22, 0, Math.PI * 2);
+                    ctx.fill();
+                }
+                break;
+            }
+            case "flyer": {
+                const next = enemy.waypoints?.[enemy.currentWaypointIndex];
+                const angle = next ? Math.atan2(next.y - y, next.x - x) : 0;
+                const flap = 0.85 + 0.15 * Math.sin(now * 0.02);
+                ctx.translate(x, y);
+                ctx.rotate(angle);
+                ctx.beginPath();
+                ctx.moveTo(r * 1.1, 0);
+                ctx.lineTo(-r * 0.4, r * 1.2 * flap);
+                ctx.lineTo(-r * 0.1, 0);
+                ctx.lineTo(-r * 0.4, -r * 1.2 * flap);
+                ctx.closePath();
+                ctx.fill();
+                ctx.fillStyle = "rgba(255, 255, 255, 0.7)";
+                ctx.beginPath();
+                ctx.arc(r * 0.3, 0, r * 0.25, 0, Math.PI * 2);
+                ctx.fill();
+                break;
+            }
+            case "shielded": {
+                ctx.beginPath();
+                ctx.arc(x, y, r, 0, Math.PI * 2);
+                ctx.fill();
+                const max = enemy.maximumShieldPoints || 0;
+                const frac = max > 0 ? Math.max(0, enemy.shieldPoints) / max : 0;
+                if (frac > 0) {
+                    const sinceHit = now - (enemy._lastShieldHitTimestamp ?? -Infinity);
+                    const flash = sinceHit < 150 ? 0.4 : 0;
+                    ctx.strokeStyle = hexToRgba("#7dd3fc", 0.35 + 0.45 * frac + flash);
+                    ctx.lineWidth = 2 + 2 * frac;
+                    ctx.beginPath();
+                    ctx.arc(x, y, r + 5, 0, Math.PI * 2);
+                    ctx.stroke();
+                }
+                break;
+            }
+            default: {
+                ctx.beginPath();
+                ctx.arc(x, y, r, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Status tints on the body plus a row of icons just above the health bar.
+     * Slow/stun use a ring, DoTs a translucent overlay; icons show stack counts.
+     */
+    drawEnemyStatusEffects(enemy, healthBarY, now) {
+        const list = enemy.statusEffects;
+        if (!Array.isArray(list) || list.length === 0) return;
+
+        const ctx = this.renderingContext2D;
+        const bodyRadius = enemy.isBoss ? 20 : enemy.drawRadiusPixels;
+
+        const counts = new Map();
+        for (const e of list) counts.set(e.type, (counts.get(e.type) || 0) + 1);
+
+        ctx.save();
+        for (const type of counts.keys()) {
+            const color = STATUS_EFFECT_DEFINITIONS[type]?.iconColor || "#ffffff";
+            if (type === "burn" || type === "poison") {
+                const flicker = 0.18 + 0.08 * Math.sin(now * 0.02);
+                ctx.fillStyle = hexToRgba(color, flicker);
+                ctx.beginPath();
+                ctx.arc(enemy.x, enemy.y, bodyRadius, 0, Math.PI * 2);
+                ctx.fill();
+            } else {
+                ctx.strokeStyle = hexToRgba(color, 0.85);
+                ctx.lineWidth = type === "stun" ? 3 : 2;
+                ctx.beginPath();
+                ctx.arc(enemy.x, enemy.y, bodyRadius + 3, 0, Math.PI * 2);
+                ctx.stroke();
+            }
+        }
+
+        // Icon row
+        const iconRadius = 4;
+        const spacing = iconRadius * 2 + 4;
+        const types = [...counts.keys()];
+        let iconX = enemy.x - ((types.length - 1) * spacing) / 2;
+        const iconY = healthBarY - iconRadius - 3;
+        ctx.font = "bold 8px system-ui, Segoe UI, Roboto, Arial";
+        ctx.textAlign = "center";
+        ctx.textBaseline = "middle";
+        for (const type of types) {
+            ctx.fillStyle = STATUS_EFFECT_DEFINITIONS[type]?.iconColor || "#ffffff";
+            ctx.beginPath();
+            ctx.arc(iconX, iconY, iconRadius, 0, Math.PI * 2);
+            ctx.fill();
+            const stacks = counts.get(type);
+            if (stacks > 1) {
+                ctx.fillStyle = "#0b1220";
+                ctx.fillText(String(stacks), iconX, iconY + 0.5);
+            }
+            iconX += spacing;
+        }
+        ctx.restore();
+    }
+
     drawProjectile(projectile) {
         const ctx = this.renderingContext2D;
-        const t = Math.min(projectile.travelProgress, 1);
-        const drawX = projectile.x + (projectile.targetX - projectile.x) * t;
-        const drawY = projectile.y + (projectile.targetY - projectile.y) * t;
+        // The simulation's last position (homing and curved shots don't follow a straight lerp)
+        const drawX = projectile._currentX ?? projectile.x;
+        const drawY = projectile._currentY ?? projectile.y;
+        const radius = projectile.towerTypeKey === "sniper" ? 3 : 5;
+        const height = projectile._currentHeight || 0;
+
+        if (projectile.arcPeakPixels > 0) {
+            // Ground shadow shrinks and fades as the shell climbs
+            const lift = Math.min(1, height / Math.max(1, projectile.arcPeakPixels));
+            ctx.save();
+            ctx.fillStyle = `rgba(0, 0, 0, ${0.35 - 0.2 * lift})`;
+            ctx.beginPath();
+            ctx.ellipse(drawX, drawY, radius * (1.3 - 0.4 * lift), radius * (0.6 - 0.2 * lift), 0, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.restore();
+        }
 
         ctx.beginPath();
-        ctx.arc(drawX, drawY, projectile.towerTypeKey === "sniper" ? 3 : 5, 0, Math.PI * 2);
+        ctx.arc(drawX, drawY - height, radius, 0, Math.PI * 2);
         ctx.fillStyle = "#fef08a";
         ctx.fill();
     }
 
+    /** Telegraph where a lobbed shell will land: a ring that fills in as it comes down. */
+    drawLandingZone(projectile) {
+        const ctx = this.renderingContext2D;
+        const radius = projectile.aoe?.radiusPixels || projectile.splash?.radiusPixels || 10;
+        const progress = Math.max(0, Math.min(1, projectile.travelProgress || 0));
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.arc(projectile.targetX, projectile.targetY, radius, 0, Math.PI * 2);
+        ctx.fillStyle = `rgba(248, 113, 113, ${0.04 + 0.14 * progress})`;
+        ctx.fill();
+        ctx.setLineDash([6, 5]);
+        ctx.lineWidth = 1.5;
+        ctx.strokeStyle = `rgba(248, 113, 113, ${0.3 + 0.5 * progress})`;
+        ctx.stroke();
+        ctx.restore();
+    }
+
     drawFloatingText(ft) {
         const ctx = this.renderingContext2D;
 
@@ -544,7 +883,7 @@ export class CanvasRenderer {
 
         const rise = ft.risePixels * easeOutCubic(p);
         const alpha = 1 - p;                 // fade out
-        const scale = 1 + 0.18 * (1 - p);    // slight pop at start
+        const scale = (1 + 0.18 * (1 - p)) * (ft.fontScale || 1);    // slight pop at start
 
         ctx.save();
         ctx.translate(ft.x, ft.y - rise);
@@ -558,7 +897,7 @@ export class CanvasRenderer {
         // Soft shadow for readability
         ctx.shadowColor = "rgba(0,0,0,0.5)";
         ctx.shadowBlur = 6;
-        ctx.fillStyle = ft.color || "#ffd166";
+        ctx.fillStyle = ft.color || DEFAULT_DAMAGE_TEXT.hitColor;
         ctx.fillText(ft.text, 0, 0);
 
         ctx.restore();
@@ -605,15 +944,23 @@ export class CanvasRenderer {
 
     /**
  * Renders an overlay for the in-editor path:
+ *  - dims the other named paths so branches/merges stay visible
  *  - fills each selected grid cell with a subtle tint
  *  - draws a polyline through cell centers (in array order)
  */
-    drawMapDesignerOverlay(cells) {
+    drawMapDesignerOverlay(cells, otherPaths = []) {
         const ctx = this.renderingContext2D;
         const size = this.gridMap.gridCellSize;
 
         ctx.save();
 
+        // 0) Other paths (dimmed, no outline)
+        ctx.globalAlpha = 0.14;
+        ctx.fillStyle = "#a5b4fc";
+        for (const other of otherPaths) {
+            for (const c of other) ctx.fillRect(c.x * size, c.y * size, size, size);
+        }
+
         // 1) Fill selected cells (subtle cyan tint)
         ctx.globalAlpha = 0.28;
         ctx.fillStyle = "#22d3ee"; // cyan
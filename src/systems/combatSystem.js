@@ -2,32 +2,41 @@
 // File: src/systems/combatSystem.js
 // ===========================================
 
-import { distanceBetweenPoints, linearInterpolate } from "../core/mathUtils.js";
-import { ProjectileEntity } from "../entities/projectile.js";
-import { FloatingText } from "../entities/floatingText.js";
-import { EffectsRegistry } from './effects/effectsRegistry.js';
+import { distanceBetweenPoints } from "../core/mathUtils.js";
 import { addExplosionParticles, addScorchDecal, triggerScreenFlash } from './effects/util.js';
+import { canAttackEnemy } from './damageResolver.js';
+import { ProjectileHelpers, advanceProjectile, fireProjectile } from './projectileBehaviors.js';
+import { spawnSplitChildren } from './enemyAbilitySystem.js';
+import { simulationNowMs } from '../core/simulationClock.js';
 
 // -------------------------------------------
 // Target selection
 // -------------------------------------------
+
+/** Targeting modes a tower can be set to (order = UI order). */
+export const TARGETING_MODES = ["first", "last", "strongest", "weakest", "closest"];
+
 function chooseTargetByMode(targetingMode, tower, enemies) {
     const enemiesWithinRange = enemies.filter((enemy) => {
         if (enemy._isMarkedDead) return false;
+        if (!canAttackEnemy(tower, enemy)) return false;
         const towerPoint = { x: tower.x, y: tower.y };
-        return distanceBetweenPoints(towerPoint, enemy) <= tower.attackRangePixels;
+        const distance = distanceBetweenPoints(towerPoint, enemy);
+        return distance <= tower.attackRangePixels && distance >= (tower.minimumRangePixels || 0);
     });
 
     if (enemiesWithinRange.length === 0) return null;
 
     switch (targetingMode) {
+        // "first"/"last" rank by distance left along the path (MovementSystem keeps it current),
+        // so enemies on the same segment and knocked-back enemies order correctly.
         case "first":
             return enemiesWithinRange.reduce((best, candidate) =>
-                best.currentWaypointIndex > candidate.currentWaypointIndex ? best : candidate
+                remainingPathOf(best) <= remainingPathOf(candidate) ? best : candidate
             );
         case "last":
             return enemiesWithinRange.reduce((best, candidate) =>
-                best.currentWaypointIndex < candidate.currentWaypointIndex ? best : candidate
+                remainingPathOf(best) >= remainingPathOf(candidate) ? best : candidate
             );
         case "strongest":
             return enemiesWithinRange.reduce((best, candidate) =>
@@ -47,6 +56,10 @@ function chooseTargetByMode(targetingMode, tower, enemies) {
     }
 }
 
+function remainingPathOf(enemy) {
+    return Number.isFinite(enemy.pathRemainingPixels) ? enemy.pathRemainingPixels : Infinity;
+}
+
 // -------------------------------------------
 // Tower rotation helpers
 // -------------------------------------------
@@ -96,31 +109,10 @@ function normalizeAngle(angle) {
     return angle;
 }
 
-/**
- * Returns a damage multiplier based on enemy type or resistances.
- * For now, all damage types deal 1x (no modifier), but you can extend this later.
- *
- * @param {EnemyEntity} enemy
- * @param {string} damageType  e.g. "physical", "fire", "energy"
- * @returns {number} multiplier (default 1)
- */
-function typeMultFor(enemy, damageType) {
-    if (!enemy || !damageType) return 1;
-
-    // Example extensibility (uncomment or expand later):
-    // if (enemy.type === 'metal' && damageType === 'fire') return 1.25;
-    // if (enemy.type === 'shielded' && damageType === 'energy') return 0.75;
-
-    return 1;
-}
-
 // -------------------------------------------
 // Combat System
 // -------------------------------------------
 export class CombatSystem {
-    constructor(getTargetingMode) {
-        this.getTargetingMode = getTargetingMode;
-    }
 
     tick(gameState, deltaSeconds) {
         for (const enemy of gameState.enemies) {
@@ -132,7 +124,7 @@ export class CombatSystem {
             tower.cooldownSeconds -= deltaSeconds;
 
             const targetEnemy = chooseTargetByMode(
-                this.getTargetingMode(),
+                tower.targetingMode,
                 tower,
                 gameState.enemies
             );
@@ -149,120 +141,13 @@ export class CombatSystem {
 
             if (tower.cooldownSeconds <= 0 && targetEnemy) {
                 tower.cooldownSeconds = 1 / tower.attacksPerSecond;
-                const dmgType = tower.damageType || "physical";
-
-                const aoeConfig = tower.aoe || tower.splash || null;
-                const effectsConfig = tower.projectileEffects || null;
-
-                gameState.projectiles.push(
-                    new ProjectileEntity({
-                        x: tower.x,
-                        y: tower.y,
-                        targetX: targetEnemy.x,
-                        targetY: targetEnemy.y,
-                        damagePerHit: tower.damagePerShot,
-                        towerTypeKey: tower.towerTypeKey,
-                        targetEnemy,
-                        damageType: dmgType,
-                        aoe: aoeConfig,
-                        effects: effectsConfig
-                    })
-                );
+                fireProjectile(gameState, tower, targetEnemy, deltaSeconds);
             }
         }
 
+        // Live iteration: cluster bomblets pushed on impact start moving this same step
         for (const projectile of gameState.projectiles) {
-            const lerpSpeed = projectile._overrideLerpSpeed ?? gameState.configuration.projectileLerpSpeedPerSecond;
-            projectile.travelProgress += deltaSeconds * lerpSpeed;
-            const t = Math.min(projectile.travelProgress, 1);
-            projectile._currentX = linearInterpolate(projectile.x, projectile.targetX, t);
-            projectile._currentY = linearInterpolate(projectile.y, projectile.targetY, t);
-
-            if (projectile.effects && typeof EffectsRegistry?.applyTravel === 'function') {
-                EffectsRegistry.applyTravel(gameState, projectile, deltaSeconds);
-            } else {
-                const towerCfg = gameState.configuration?.towersByTypeKey?.[projectile.towerTypeKey];
-                if (!projectile.effects && towerCfg?.projectileEffects) {
-                    projectile.effects = towerCfg.projectileEffects;
-                    EffectsRegistry.applyTravel(gameState, projectile, deltaSeconds);
-                }
-            }
-
-            if (projectile.travelProgress >= 1) {
-                const dmgType = projectile.damageType || "physical";
-                const AOE_RADIUS =
-                    (projectile.aoe && projectile.aoe.radiusPixels) ||
-                    (projectile.splash && projectile.splash.radiusPixels) ||
-                    0;
-
-                if (AOE_RADIUS > 0) {
-                    for (const enemy of gameState.enemies) {
-                        if (enemy._isMarkedDead) continue;
-                        const distance = Math.hypot(enemy.x - projectile._currentX, enemy.y - projectile._currentY);
-                        if (distance < AOE_RADIUS) {
-                            const before = Math.max(0, enemy.hitPoints);
-                            const raw = Math.max(0, Math.round(
-                                projectile.damagePerHit *
-                                gameState.modifiers.towerDamageMultiplier *
-                                typeMultFor(enemy, dmgType)
-                            ));
-                            const falloff = 1 - (distance / AOE_RADIUS);
-                            const applied = Math.min(before, Math.round(raw * falloff));
-                            if (applied > 0) {
-                                enemy.hitPoints = before - applied;
-                                enemy._lastHitTimestamp = performance.now();
-                                enemy._lastDamageAmount = applied;
-
-                                gameState.floatingTexts.push(
-                                    new FloatingText({
-                                        x: enemy.x,
-                                        y: enemy.y - (enemy.isBoss ? 26 : 18),
-                                        text: `-${applied}`,
-                                        color: "#fca5a5",
-                                        lifetimeMs: 900,
-                                        risePixels: enemy.isBoss ? 34 : 28
-                                    })
-                                );
-                            }
-                        }
-                    }
-                } else if (projectile.targetEnemy && !projectile.targetEnemy._isMarkedDead) {
-                    const enemy = projectile.targetEnemy;
-                    const before = Math.max(0, enemy.hitPoints);
-                    const raw = Math.max(0, Math.round(
-                        projectile.damagePerHit *
-                        gameState.modifiers.towerDamageMultiplier *
-                        typeMultFor(enemy, dmgType)
-                    ));
-                    const applied = Math.min(raw, before);
-                    if (applied > 0) {
-                        enemy.hitPoints = before - applied;
-                        enemy._lastHitTimestamp = performance.now();
-                        enemy._lastDamageAmount = applied;
-
-                        gameState.floatingTexts.push(
-                            new FloatingText({
-                                x: enemy.x,
-                                y: enemy.y - (enemy.isBoss ? 26 : 18),
-                                text: `-${applied}`,
-                                color: "#fca5a5",
-                                lifetimeMs: 900,
-                                risePixels: enemy.isBoss ? 34 : 28
-                            })
-                        );
-                    }
-                }
-
-                if (!projectile.effects) {
-                    const towerCfg = gameState.configuration?.towersByTypeKey?.[projectile.towerTypeKey];
-                    if (towerCfg?.projectileEffects) projectile.effects = towerCfg.projectileEffects;
-                }
-                if (projectile.effects && typeof EffectsRegistry?.applyImpact === 'function') {
-                    EffectsRegistry.applyImpact(gameState, projectile, AOE_RADIUS);
-                }
-
-                projectile._isComplete = true;
-            }
+            advanceProjectile(gameState, projectile, deltaSeconds);
         }
 
         if (Array.isArray(gameState.decals) && gameState.decals.length) {
@@ -291,7 +176,7 @@ export class CombatSystem {
         }
 
         if (Array.isArray(gameState.scheduledEffects) && gameState.scheduledEffects.length) {
-            const now = performance.now();
+            const now = simulationNowMs(gameState);
             const remaining = [];
             for (const e of gameState.scheduledEffects) {
                 if (e.dueAt > now) {
@@ -300,38 +185,15 @@ export class CombatSystem {
                 }
 
                 if (e.type === "aftershock") {
-                    for (const enemy of gameState.enemies) {
-                        if (enemy._isMarkedDead) continue;
-                        const d = Math.hypot(enemy.x - e.x, enemy.y - e.y);
-                        if (d < e.radius) {
-                            const before = Math.max(0, enemy.hitPoints);
-                            const mult = (typeof typeMultFor === "function") ? typeMultFor(enemy, e.damageType) : 1;
-                            const raw = Math.max(0, Math.round(e.damagePerHit * (gameState?.modifiers?.towerDamageMultiplier ?? 1) * mult));
-                            const falloff = 1 - (d / e.radius);
-                            const applied = Math.min(before, Math.round(raw * falloff));
-                            if (applied > 0) {
-                                enemy.hitPoints = before - applied;
-                                enemy._lastHitTimestamp = performance.now();
-                                enemy._lastDamageAmount = applied;
-
-                                gameState.floatingTexts.push(
-                                    new FloatingText({
-                                        x: enemy.x,
-                                        y: enemy.y - (enemy.isBoss ? 26 : 18),
-                                        text: `-${applied}`,
-                                        color: "#fde68a",
-                                        lifetimeMs: 900,
-                                        risePixels: enemy.isBoss ? 34 : 28
-                                    })
-                                );
-                            }
-                        }
-                    }
+                    ProjectileHelpers.applyAoeDamage(gameState, e.x, e.y, e.radius, e.damagePerHit, e.damageType, {
+                        attacker: e,
+                        textColor: "#fde68a"
+                    });
 
                     if (e.effects?.explosion?.enabled) {
                         const exRadius = e.radius;
                         const cx = e.x, cy = e.y;
-                        addExplosionParticles(gameState, cx, cy, exRadius);
+                        addExplosionParticles(gameState, cx, cy, exRadius, e);
                         addScorchDecal(gameState, cx, cy, exRadius * 0.6, 20000, 0.75);
                         triggerScreenFlash(gameState, e.effects.explosion.flashAlpha ?? 0.08, e.effects.explosion.flashTtl ?? 90);
                     }
@@ -356,13 +218,16 @@ export class CombatSystem {
             gameState.scheduledEffects = remaining;
         }
 
+        const spawnedOnDeath = [];
         gameState.enemies = gameState.enemies.filter((enemy) => {
             if (enemy.hitPoints <= 0) {
                 gameState.money += enemy.rewardMoney;
+                if (enemy.splitOnDeath) spawnedOnDeath.push(...spawnSplitChildren(gameState, enemy));
                 return false;
             }
             return !enemy._isMarkedDead;
         });
+        if (spawnedOnDeath.length) gameState.enemies.push(...spawnedOnDeath);
 
         gameState.projectiles = gameState.projectiles.filter((p) => !p._isComplete);
 
@@ -0,0 +1,157 @@
+// ===========================================
+// File: src/systems/damageResolver.js
+// ===========================================
+
+import { FloatingText } from "../entities/floatingText.js";
+import { simulationNowMs } from "../core/simulationClock.js";
+import { DEFAULT_DAMAGE_TEXT } from "../config/gameConfig.js";
+
+// Size of the damage number relative to a plain hit
+const WEAK_TEXT_SCALE = 1.3;
+const RESIST_TEXT_SCALE = 0.85;
+
+/**
+ * Returns the damage-taken multiplier for an enemy against a damage type.
+ * Reads enemy.damageTypeMultipliers (e.g. { fire: 1.5, cold: 0.5 }); missing entries are 1x.
+ *
+ * @param {EnemyEntity} enemy
+ * @param {string} damageType  e.g. "physical", "fire", "electric"
+ * @returns {number} multiplier (>= 0, default 1)
+ */
+export function typeMultFor(enemy, damageType) {
+    if (!enemy || !damageType) return 1;
+    const table = enemy.damageTypeMultipliers;
+    if (!table || typeof table !== "object") return 1;
+    const mult = Number(table[damageType]);
+    return Number.isFinite(mult) ? Math.max(0, mult) : 1;
+}
+
+/**
+ * True if an attacker (tower, projectile or scheduled effect) can hit this enemy's layer.
+ * Attackers declare canTargetAir / canTargetGround; missing flags default to true.
+ * Tower Creator previews are sandboxed: preview attackers (isPreview) only hit
+ * preview dummies (isPreviewDummy), and everything else leaves the dummies alone.
+ *
+ * @param {{canTargetAir?:boolean, canTargetGround?:boolean, isPreview?:boolean}|null} attacker
+ * @param {EnemyEntity} enemy
+ * @returns {boolean}
+ */
+export function canAttackEnemy(attacker, enemy) {
+    if (!enemy) return false;
+    if (Boolean(enemy.isPreviewDummy) !== Boolean(attacker?.isPreview)) return false;
+    if (!attacker) return true;
+    return enemy.isFlying ? attacker.canTargetAir !== false : attacker.canTargetGround !== false;
+}
+
+/**
+ * Applies one hit of damage to an enemy, honoring the global tower damage multiplier
+ * and the enemy's per-type multipliers, then spawns a floating damage number.
+ *
+ * Rounding matches the historical combat code: the raw hit is rounded first,
+ * then scaled by falloff and rounded again, and the result is clamped to remaining HP.
+ * Flat armor (enemy.armorFlat) is then subtracted (a landed hit always deals at least 1),
+ * and any shield (enemy.shieldPoints) absorbs the hit before hit points.
+ *
+ * When gameState.damageByTowerType is an object (headless balance runs), the damage
+ * is also tallied under options.sourceTowerTypeKey.
+ *
+ * @param {object} gameState
+ * @param {EnemyEntity} enemy
+ * @param {number} baseDamage
+ * @param {string} damageType
+ * @param {{falloff?:number, damageMultiplier?:number, textColor?:string, sourceTowerTypeKey?:string}} [options]
+ * @returns {number} damage actually applied (shield + hit points)
+ */
+export function applyDamageToEnemy(gameState, enemy, baseDamage, damageType, options = {}) {
+    if (!enemy || enemy._isMarkedDead) return 0;
+
+    const {
+        falloff = 1,
+        damageMultiplier = 1,
+        textColor = null,
+        sourceTowerTypeKey = null,
+    } = options;
+
+    const typeMult = typeMultFor(enemy, damageType || "physical");
+    const globalMult = gameState?.modifiers?.towerDamageMultiplier ?? 1;
+
+    const before = Math.max(0, enemy.hitPoints);
+    const raw = Math.max(0, Math.round((Number(baseDamage) || 0) * globalMult * typeMult * damageMultiplier));
+    let dealt = Math.round(raw * Math.max(0, falloff));
+
+    const armor = Math.max(0, Number(enemy.armorFlat) || 0);
+    if (dealt > 0 && armor > 0) dealt = Math.max(1, dealt - armor);
+
+    const palette = resolveTextPalette(gameState);
+    const now = simulationNowMs(gameState);
+
+    // Shields soak damage first and report it in their own color.
+    const shield = Math.max(0, Number(enemy.shieldPoints) || 0);
+    const absorbed = Math.min(shield, dealt);
+    if (absorbed > 0) {
+        enemy.shieldPoints = shield - absorbed;
+        enemy._lastShieldHitTimestamp = now;
+        // Regen waits out the delay in simulation time (see EnemyAbilitySystem)
+        enemy._shieldRegenCooldownMs = Math.max(0, Number(enemy.shieldRegenDelayMs) || 0);
+        pushDamageText(gameState, enemy, `-${absorbed}`, palette.shieldColor);
+    }
+
+    const applied = Math.min(before, dealt - absorbed);
+
+    if (applied <= 0) {
+        // Only report immunity when the type multiplier is the reason nothing landed.
+        if (typeMult === 0 && baseDamage > 0) {
+            pushDamageText(gameState, enemy, "IMMUNE", palette.immuneColor);
+        }
+        recordDamage(gameState, sourceTowerTypeKey, absorbed);
+        return absorbed;
+    }
+
+    enemy.hitPoints = before - applied;
+    enemy._lastHitTimestamp = now;
+    enemy._lastDamageAmount = applied;
+
+    // Weak spots and resistances stand out by color and size; plain hits take the damage type's color
+    let color = textColor || palette.typeColors?.[damageType] || palette.hitColor;
+    let text = `-${applied}`;
+    let fontScale = 1;
+    if (typeMult > 1) {
+        color = palette.weakColor;
+        text = `-${applied}!`;
+        fontScale = WEAK_TEXT_SCALE;
+    } else if (typeMult < 1) {
+        color = palette.resistColor;
+        fontScale = RESIST_TEXT_SCALE;
+    }
+
+    pushDamageText(gameState, enemy, text, color, fontScale);
+    recordDamage(gameState, sourceTowerTypeKey, applied + absorbed);
+    return applied + absorbed;
+}
+
+function recordDamage(gameState, towerTypeKey, amount) {
+    const ledger = gameState?.damageByTowerType;
+    if (!ledger || amount <= 0) return;
+    const key = towerTypeKey || "unknown";
+    ledger[key] = (ledger[key] || 0) + amount;
+}
+
+// The configured palette; DEFAULT_DAMAGE_TEXT only when the configuration has none
+function resolveTextPalette(gameState) {
+    return gameState?.configuration?.ui?.damageText || DEFAULT_DAMAGE_TEXT;
+}
+
+function pushDamageText(gameState, enemy, text, color, fontScale = 1) {
+    if (!Array.isArray(gameState?.floatingTexts)) return;
+    gameState.floatingTexts.push(
+        new FloatingText({
+            x: enemy.x,
+            y: enemy.y - (enemy.isBoss ? 26 : 18),
+            text,
+            color,
+            lifetimeMs: 900,
+            risePixels: enemy.isBoss ? 34 : 28,
+            fontScale
+        })
+    );
+}
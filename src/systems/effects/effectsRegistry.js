@@ -1,8 +1,25 @@
+// ===========================================
+// File: src/systems/effects/effectsRegistry.js
+// ===========================================
+/*
+ Projectile effects: the entries of a tower's projectileEffects (trail,
+ explosion, chain, status effects...). Each key is registered with
+ EffectsRegistry.register and dispatched by the projectile pipeline
+ (projectileBehaviors.js), so a new effect needs no changes to combat code.
+*/
+
 import { addExplosionParticles, addScorchDecal, triggerScreenFlash } from './util.js';
 import { ProjectileEntity } from '../../entities/projectile.js';
+import { applyDamageToEnemy, canAttackEnemy } from '../damageResolver.js';
+import { applyStatusEffect } from '../statusEffectSystem.js';
+import { randomFor } from '../../core/random.js';
+import { simulationNowMs } from '../../core/simulationClock.js';
+import { getLevelOperations } from '../upgradeOperations.js';
+import { resolveProjectileFlight } from '../projectileGuidance.js';
 
 function applyTrailTravel(gameState, projectile, cfg, deltaSeconds) {
     if (!cfg?.enabled) return;
+    const rng = randomFor(gameState, projectile);
     const life = cfg.lifeMs ?? 400;
     const sizeMin = cfg.sizeMin ?? 2;
     const sizeMax = cfg.sizeMax ?? 5;
@@ -12,9 +29,9 @@ function applyTrailTravel(gameState, projectile, cfg, deltaSeconds) {
     const color = cfg.color ?? "#ffaa00";
 
     for (let i = 0; i < spawnCount; i++) {
-        const jx = (Math.random() - 0.5) * jitter;
-        const jy = (Math.random() - 0.5) * jitter;
-        const size = sizeMin + Math.random() * (sizeMax - sizeMin);
+        const jx = (rng.next() - 0.5) * jitter;
+        const jy = (rng.next() - 0.5) * jitter;
+        const size = sizeMin + rng.next() * (sizeMax - sizeMin);
 
         gameState.particles.push({
             type: "trail",
@@ -37,13 +54,14 @@ function applyExplosionImpact(gameState, projectile, cfg, aoeRadius) {
     const cx = projectile._currentX;
     const cy = projectile._currentY;
 
-    addExplosionParticles(gameState, cx, cy, exRadius);
+    addExplosionParticles(gameState, cx, cy, exRadius, projectile);
     addScorchDecal(gameState, cx, cy, exRadius * 0.6, 30000, 0.85);
     triggerScreenFlash(gameState, cfg.flashAlpha ?? 0.16, cfg.flashTtl ?? 120);
 }
 
 function applyKnockbackImpact(gameState, projectile, cfg, aoeRadius) {
     if (!cfg?.enabled) return;
+    const rng = randomFor(gameState, projectile);
     const kRadius = aoeRadius || 80;
     const cx = projectile._currentX;
     const cy = projectile._currentY;
@@ -52,6 +70,7 @@ function applyKnockbackImpact(gameState, projectile, cfg, aoeRadius) {
 
     for (const enemy of gameState.enemies) {
         if (enemy?._isMarkedDead) continue;
+        if (!canAttackEnemy(projectile, enemy)) continue;
         const dxc = enemy.x - cx;
         const dyc = enemy.y - cy;
         const dist = Math.hypot(dxc, dyc);
@@ -81,7 +100,7 @@ function applyKnockbackImpact(gameState, projectile, cfg, aoeRadius) {
             enemy.y += bny * impulse;
         } else {
             if (dist === 0) {
-                const ang = Math.random() * Math.PI * 2;
+                const ang = rng.next() * Math.PI * 2;
                 enemy.x += Math.cos(ang) * (maxKb * 0.25);
                 enemy.y += Math.sin(ang) * (maxKb * 0.25);
             } else {
@@ -95,6 +114,7 @@ function applyKnockbackImpact(gameState, projectile, cfg, aoeRadius) {
 
 function applyClusterImpact(gameState, projectile, cfg) {
     if (!cfg?.enabled) return;
+    const rng = randomFor(gameState, projectile);
 
     const count = Math.max(1, cfg.count ?? 6);
     const spreadDeg = Math.max(1, cfg.spread ?? 360);
@@ -104,13 +124,13 @@ function applyClusterImpact(gameState, projectile, cfg) {
     const childAoe = cfg.childAoe ?? { radiusPixels: 40 };
     const childFx = cfg.childEffects ?? { explosion: { enabled: true, flashAlpha: 0.08, flashTtl: 80 } };
 
-    const centerAngle = Math.random() * Math.PI * 2;
+    const centerAngle = rng.next() * Math.PI * 2;
     const cx = projectile._currentX;
     const cy = projectile._currentY;
 
     for (let i = 0; i < count; i++) {
         const angle = centerAngle + ((i / count) - 0.5) * (spreadDeg * Math.PI / 180);
-        const dist = childDistance + Math.random() * (cfg.childDistanceJitter ?? 20);
+        const dist = childDistance + rng.next() * (cfg.childDistanceJitter ?? 20);
         const tx = cx + Math.cos(angle) * dist;
         const ty = cy + Math.sin(angle) * dist;
 
@@ -121,16 +141,19 @@ function applyClusterImpact(gameState, projectile, cfg) {
             targetY: ty,
             damagePerHit: Math.round((projectile.damagePerHit || 0) * childDamageScale),
             towerTypeKey: projectile.towerTypeKey,
+            // Bomblets are plain AoE hits whatever the parent shot was
+            projectileBehavior: "basic",
             targetEnemy: null,
             damageType: projectile.damageType || "physical",
+            canTargetAir: projectile.canTargetAir,
+            canTargetGround: projectile.canTargetGround,
+            isPreview: projectile.isPreview,
             aoe: childAoe,
-            effects: childFx
+            effects: childFx,
+            // Bomblets fly at the default shot speed, scaled
+            speedPixelsPerSecond: resolveProjectileFlight(null, gameState.configuration).speedPixelsPerSecond * childSpeedScale
         });
 
-        if (childSpeedScale !== 1 && gameState.configuration?.projectileLerpSpeedPerSecond) {
-            child._overrideLerpSpeed = gameState.configuration.projectileLerpSpeedPerSecond * childSpeedScale;
-        }
-
         gameState.projectiles.push(child);
     }
 }
@@ -155,7 +178,8 @@ function applyChainImpact(gameState, projectile, cfg) {
     let currentDamage = projectile.damagePerHit;
 
     const visited = new Set();
-    const now = performance.now();
+    const rng = randomFor(gameState, projectile);
+    const now = simulationNowMs(gameState);
     gameState.lightningBeams ||= [];
 
     const makeJaggedPath = (x1, y1, x2, y2, segments, amplitude) => {
@@ -172,7 +196,7 @@ function applyChainImpact(gameState, projectile, cfg) {
 
             // more jitter near the middle, less at endpoints
             const falloff = 1 - Math.abs(0.5 - t) * 2; // 0 at ends, 1 mid
-            const jitter = (Math.random() * 2 - 1) * amplitude * (0.35 + 0.65 * falloff);
+            const jitter = (rng.next() * 2 - 1) * amplitude * (0.35 + 0.65 * falloff);
 
             pts.push({ x: bx + px * jitter, y: by + py * jitter });
         }
@@ -186,6 +210,7 @@ function applyChainImpact(gameState, projectile, cfg) {
         for (const enemy of gameState.enemies) {
             if (enemy?._isMarkedDead) continue;
             if (visited.has(enemy)) continue;
+            if (!canAttackEnemy(projectile, enemy)) continue;
 
             const d = Math.hypot(enemy.x - currentX, enemy.y - currentY);
             if (d > jumpRadius) continue;
@@ -201,18 +226,11 @@ function applyChainImpact(gameState, projectile, cfg) {
 
         if (!best) break;
 
-        // Apply damage to this hop
-        const before = Math.max(0, best.hitPoints);
-        const dmgType = projectile.damageType || "physical";
-        const mult = (typeof typeMultFor === "function") ? typeMultFor(best, dmgType) : 1;
-        const raw = Math.max(0, Math.round(currentDamage * (gameState?.modifiers?.towerDamageMultiplier ?? 1) * mult));
-        const applied = Math.min(before, raw);
-
-        if (applied > 0) {
-            best.hitPoints = before - applied;
-            best._lastHitTimestamp = performance.now();
-            best._lastDamageAmount = applied;
-        }
+        // Apply damage to this hop (resistances/weaknesses handled by the resolver)
+        applyDamageToEnemy(gameState, best, currentDamage, projectile.damageType || "physical", {
+            textColor: "#bae6fd",
+            sourceTowerTypeKey: projectile.towerTypeKey
+        });
 
         // Visual: precomputed jagged bolt path for this hop
         const points = makeJaggedPath(currentX, currentY, best.x, best.y, boltSegments, boltAmplitude);
@@ -261,6 +279,9 @@ function applyAftershockImpact(gameState, projectile, cfg, aoeRadius) {
         damagePerHit: Math.round((projectile.damagePerHit || 0) * dmgMult),
         damageType: projectile.damageType || "physical",
         towerTypeKey: projectile.towerTypeKey,
+        canTargetAir: projectile.canTargetAir,
+        canTargetGround: projectile.canTargetGround,
+        isPreview: projectile.isPreview,
         effects: { explosion: { enabled: true, flashAlpha, flashTtl } },
         ripple: rippleEnabled ? {
             startRadius: rippleStart,
@@ -272,27 +293,150 @@ function applyAftershockImpact(gameState, projectile, cfg, aoeRadius) {
             glowColor: rippleGlowColor,
             alpha: rippleAlpha
         } : null,
-        dueAt: performance.now() + delayMs
+        dueAt: simulationNowMs(gameState) + delayMs
     };
 
     (gameState.scheduledEffects ||= []).push(entry);
 }
 
+// Status effects land on everything inside the AoE, or on the direct target for single-target shots.
+function applyStatusImpact(gameState, projectile, statusType, cfg, aoeRadius) {
+    if (!cfg?.enabled) return;
+
+    const chance = Number.isFinite(cfg.chance) ? Math.max(0, Math.min(1, cfg.chance)) : 1;
+    const params = {
+        durationMs: cfg.durationMs,
+        magnitude: cfg.speedMultiplier,
+        damagePerSecond: cfg.damagePerSecond,
+        maxStacks: cfg.maxStacks,
+        damageType: cfg.damageType,
+        sourceTowerTypeKey: projectile.towerTypeKey,
+    };
+
+    const victims = [];
+    if (aoeRadius > 0) {
+        for (const enemy of gameState.enemies) {
+            if (enemy?._isMarkedDead) continue;
+            if (!canAttackEnemy(projectile, enemy)) continue;
+            if (Math.hypot(enemy.x - projectile._currentX, enemy.y - projectile._currentY) < aoeRadius) {
+                victims.push(enemy);
+            }
+        }
+    } else if (projectile.targetEnemy && !projectile.targetEnemy._isMarkedDead) {
+        victims.push(projectile.targetEnemy);
+    }
+
+    const rng = randomFor(gameState, projectile);
+    for (const enemy of victims) {
+        if (enemy.hitPoints <= 0) continue;
+        if (chance < 1 && rng.next() >= chance) continue;
+        applyStatusEffect(enemy, statusType, params);
+    }
+}
+
+const EFFECT_HOOKS = ["onSpawn", "onTravel", "onImpact", "onExpire"];
+
+/**
+ * Registry of projectile effects, keyed like a tower's projectileEffects entries.
+ * Hooks (all optional) receive the effect's config object from projectileEffects:
+ *  - onSpawn(gameState, projectile, cfg)                 // once, when the projectile launches
+ *  - onTravel(gameState, projectile, cfg, deltaSeconds)  // every step while it flies
+ *  - onImpact(gameState, projectile, cfg, aoeRadius)     // when it hits (after the behavior's damage)
+ *  - onExpire(gameState, projectile, cfg)                // when it is removed, hit or not
+ *
+ * Effects run in ascending `order` (default 0), ties in registration order.
+ * Entries with enabled: false are skipped.
+ */
 export const EffectsRegistry = {
-    applyTravel(gameState, projectile, deltaSeconds) {
+    _effects: Object.create(null),
+    _ordered: [],
+
+    register(key, { order = 0, ...hooks } = {}) {
+        if (!key || typeof key !== "string") {
+            throw new Error("EffectsRegistry.register: invalid key");
+        }
+        for (const hook of Object.keys(hooks)) {
+            if (!EFFECT_HOOKS.includes(hook) || typeof hooks[hook] !== "function") {
+                throw new Error(`EffectsRegistry.register: "${key}".${hook} is not a valid hook`);
+            }
+        }
+        if (!Number.isFinite(order)) {
+            throw new Error(`EffectsRegistry.register: "${key}".order must be a number`);
+        }
+
+        const existing = this._effects[key];
+        const entry = { key, order, sequence: existing?.sequence ?? this._ordered.length, ...hooks };
+        this._effects[key] = entry;
+        this._ordered = Object.values(this._effects).sort((a, b) => a.order - b.order || a.sequence - b.sequence);
+    },
+
+    has(key) {
+        return Boolean(key) && key in this._effects;
+    },
+
+    /** Registered keys in dispatch order. */
+    keys() {
+        return this._ordered.map(entry => entry.key);
+    },
+
+    _dispatch(hook, gameState, projectile, extra) {
         const effects = projectile.effects;
         if (!effects) return;
-        if (effects.trail) applyTrailTravel(gameState, projectile, effects.trail, deltaSeconds);
+        for (const entry of this._ordered) {
+            const cfg = effects[entry.key];
+            if (!cfg || cfg.enabled === false || !entry[hook]) continue;
+            entry[hook](gameState, projectile, cfg, extra);
+        }
+    },
+
+    applySpawn(gameState, projectile) {
+        this._dispatch("onSpawn", gameState, projectile);
+    },
+
+    applyTravel(gameState, projectile, deltaSeconds) {
+        this._dispatch("onTravel", gameState, projectile, deltaSeconds);
     },
 
     applyImpact(gameState, projectile, aoeRadius) {
-        const effects = projectile.effects;
-        if (!effects) return;
+        this._dispatch("onImpact", gameState, projectile, aoeRadius);
+    },
 
-        if (effects.explosion) applyExplosionImpact(gameState, projectile, effects.explosion, aoeRadius);
-        if (effects.knockback) applyKnockbackImpact(gameState, projectile, effects.knockback, aoeRadius);
-        if (effects.cluster) applyClusterImpact?.(gameState, projectile, effects.cluster);
-        if (effects.chain) applyChainImpact?.(gameState, projectile, effects.chain);
-        if (effects.aftershock) applyAftershockImpact(gameState, projectile, effects.aftershock, aoeRadius);
+    applyExpire(gameState, projectile) {
+        this._dispatch("onExpire", gameState, projectile);
     }
 };
+
+EffectsRegistry.register("trail", { onTravel: applyTrailTravel });
+EffectsRegistry.register("explosion", { order: 10, onImpact: applyExplosionImpact });
+EffectsRegistry.register("knockback", { order: 20, onImpact: applyKnockbackImpact });
+EffectsRegistry.register("cluster", { order: 30, onImpact: applyClusterImpact });
+EffectsRegistry.register("chain", { order: 40, onImpact: applyChainImpact });
+EffectsRegistry.register("aftershock", { order: 50, onImpact: applyAftershockImpact });
+// Status effects last so they land on enemies still alive after the hit's damage
+for (const statusType of ["slow", "burn", "poison", "stun"]) {
+    EffectsRegistry.register(statusType, {
+        order: 60,
+        onImpact: (gameState, projectile, cfg, aoeRadius) => applyStatusImpact(gameState, projectile, statusType, cfg, aoeRadius)
+    });
+}
+
+/**
+ * projectileEffects keys a tower definition uses that no effect is registered
+ * for: its own projectileEffects, cluster childEffects and effects its upgrades add.
+ *
+ * @param {object} towerCfg
+ * @returns {string[]}
+ */
+export function findUnknownEffectKeys(towerCfg) {
+    const keys = new Set(Object.keys(towerCfg?.projectileEffects || {}));
+    for (const key of Object.keys(towerCfg?.projectileEffects?.cluster?.childEffects || {})) keys.add(key);
+    for (const upgrade of Object.values(towerCfg?.upgrades || {})) {
+        for (const levelDef of upgrade?.levels || []) {
+            for (const operation of getLevelOperations(levelDef)) {
+                const key = String(operation?.path ?? "").match(/^projectileEffects\.([^.]+)/)?.[1];
+                if (key) keys.add(key);
+            }
+        }
+    }
+    return [...keys].filter(key => !EffectsRegistry.has(key));
+}
@@ -1,22 +1,25 @@
-export function addExplosionParticles(gameState, x, y, radius) {
+import { randomFor } from "../../core/random.js";
+
+export function addExplosionParticles(gameState, x, y, radius, source = null) {
+    const rng = randomFor(gameState, source);
     const r = Math.max(24, radius || 80);
     const particles = Math.max(20, Math.floor(r / 2));
 
     for (let i = 0; i < particles; i++) {
-        const angle = Math.random() * Math.PI * 2;
-        const speed = (Math.random() * 0.8 + 0.4) * (r / 40);
+        const angle = rng.next() * Math.PI * 2;
+        const speed = (rng.next() * 0.8 + 0.4) * (r / 40);
         const vx = Math.cos(angle) * speed;
         const vy = Math.sin(angle) * speed;
-        const life = 500 + Math.random() * 600;
-        const size = 2 + Math.random() * 7;
+        const life = 500 + rng.next() * 600;
+        const size = 2 + rng.next() * 7;
 
-        const pick = Math.random();
+        const pick = rng.next();
         const color = pick < 0.12 ? "#fff3b0" : (pick < 0.5 ? "#ffb24d" : "#6b2f1b");
 
         gameState.particles.push({
             type: "fragment",
-            x: x + (Math.random() - 0.5) * 6,
-            y: y + (Math.random() - 0.5) * 6,
+            x: x + (rng.next() - 0.5) * 6,
+            y: y + (rng.next() - 0.5) * 6,
             vx, vy,
             lifeMs: life,
             maxLifeMs: life,
@@ -0,0 +1,109 @@
+// ===========================================
+// File: src/systems/enemyAbilitySystem.js
+// ===========================================
+
+import { FloatingText } from "../entities/floatingText.js";
+import { distanceBetweenPoints } from "../core/mathUtils.js";
+import { updateEnemyPathProgress } from "./movementSystem.js";
+import { simulationNowMs } from "../core/simulationClock.js";
+
+// Children from a splitter are fanned out slightly behind the parent so they don't overlap.
+const SPLIT_CHILD_SPACING_PIXELS = 10;
+
+/**
+ * Spawns the children of a dying splitter at its position on the same route
+ * (children of a flying splitter fly too).
+ * Returns the new enemies; the caller adds them to gameState.enemies.
+ *
+ * @param {object} gameState
+ * @param {EnemyEntity} parent
+ * @returns {EnemyEntity[]}
+ */
+export function spawnSplitChildren(gameState, parent) {
+    const split = parent?.splitOnDeath;
+    const createEnemy = gameState?.factories?.createEnemy;
+    if (!split || !split.childStatBlock || typeof createEnemy !== "function") return [];
+
+    const path = gameState.gridMap?.getRoute(parent.pathName, parent.isFlying);
+    const count = Math.max(0, Math.floor(Number(split.count) || 0));
+    const children = [];
+
+    for (let i = 0; i < count; i += 1) {
+        const child = createEnemy({ ...split.childStatBlock, isFlying: parent.isFlying }, parent.pathName);
+
+        // Step backwards along the current segment so the children trail each other.
+        const fromIndex = Math.max(0, parent.currentWaypointIndex - 1);
+        const back = parent.waypoints[fromIndex] || parent;
+        const segLen = distanceBetweenPoints(parent, back);
+        const t = segLen > 0 ? Math.min(1, (i * SPLIT_CHILD_SPACING_PIXELS) / segLen) : 0;
+
+        child.x = parent.x + (back.x - parent.x) * t;
+        child.y = parent.y + (back.y - parent.y) * t;
+        child.currentWaypointIndex = parent.currentWaypointIndex;
+        if (path) {
+            updateEnemyPathProgress(child, path.waypoints, path.cumulativePathLengths, child.currentWaypointIndex);
+        }
+        children.push(child);
+    }
+
+    return children;
+}
+
+/**
+ * Per-tick enemy abilities:
+ *  - healers pulse heal nearby allies (not themselves),
+ *  - shields regenerate after a delay without taking shield damage.
+ */
+export class EnemyAbilitySystem {
+    tick(gameState, deltaSeconds) {
+        const dt = Math.max(0, Number(deltaSeconds) || 0);
+        if (dt === 0) return;
+
+        for (const enemy of gameState.enemies) {
+            if (enemy._isMarkedDead || enemy.hitPoints <= 0) continue;
+
+            if (enemy.healing) this._tickHealer(gameState, enemy, dt);
+
+            if (enemy.maximumShieldPoints > 0 && enemy.shieldPoints < enemy.maximumShieldPoints) {
+                enemy._shieldRegenCooldownMs = Math.max(0, (enemy._shieldRegenCooldownMs || 0) - dt * 1000);
+                if (enemy._shieldRegenCooldownMs === 0) {
+                    enemy.shieldPoints = Math.min(
+                        enemy.maximumShieldPoints,
+                        enemy.shieldPoints + enemy.shieldRegenPerSecond * dt
+                    );
+                }
+            }
+        }
+    }
+
+    _tickHealer(gameState, healer, dt) {
+        const { radiusPixels = 80, hitPointsPerSecond = 0, pulseIntervalMs = 1000 } = healer.healing;
+        healer._healAccumulatorMs = (healer._healAccumulatorMs || 0) + dt * 1000;
+        if (healer._healAccumulatorMs < pulseIntervalMs) return;
+        healer._healAccumulatorMs -= pulseIntervalMs;
+
+        const amount = Math.round(hitPointsPerSecond * (pulseIntervalMs / 1000));
+        if (amount <= 0) return;
+
+        healer._lastHealPulseTimestamp = simulationNowMs(gameState);
+
+        for (const ally of gameState.enemies) {
+            if (ally === healer || ally._isMarkedDead || ally.hitPoints <= 0) continue;
+            if (ally.hitPoints >= ally.maximumHitPoints) continue;
+            if (distanceBetweenPoints(healer, ally) > radiusPixels) continue;
+
+            const healed = Math.min(amount, ally.maximumHitPoints - ally.hitPoints);
+            ally.hitPoints += healed;
+            gameState.floatingTexts.push(
+                new FloatingText({
+                    x: ally.x,
+                    y: ally.y - (ally.isBoss ? 26 : 18),
+                    text: `+${healed}`,
+                    color: "#4ade80",
+                    lifetimeMs: 700,
+                    risePixels: 20
+                })
+            );
+        }
+    }
+}
@@ -1,3 +1,39 @@
+import { computeCumulativeLengths, measurePathProgress } from "../core/mathUtils.js";
+import { getMovementSpeedMultiplier } from "./statusEffectSystem.js";
+
+// Cumulative segment lengths per waypoint array. The active GridMap already carries them per path/air lane;
+// any other path (e.g. a stale array kept by an enemy) is measured once and cached here.
+const cumulativeLengthsCache = new WeakMap();
+
+function resolveCumulativeLengths(gameState, waypoints) {
+    for (const routes of [gameState.gridMap?.paths, gameState.gridMap?.airLanes]) {
+        if (!routes) continue;
+        for (const name in routes) {
+            if (routes[name].waypoints === waypoints) return routes[name].cumulativePathLengths;
+        }
+    }
+    let lengths = cumulativeLengthsCache.get(waypoints);
+    if (!lengths) {
+        lengths = computeCumulativeLengths(waypoints);
+        cumulativeLengthsCache.set(waypoints, lengths);
+    }
+    return lengths;
+}
+
+/**
+ * Writes the distance-along-path metrics onto an enemy:
+ *  - pathProgressPixels: distance travelled from the path start
+ *  - pathRemainingPixels: distance left before it leaks
+ *  - pathProgressRatio: 0..1, resolution independent (safe across grid rebuilds)
+ */
+export function updateEnemyPathProgress(enemy, waypoints, cumulativeLengths, segmentEndIndex) {
+    const total = cumulativeLengths[cumulativeLengths.length - 1] || 0;
+    const progress = measurePathProgress(enemy, waypoints, cumulativeLengths, segmentEndIndex);
+    enemy.pathProgressPixels = progress;
+    enemy.pathRemainingPixels = Math.max(0, total - progress);
+    enemy.pathProgressRatio = total > 0 ? Math.min(1, progress / total) : 0;
+}
+
 export class MovementSystem {
     tick(gameState, deltaSeconds) {
         const dt = Math.max(0, Number(deltaSeconds) || 0);
@@ -24,6 +60,9 @@ export class MovementSystem {
                     40;
             }
 
+            // Slows scale speed; stuns (multiplier 0) hold the enemy in place
+            speedPxPerSec *= getMovementSpeedMultiplier(enemy);
+
             // ---- Init/Clamp index ----
             let idx = Number.isInteger(enemy.currentWaypointIndex)
                 ? enemy.currentWaypointIndex
@@ -86,10 +125,12 @@ export class MovementSystem {
 
                 // Keep index pinned at the end for any UI that reads it
                 enemy.currentWaypointIndex = waypoints.length - 1;
+                updateEnemyPathProgress(enemy, waypoints, resolveCumulativeLengths(gameState, waypoints), waypoints.length - 1);
                 continue;
             }
 
             enemy.currentWaypointIndex = idx;
+            updateEnemyPathProgress(enemy, waypoints, resolveCumulativeLengths(gameState, waypoints), idx);
         }
     }
 }
\ No newline at end of file
@@ -1,26 +1,97 @@
+// ===========================================
+// File: src/systems/projectileBehaviors.js
+// ===========================================
+/*
+ The projectile pipeline. Every projectile, whether a tower shot or a cluster
+ bomblet, goes through the same steps:
+
+   launchProjectile   resolve its behavior, behavior.onSpawn, spawn effects
+   advanceProjectile  move, behavior.onTravel, travel effects;
+                      on arrival behavior.onImpact, then impact effects
+   expireProjectile   expire effects, removed at the end of the step
+
+ A behavior decides what a hit does (the "basic" one deals the shot's damage);
+ the tower's projectileEffects (EffectsRegistry) layer on top of any behavior.
+
+ Which behavior a projectile uses: its `projectileBehavior` key (copied from
+ the tower definition), else a behavior registered under its tower type key,
+ else "basic". New projectile kinds only need ProjectileBehaviorRegistry.register.
+
+ Where it flies and what it counts as hitting depends on its mode
+ (homing / predictive / dumb, see projectileGuidance.js). Non-homing shots
+ have targetEnemy replaced on arrival by the enemy actually under the impact
+ point (null on a miss), so behaviors and effects only see real hits.
+*/
+
+import { ProjectileEntity } from '../entities/projectile.js';
+import { applyDamageToEnemy, canAttackEnemy } from './damageResolver.js';
+import { EffectsRegistry } from './effects/effectsRegistry.js';
+import {
+    arcPeakFor,
+    createCurveControlPoint,
+    estimateEnemyVelocity,
+    findEnemyAtImpact,
+    flightPathLength,
+    flightSecondsFor,
+    predictInterceptPoint,
+    projectileHeightAt,
+    projectilePositionAt,
+    resolveProjectileFlight,
+    resolveProjectileMode,
+    steerProjectile,
+} from './projectileGuidance.js';
+
+const BEHAVIOR_HOOKS = ['onSpawn', 'onTravel', 'onImpact'];
+
+// Unknown projectileBehavior keys already reported (one warning per key)
+const warnedBehaviorKeys = new Set();
 
 /**
- * Lightweight registry for projectile behaviors with lifecycle hooks.
- * Hook signatures:
- *  - onSpawn(projectile, gameState)
- *  - onTravel(projectile, gameState, deltaSeconds)   // optional per-frame travel effects
- *  - onImpact(projectile, gameState)                 // called when projectile reaches target
+ * Registry for projectile behaviors with lifecycle hooks (all optional):
+ *  - onSpawn(projectile, gameState)                  // once, before the first move
+ *  - onTravel(projectile, gameState, deltaSeconds)   // every step after moving
+ *  - onImpact(projectile, gameState)                 // when the projectile reaches its target point
  *
- * Each behavior returns void and may mutate gameState (particles, decals, etc.)
+ * Hooks return void and may mutate the projectile and gameState (damage, particles, decals...).
  */
-
 export const ProjectileBehaviorRegistry = {
     _behaviors: Object.create(null),
 
     register(key, behavior) {
-        if (!key || typeof behavior !== 'object') {
+        if (!key || !behavior || typeof behavior !== 'object') {
             throw new Error('ProjectileBehaviorRegistry.register: invalid args');
         }
+        for (const hook of BEHAVIOR_HOOKS) {
+            if (behavior[hook] !== undefined && typeof behavior[hook] !== 'function') {
+                throw new Error(`ProjectileBehaviorRegistry.register: "${key}".${hook} must be a function`);
+            }
+        }
         this._behaviors[key] = behavior;
     },
 
+    has(key) {
+        return Boolean(key) && key in this._behaviors;
+    },
+
     get(key) {
         return this._behaviors[key] || this._behaviors.basic;
+    },
+
+    /**
+     * Behavior key for a tower or projectile: explicit projectileBehavior, then a
+     * behavior named after its tower type, then "basic".
+     */
+    resolveKey(source) {
+        const explicit = source?.projectileBehavior;
+        if (explicit) {
+            if (this.has(explicit)) return explicit;
+            if (!warnedBehaviorKeys.has(explicit)) {
+                warnedBehaviorKeys.add(explicit);
+                console.warn(`Unknown projectileBehavior "${explicit}"; using "basic".`);
+            }
+            return 'basic';
+        }
+        return this.has(source?.towerTypeKey) ? source.towerTypeKey : 'basic';
     }
 };
 
@@ -31,207 +102,215 @@ export const ProjectileHelpers = {
     /**
      * Applies AoE damage with linear falloff (1.0 at center -> 0 at edge).
      * Returns total applied damage (sum) for optional analytics.
+     * Pass the attacker (projectile or scheduled effect) to skip enemies in a layer
+     * it can't hit (air/ground) and to credit its tower type.
+     *
+     * @param {{attacker?:object, damageMultiplier?:number, textColor?:string}} [options]
      */
-    applyAoeDamage(gameState, centerX, centerY, radiusPixels, baseDamage, damageType, damageMultiplier = 1) {
+    applyAoeDamage(gameState, centerX, centerY, radiusPixels, baseDamage, damageType, options = {}) {
+        const { attacker = null, damageMultiplier = 1, textColor } = options;
         let total = 0;
         const r = Math.max(1, radiusPixels || 1);
         for (const enemy of gameState.enemies) {
             if (!enemy || enemy._isMarkedDead) continue;
+            if (!canAttackEnemy(attacker, enemy)) continue;
             const dx = enemy.x - centerX;
             const dy = enemy.y - centerY;
             const d  = Math.hypot(dx, dy);
             if (d >= r) continue;
 
-            const before = Math.max(0, enemy.hitPoints);
-            // Use your existing global + type multiplier (kept DRY with your helpers)
-            const raw = Math.max(0, Math.round(baseDamage * (gameState?.modifiers?.towerDamageMultiplier ?? 1) * (typeof typeMultFor === 'function' ? typeMultFor(enemy, damageType) : 1) * damageMultiplier));
-            const falloff = 1 - (d / r);
-            const applied = Math.min(before, Math.round(raw * falloff));
+            const applied = applyDamageToEnemy(gameState, enemy, baseDamage, damageType, {
+                falloff: 1 - (d / r),
+                damageMultiplier,
+                textColor,
+                sourceTowerTypeKey: attacker?.towerTypeKey
+            });
             if (applied <= 0) continue;
 
-            enemy.hitPoints = before - applied;
-            enemy._lastHitTimestamp = performance.now();
-            enemy._lastDamageAmount = applied;
-
-            // Floating damage text
-            gameState.floatingTexts.push(new FloatingText({
-                x: enemy.x,
-                y: enemy.y - (enemy.isBoss ? 26 : 18),
-                text: `-${applied}`,
-                color: "#fca5a5",
-                lifetimeMs: 900,
-                risePixels: enemy.isBoss ? 34 : 28
-            }));
-
             total += applied;
         }
         return total;
     },
 
-    /**
-     * Minimal, fast particle blast + scorch + soft screen flash.
-     * Tuned to be subtle by default.
-     */
-    spawnExplosionFx(gameState, x, y, radiusPixels) {
-        const EX_RADIUS = Math.max(24, radiusPixels || 80);
-        const PARTICLE_COUNT = Math.max(20, Math.floor(EX_RADIUS / 2.0));
-
-        // Particles (embers/debris)
-        for (let i = 0; i < PARTICLE_COUNT; i++) {
-            const angle = Math.random() * Math.PI * 2;
-            const speed = (Math.random() * 0.8 + 0.4) * (EX_RADIUS / 40);
-            const vx = Math.cos(angle) * speed;
-            const vy = Math.sin(angle) * speed;
-            const life = 500 + Math.random() * 600; // ms
-            const size = 2 + Math.random() * 7;
-
-            const r = Math.random();
-            const color = r < 0.12 ? "#fff3b0" : (r < 0.5 ? "#ffb24d" : "#6b2f1b");
-
-            gameState.particles.push({
-                type: "fragment",
-                x: x + (Math.random() - 0.5) * 6,
-                y: y + (Math.random() - 0.5) * 6,
-                vx, vy,
-                lifeMs: life,
-                maxLifeMs: life,
-                size,
-                color
-            });
-        }
-
-        // Scorch decal (fades in tick via lifeMs)
-        (gameState.decals ||= []).push({
-            type: "scorch",
-            x, y,
-            radius: EX_RADIUS * 0.6,
-            lifeMs: 30000,
-            maxLifeMs: 30000,
-            alpha: 0.85
-        });
-
-        // Gentle screen flash (already toned down per your feedback)
-        const FLASH_ALPHA = 0.16;
-        const FLASH_TTL   = 120;
-        gameState.screenFlash.alpha = Math.max(gameState.screenFlash.alpha || 0, FLASH_ALPHA);
-        gameState.screenFlash.ttlMs = Math.max(gameState.screenFlash.ttlMs || 0, FLASH_TTL);
+    /** AoE radius of a projectile's hit (aoe, else splash), 0 for single-target shots. */
+    aoeRadiusOf(projectile) {
+        return projectile?.aoe?.radiusPixels || projectile?.splash?.radiusPixels || 0;
     },
 
     /**
-     * Applies immediate positional knockback with linear falloff to all enemies in radius.
+     * The standard hit: AoE damage around the impact point, or the full hit on
+     * the target enemy for single-target shots. Returns total applied damage.
      */
-    applyKnockback(gameState, centerX, centerY, radiusPixels, maxKnockbackPx) {
-        const R = Math.max(1, radiusPixels || 1);
-        const MAX = Math.max(0, maxKnockbackPx || 0);
-        if (MAX <= 0) return;
+    applyProjectileDamage(gameState, projectile) {
+        const dmgType = projectile.damageType || "physical";
+        const radius = this.aoeRadiusOf(projectile);
 
-        for (const enemy of gameState.enemies) {
-            if (!enemy || enemy._isMarkedDead) continue;
-            const dx = enemy.x - centerX;
-            const dy = enemy.y - centerY;
-            const dist = Math.hypot(dx, dy);
-            if (dist >= R) continue;
-
-            if (dist === 0) {
-                const ang = Math.random() * Math.PI * 2;
-                enemy.x += Math.cos(ang) * (MAX * 0.25);
-                enemy.y += Math.sin(ang) * (MAX * 0.25);
-            } else {
-                const falloff = 1 - (dist / R);
-                const nx = dx / dist;
-                const ny = dy / dist;
-                enemy.x += nx * (MAX * falloff);
-                enemy.y += ny * (MAX * falloff);
-            }
+        if (radius > 0) {
+            return this.applyAoeDamage(
+                gameState,
+                projectile._currentX, projectile._currentY,
+                radius,
+                projectile.damagePerHit,
+                dmgType,
+                { attacker: projectile }
+            );
         }
+
+        const enemy = projectile.targetEnemy;
+        if (!enemy || enemy._isMarkedDead) return 0;
+        return applyDamageToEnemy(gameState, enemy, projectile.damagePerHit, dmgType, {
+            sourceTowerTypeKey: projectile.towerTypeKey
+        });
     }
 };
 
 // ------------------------
-// Built-in behaviors
+// Pipeline
 // ------------------------
 
 /**
- * Default/basic projectile:
- * - Direct damage if targetEnemy is set.
- * - If projectile.splash exists -> AoE damage ONLY (no FX).
+ * Creates a projectile fired by `tower` at `targetEnemy` and launches it.
+ * deltaSeconds is the current step, used to read the target's velocity for predictive aim.
+ * @returns {ProjectileEntity}
  */
-ProjectileBehaviorRegistry.register('basic', {
-    onSpawn(projectile, gameState) { /* no-op */ },
+export function fireProjectile(gameState, tower, targetEnemy, deltaSeconds = 0) {
+    const mode = resolveProjectileMode(tower);
+    const flight = resolveProjectileFlight(tower, gameState.configuration);
+    const aim = mode === "predictive"
+        ? predictInterceptPoint(tower, targetEnemy, estimateEnemyVelocity(targetEnemy, deltaSeconds),
+            (distance) => flightSecondsFor(flight, distance))
+        : { x: targetEnemy.x, y: targetEnemy.y };
 
-    onTravel(projectile, gameState, deltaSeconds) { /* no-op */ },
+    const projectile = new ProjectileEntity({
+        x: tower.x,
+        y: tower.y,
+        targetX: aim.x,
+        targetY: aim.y,
+        mode,
+        ...flight,
+        damagePerHit: tower.damagePerShot,
+        towerTypeKey: tower.towerTypeKey,
+        projectileBehavior: tower.projectileBehavior || null,
+        targetEnemy,
+        damageType: tower.damageType || "physical",
+        canTargetAir: tower.canTargetAir,
+        canTargetGround: tower.canTargetGround,
+        isPreview: Boolean(tower.isPreview),
+        aoe: tower.aoe || tower.splash || null,
+        effects: tower.projectileEffects || null
+    });
 
-    onImpact(projectile, gameState) {
-        const dmgType = projectile.damageType || "physical";
+    projectile.arcPeakPixels = arcPeakFor(tower, Math.hypot(aim.x - tower.x, aim.y - tower.y));
 
-        if (projectile.splash) {
-            // AoE damage only, use projectile.damagePerHit as base
-            ProjectileHelpers.applyAoeDamage(
-                gameState,
-                projectile._currentX, projectile._currentY,
-                projectile.splash.radiusPixels,
-                projectile.damagePerHit,
-                dmgType
-            );
-            return;
-        }
+    if (mode === "homing" && tower.homingCurvature > 0) {
+        // Alternate sides so a tower's salvo fans out
+        tower._nextCurveSide = tower._nextCurveSide === 1 ? -1 : 1;
+        projectile.curveControl = createCurveControlPoint(tower, aim, tower.homingCurvature, tower._nextCurveSide);
+    }
 
-        // Direct hit path
-        const enemy = projectile.targetEnemy;
-        if (enemy && !enemy._isMarkedDead) {
-            const before = Math.max(0, enemy.hitPoints);
-            const raw = Math.max(0, Math.round(
-                projectile.damagePerHit *
-                (gameState?.modifiers?.towerDamageMultiplier ?? 1) *
-                (typeof typeMultFor === 'function' ? typeMultFor(enemy, dmgType) : 1)
-            ));
-            const applied = Math.min(raw, before);
-            if (applied > 0) {
-                enemy.hitPoints = before - applied;
-                enemy._lastHitTimestamp = performance.now();
-                enemy._lastDamageAmount = applied;
-
-                gameState.floatingTexts.push(new FloatingText({
-                    x: enemy.x,
-                    y: enemy.y - (enemy.isBoss ? 26 : 18),
-                    text: `-${applied}`,
-                    color: "#fca5a5",
-                    lifetimeMs: 900,
-                    risePixels: enemy.isBoss ? 34 : 28
-                }));
-            }
-        }
+    launchProjectile(gameState, projectile);
+    gameState.projectiles.push(projectile);
+    return projectile;
+}
+
+/**
+ * Resolves the projectile's behavior and runs the spawn hooks. Projectiles pushed onto
+ * gameState.projectiles without this are launched on their first advance.
+ */
+export function launchProjectile(gameState, projectile) {
+    if (projectile._behaviorKey) return;
+    projectile._behaviorKey = ProjectileBehaviorRegistry.resolveKey(projectile);
+    projectile.mode ||= projectile.targetEnemy ? "homing" : "dumb";
+    // Flight settings the creator didn't give come from the config defaults
+    const defaults = resolveProjectileFlight(null, gameState.configuration);
+    projectile.speedPixelsPerSecond ??= defaults.speedPixelsPerSecond;
+    projectile.accelerationPixelsPerSecondSquared ??= defaults.accelerationPixelsPerSecondSquared;
+    projectile.maxLifetimeSeconds ??= defaults.maxLifetimeSeconds;
+
+    // Shots from towers without their own effects copy fall back to the type's config
+    if (!projectile.effects) {
+        const towerCfg = gameState.configuration?.towersByTypeKey?.[projectile.towerTypeKey];
+        projectile.effects = towerCfg?.projectileEffects || null;
+    }
+
+    ProjectileBehaviorRegistry.get(projectile._behaviorKey).onSpawn?.(projectile, gameState);
+    EffectsRegistry.applySpawn(gameState, projectile);
+}
+
+/** One simulation step for a projectile; sets _isComplete once it has hit or fizzled. */
+export function advanceProjectile(gameState, projectile, deltaSeconds) {
+    launchProjectile(gameState, projectile);
+    const behavior = ProjectileBehaviorRegistry.get(projectile._behaviorKey);
+
+    // Average of the speeds at both ends of the step, so acceleration integrates exactly
+    const startSpeed = projectile.speedPixelsPerSecond;
+    projectile.speedPixelsPerSecond = Math.max(0, startSpeed + projectile.accelerationPixelsPerSecondSquared * deltaSeconds);
+    projectile.distanceTravelledPixels += (startSpeed + projectile.speedPixelsPerSecond) / 2 * deltaSeconds;
+    projectile.ageSeconds += deltaSeconds;
+
+    steerProjectile(projectile);
+    // Progress never goes backwards, even when a homing target moves away
+    const pathLength = flightPathLength(projectile);
+    projectile.travelProgress = pathLength > 0
+        ? Math.max(projectile.travelProgress, Math.min(1, projectile.distanceTravelledPixels / pathLength))
+        : 1;
+    const position = projectilePositionAt(projectile, projectile.travelProgress);
+    projectile._currentX = position.x;
+    projectile._currentY = position.y;
+    projectile._currentHeight = projectileHeightAt(projectile, projectile.travelProgress);
+
+    behavior.onTravel?.(projectile, gameState, deltaSeconds);
+    EffectsRegistry.applyTravel(gameState, projectile, deltaSeconds);
+
+    if (projectile.travelProgress < 1) {
+        // Out of time before arriving: fizzles without an impact
+        if (projectile.ageSeconds >= projectile.maxLifetimeSeconds) expireProjectile(gameState, projectile);
+        return;
+    }
+
+    if (projectile.mode !== "homing") projectile.targetEnemy = findEnemyAtImpact(gameState, projectile);
+    behavior.onImpact?.(projectile, gameState);
+    EffectsRegistry.applyImpact(gameState, projectile, ProjectileHelpers.aoeRadiusOf(projectile));
+    expireProjectile(gameState, projectile);
+}
+
+/** Ends a projectile's flight: runs expire effects and flags it for removal. */
+export function expireProjectile(gameState, projectile) {
+    if (projectile._isComplete) return;
+    EffectsRegistry.applyExpire(gameState, projectile);
+    projectile._isComplete = true;
+}
+
+// ------------------------
+// Built-in behaviors
+// ------------------------
+
+/**
+ * Default/basic projectile: AoE damage when it has an aoe/splash radius,
+ * otherwise a direct hit on targetEnemy (if the shot connected).
+ */
+ProjectileBehaviorRegistry.register('basic', {
+    onImpact(projectile, gameState) {
+        ProjectileHelpers.applyProjectileDamage(gameState, projectile);
     }
 });
 
 /**
- * "nuke" projectile:
- * - AoE damage with visuals and knockback.
- * - Reuses the DRY helpers above.
+ * "nuke" projectile: always an AoE (100px unless the tower sets one), and it
+ * explodes with knockback even if the tower configures no such effects.
  */
+const NUKE_DEFAULT_RADIUS = 100;
 ProjectileBehaviorRegistry.register('nuke', {
-    onSpawn(projectile, gameState) { /* room for trails later */ },
-
-    onTravel(projectile, gameState, deltaSeconds) { /* room for arc/smoke */ },
+    onSpawn(projectile) {
+        if (!ProjectileHelpers.aoeRadiusOf(projectile)) projectile.aoe = { radiusPixels: NUKE_DEFAULT_RADIUS };
+        projectile.effects = {
+            explosion: { enabled: true },
+            knockback: { enabled: true },
+            ...projectile.effects
+        };
+    },
 
     onImpact(projectile, gameState) {
-        const dmgType = projectile.damageType || "physical";
-        const radius  = projectile?.splash?.radiusPixels || 100;
-
-        // 1) Damage
-        ProjectileHelpers.applyAoeDamage(
-            gameState,
-            projectile._currentX, projectile._currentY,
-            radius,
-            projectile.damagePerHit,
-            dmgType
-        );
-
-        // 2) FX
-        ProjectileHelpers.spawnExplosionFx(gameState, projectile._currentX, projectile._currentY, radius);
-
-        // 3) Physics (knockback)
-        const MAX_KNOCKBACK = Math.max(10, Math.min(80, Math.floor(radius * 0.35)));
-        ProjectileHelpers.applyKnockback(gameState, projectile._currentX, projectile._currentY, radius, MAX_KNOCKBACK);
+        ProjectileHelpers.applyProjectileDamage(gameState, projectile);
     }
 });
@@ -0,0 +1,207 @@
+// ===========================================
+// File: src/systems/projectileGuidance.js
+// ===========================================
+/*
+ How projectiles aim and fly.
+
+ Aim (a tower's projectileMode):
+
+   homing      follows the live target every step and hits it if it is still
+               alive; homingCurvature > 0 bends the flight into an arc
+   predictive  fires at where the target will be, leading it by its current
+               velocity; hits whatever is there on arrival
+   dumb        fires at where the target is now; hits whatever is there on
+               arrival, so fast or turning enemies dodge it
+
+ Towers without a projectileMode: AoE shots are dumb-fire (they burst where
+ the target stood, as before), single-target shots home.
+
+ Flight: projectiles move at projectileSpeedPixelsPerSecond, changing by
+ projectileAccelerationPixelsPerSecondSquared, so far targets take longer to
+ reach. One that hasn't arrived after projectileMaxLifetimeSeconds fizzles.
+ Towers inherit whatever they don't set from the game config.
+
+ Trajectory (projectileTrajectory): "straight", or "arc" for lobbed shells.
+ An arc only adds height over the same ground track (peak = arcHeightRatio
+ times the shot's length), so it lands exactly where a straight shot would;
+ the renderer draws the height, a ground shadow and the landing zone.
+*/
+
+import { linearInterpolate } from "../core/mathUtils.js";
+import { canAttackEnemy } from "./damageResolver.js";
+
+export const PROJECTILE_MODES = ["homing", "predictive", "dumb"];
+export const PROJECTILE_TRAJECTORIES = ["straight", "arc"];
+
+// Slack added to an enemy's radius when checking whether a non-homing shot hit it
+const HIT_TOLERANCE_PIXELS = 2;
+const DEFAULT_ENEMY_RADIUS_PIXELS = 10;
+const INTERCEPT_ITERATIONS = 3;
+
+// Used when neither the tower nor the game config sets them
+const DEFAULT_SPEED_PIXELS_PER_SECOND = 600;
+const DEFAULT_MAX_LIFETIME_SECONDS = 5;
+const DEFAULT_ARC_HEIGHT_RATIO = 0.35;
+
+/**
+ * Flight parameters for shots from `source` (a tower definition/entity or a
+ * projectile), falling back to the configuration's defaults.
+ * @returns {{speedPixelsPerSecond:number, accelerationPixelsPerSecondSquared:number, maxLifetimeSeconds:number}}
+ */
+export function resolveProjectileFlight(source, configuration) {
+    const pick = (value, fallback) => (Number.isFinite(value) ? value : fallback);
+    return {
+        speedPixelsPerSecond: Math.max(0, pick(source?.projectileSpeedPixelsPerSecond,
+            pick(configuration?.projectileSpeedPixelsPerSecond, DEFAULT_SPEED_PIXELS_PER_SECOND))),
+        accelerationPixelsPerSecondSquared: pick(source?.projectileAccelerationPixelsPerSecondSquared, 0),
+        maxLifetimeSeconds: Math.max(0, pick(source?.projectileMaxLifetimeSeconds,
+            pick(configuration?.projectileMaxLifetimeSeconds, DEFAULT_MAX_LIFETIME_SECONDS))),
+    };
+}
+
+/**
+ * Seconds a shot with this flight needs to cover `distancePixels`
+ * (Infinity if it slows to a stop first).
+ */
+export function flightSecondsFor(flight, distancePixels) {
+    const distance = Math.max(0, distancePixels);
+    const speed = flight.speedPixelsPerSecond;
+    const acceleration = flight.accelerationPixelsPerSecondSquared;
+    if (!acceleration) return speed > 0 ? distance / speed : Infinity;
+
+    // distance = speed * t + acceleration * t^2 / 2
+    const discriminant = speed * speed + 2 * acceleration * distance;
+    if (discriminant < 0) return Infinity;
+    return (Math.sqrt(discriminant) - speed) / acceleration;
+}
+
+/** Length of the flight path as currently aimed (a curve's length is estimated). */
+export function flightPathLength(projectile) {
+    const chord = Math.hypot(projectile.targetX - projectile.x, projectile.targetY - projectile.y);
+    const control = projectile.curveControl;
+    if (!control) return chord;
+    const polygon = Math.hypot(control.x - projectile.x, control.y - projectile.y)
+        + Math.hypot(projectile.targetX - control.x, projectile.targetY - control.y);
+    return (chord + polygon) / 2;
+}
+
+/** Peak height (px) of a shot from `tower` over `distancePixels`; 0 for straight shots. */
+export function arcPeakFor(tower, distancePixels) {
+    if (tower?.projectileTrajectory !== "arc") return 0;
+    const ratio = Number.isFinite(tower.arcHeightRatio) ? Math.max(0, tower.arcHeightRatio) : DEFAULT_ARC_HEIGHT_RATIO;
+    return ratio * Math.max(0, distancePixels);
+}
+
+/** Height above the ground at progress t: a parabola peaking at the middle of the flight. */
+export function projectileHeightAt(projectile, t) {
+    const peak = projectile.arcPeakPixels || 0;
+    const tt = Math.max(0, Math.min(1, t));
+    return 4 * peak * tt * (1 - tt);
+}
+
+export function resolveProjectileMode(tower) {
+    if (PROJECTILE_MODES.includes(tower?.projectileMode)) return tower.projectileMode;
+    return (tower?.aoe || tower?.splash) ? "dumb" : "homing";
+}
+
+export function isEnemyAlive(enemy) {
+    return Boolean(enemy) && !enemy._isMarkedDead && enemy.hitPoints > 0;
+}
+
+/**
+ * An enemy's velocity in px/s over the last step, from the _prevX/_prevY
+ * CombatSystem records. Zero for enemies that just spawned.
+ */
+export function estimateEnemyVelocity(enemy, deltaSeconds) {
+    if (!(deltaSeconds > 0) || !Number.isFinite(enemy?._prevX) || !Number.isFinite(enemy?._prevY)) {
+        return { x: 0, y: 0 };
+    }
+    return { x: (enemy.x - enemy._prevX) / deltaSeconds, y: (enemy.y - enemy._prevY) / deltaSeconds };
+}
+
+/**
+ * Lead point for a shot from `origin`: where the enemy will be when a projectile
+ * that needs flightSecondsFor(distance) seconds gets there. Refined a few times
+ * since the flight time depends on the point.
+ *
+ * @param {{x:number, y:number}} origin
+ * @param {{x:number, y:number}} enemy
+ * @param {{x:number, y:number}} velocity - px/s
+ * @param {(distancePixels:number) => number} flightSecondsFor
+ * @returns {{x:number, y:number}}
+ */
+export function predictInterceptPoint(origin, enemy, velocity, flightSecondsFor) {
+    let point = { x: enemy.x, y: enemy.y };
+    for (let i = 0; i < INTERCEPT_ITERATIONS; i += 1) {
+        const seconds = Math.max(0, flightSecondsFor(Math.hypot(point.x - origin.x, point.y - origin.y)) || 0);
+        point = { x: enemy.x + velocity.x * seconds, y: enemy.y + velocity.y * seconds };
+    }
+    return point;
+}
+
+/**
+ * Control point for a curved homing shot: off to one side of the midpoint,
+ * `curvature` times the shot's length away. side is +1 or -1.
+ */
+export function createCurveControlPoint(from, to, curvature, side) {
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const length = Math.hypot(dx, dy) || 1;
+    const offset = curvature * length * side;
+    return {
+        x: from.x + dx / 2 - (dy / length) * offset,
+        y: from.y + dy / 2 + (dx / length) * offset,
+    };
+}
+
+/** Homing shots re-aim at their target while it lives; otherwise they finish at its last position. */
+export function steerProjectile(projectile) {
+    if (projectile.mode !== "homing" || !isEnemyAlive(projectile.targetEnemy)) return;
+    projectile.targetX = projectile.targetEnemy.x;
+    projectile.targetY = projectile.targetEnemy.y;
+}
+
+/** Point along the flight at progress t (0..1): a straight line, or a quadratic curve through curveControl. */
+export function projectilePositionAt(projectile, t) {
+    const tt = Math.max(0, Math.min(1, t));
+    const control = projectile.curveControl;
+    if (!control) {
+        return {
+            x: linearInterpolate(projectile.x, projectile.targetX, tt),
+            y: linearInterpolate(projectile.y, projectile.targetY, tt),
+        };
+    }
+    const a = (1 - tt) * (1 - tt);
+    const b = 2 * (1 - tt) * tt;
+    const c = tt * tt;
+    return {
+        x: a * projectile.x + b * control.x + c * projectile.targetX,
+        y: a * projectile.y + b * control.y + c * projectile.targetY,
+    };
+}
+
+/**
+ * The enemy a non-homing shot actually hit at its impact point: the intended
+ * target if it is there, else the nearest attackable enemy under the point, else null.
+ */
+export function findEnemyAtImpact(gameState, projectile) {
+    const x = projectile._currentX;
+    const y = projectile._currentY;
+    const isUnderPoint = (enemy) => isEnemyAlive(enemy)
+        && canAttackEnemy(projectile, enemy)
+        && Math.hypot(enemy.x - x, enemy.y - y) <= (enemy.drawRadiusPixels || DEFAULT_ENEMY_RADIUS_PIXELS) + HIT_TOLERANCE_PIXELS;
+
+    if (isUnderPoint(projectile.targetEnemy)) return projectile.targetEnemy;
+
+    let best = null;
+    let bestDistance = Infinity;
+    for (const enemy of gameState.enemies) {
+        if (!isUnderPoint(enemy)) continue;
+        const distance = Math.hypot(enemy.x - x, enemy.y - y);
+        if (distance < bestDistance) {
+            best = enemy;
+            bestDistance = distance;
+        }
+    }
+    return best;
+}
@@ -0,0 +1,134 @@
+// ===========================================
+// File: src/systems/statusEffectSystem.js
+// ===========================================
+
+import { applyDamageToEnemy } from "./damageResolver.js";
+
+/**
+ * Built-in status effect kinds.
+ *  - stacking: "strongest" keeps the strongest magnitude and refreshes duration,
+ *              "stack" adds independent stacks up to maxStacks (oldest replaced),
+ *              "refresh" keeps a single instance with the longest remaining duration.
+ *  - damageType: damage-over-time type routed through the damage resolver.
+ */
+export const STATUS_EFFECT_DEFINITIONS = {
+    slow: { stacking: "strongest", defaultDurationMs: 1500, iconColor: "#7dd3fc" },
+    burn: { stacking: "stack", defaultDurationMs: 2000, defaultMaxStacks: 3, damageType: "fire", iconColor: "#fb923c", textColor: "#fdba74" },
+    poison: { stacking: "stack", defaultDurationMs: 4000, defaultMaxStacks: 5, damageType: "poison", iconColor: "#a3e635", textColor: "#bef264" },
+    stun: { stacking: "refresh", defaultDurationMs: 600, iconColor: "#fde047" },
+};
+
+// DoT damage is dealt in discrete ticks so floating numbers stay readable.
+const DOT_TICK_INTERVAL_MS = 500;
+
+/**
+ * Applies (or stacks/refreshes) a status effect on an enemy.
+ *
+ * @param {EnemyEntity} enemy
+ * @param {string} type - key of STATUS_EFFECT_DEFINITIONS
+ * @param {{durationMs?:number, magnitude?:number, damagePerSecond?:number, maxStacks?:number, damageType?:string, sourceTowerTypeKey?:string}} params
+ *   magnitude: slow = speed multiplier (0.6 => 60% speed)
+ *   sourceTowerTypeKey: tower type credited with the DoT damage
+ * @returns {boolean} true if applied
+ */
+export function applyStatusEffect(enemy, type, params = {}) {
+    const def = STATUS_EFFECT_DEFINITIONS[type];
+    if (!def || !enemy || enemy._isMarkedDead) return false;
+
+    const list = (enemy.statusEffects ||= []);
+    const durationMs = Math.max(1, Number(params.durationMs ?? def.defaultDurationMs));
+    const entry = {
+        type,
+        durationMs,
+        remainingMs: durationMs,
+        magnitude: Number.isFinite(params.magnitude) ? params.magnitude : 1,
+        damagePerSecond: Math.max(0, Number(params.damagePerSecond) || 0),
+        damageType: params.damageType || def.damageType || null,
+        sourceTowerTypeKey: params.sourceTowerTypeKey || null,
+        tickAccumulatorMs: 0,
+    };
+
+    if (def.stacking === "stack") {
+        const maxStacks = Math.max(1, Math.floor(params.maxStacks ?? def.defaultMaxStacks ?? 1));
+        const stacks = list.filter(e => e.type === type);
+        if (stacks.length >= maxStacks) {
+            // Replace the stack closest to expiring
+            const oldest = stacks.reduce((a, b) => (a.remainingMs <= b.remainingMs ? a : b));
+            list.splice(list.indexOf(oldest), 1);
+        }
+        list.push(entry);
+        return true;
+    }
+
+    const existing = list.find(e => e.type === type);
+    if (!existing) {
+        list.push(entry);
+        return true;
+    }
+
+    if (def.stacking === "strongest") {
+        // For slows a lower multiplier is stronger
+        existing.magnitude = Math.min(existing.magnitude, entry.magnitude);
+        existing.remainingMs = Math.max(existing.remainingMs, durationMs);
+        existing.durationMs = Math.max(existing.durationMs, durationMs);
+        return true;
+    }
+
+    // "refresh"
+    existing.remainingMs = Math.max(existing.remainingMs, durationMs);
+    existing.durationMs = Math.max(existing.durationMs, durationMs);
+    return true;
+}
+
+/** True if the enemy currently has at least one effect of this type. */
+export function hasStatusEffect(enemy, type) {
+    return Array.isArray(enemy?.statusEffects) && enemy.statusEffects.some(e => e.type === type);
+}
+
+/** Movement multiplier from active slows/stuns (0 when stunned, 1 when unaffected). */
+export function getMovementSpeedMultiplier(enemy) {
+    const list = enemy?.statusEffects;
+    if (!Array.isArray(list) || list.length === 0) return 1;
+
+    let mult = 1;
+    for (const e of list) {
+        if (e.type === "stun") return 0;
+        if (e.type === "slow") mult = Math.min(mult, Math.max(0, Math.min(1, e.magnitude)));
+    }
+    return mult;
+}
+
+export class StatusEffectSystem {
+    tick(gameState, deltaSeconds) {
+        const dtMs = Math.max(0, (Number(deltaSeconds) || 0) * 1000);
+        if (dtMs === 0) return;
+
+        for (const enemy of gameState.enemies) {
+            const list = enemy.statusEffects;
+            if (!Array.isArray(list) || list.length === 0) continue;
+            if (enemy._isMarkedDead) continue;
+
+            for (const effect of list) {
+                const step = Math.min(dtMs, effect.remainingMs);
+                effect.remainingMs -= dtMs;
+
+                if (effect.damagePerSecond > 0) {
+                    effect.tickAccumulatorMs += step;
+                    while (effect.tickAccumulatorMs >= DOT_TICK_INTERVAL_MS) {
+                        effect.tickAccumulatorMs -= DOT_TICK_INTERVAL_MS;
+                        const def = STATUS_EFFECT_DEFINITIONS[effect.type];
+                        applyDamageToEnemy(
+                            gameState,
+                            enemy,
+                            effect.damagePerSecond * (DOT_TICK_INTERVAL_MS / 1000),
+                            effect.damageType || "physical",
+                            { textColor: def?.textColor, sourceTowerTypeKey: effect.sourceTowerTypeKey }
+                        );
+                    }
+                }
+            }
+
+            enemy.statusEffects = list.filter(e => e.remainingMs > 0);
+        }
+    }
+}
@@ -0,0 +1,62 @@
+// ===========================================
+// File: src/systems/towerSaleSystem.js
+// ===========================================
+/*
+ Selling towers. A tower is worth a share (gameConfig.towerRefundRate) of
+ everything spent on it: build cost plus every upgrade bought. Towers sold in
+ the same build phase they were placed in, within sellFullRefundGraceSeconds
+ of game time, refund in full so misclicks cost nothing.
+*/
+
+export const TowerSaleSystem = {
+    /**
+     * Stamps a freshly built tower with its cost and placement time.
+     * Only towers placed between waves are eligible for the full-refund grace window.
+     */
+    markBuilt(tower, gameState, { duringBuildPhase = false } = {}) {
+        tower.investedMoney = Number(tower.buildCost) || 0;
+        tower.placedAtSeconds = gameState.simulationTimeSeconds ?? 0;
+        // The wave that will start next; the grace window closes once it does
+        tower.placedBeforeWaveNumber = duringBuildPhase ? (gameState.currentWaveNumber ?? 0) + 1 : null;
+    },
+
+    /** Adds an upgrade purchase to the tower's investment. */
+    addInvestment(tower, amount, gameConfig) {
+        tower.investedMoney = this.getInvestment(tower, gameConfig) + Math.max(0, Number(amount) || 0);
+    },
+
+    /**
+     * Total money spent on a tower. Towers without a tracked investment (older saves)
+     * are priced from the config: build cost plus the cost of each owned upgrade level.
+     */
+    getInvestment(tower, gameConfig) {
+        if (Number.isFinite(tower.investedMoney)) return tower.investedMoney;
+
+        const towerCfg = gameConfig?.towersByTypeKey?.[tower.towerTypeKey];
+        let total = Number(tower.buildCost ?? towerCfg?.buildCost) || 0;
+        for (const [category, level] of Object.entries(tower.upgradeState || {})) {
+            const levels = towerCfg?.upgrades?.[category]?.levels || [];
+            for (let i = 0; i < level && i < levels.length; i += 1) {
+                total += Number(levels[i].cost) || 0;
+            }
+        }
+        return total;
+    },
+
+    /** True while selling the tower still refunds everything it cost. */
+    isInGraceWindow(tower, gameState) {
+        if (tower.placedBeforeWaveNumber !== (gameState.currentWaveNumber ?? 0) + 1) return false;
+        const graceSeconds = Math.max(0, Number(gameState.configuration?.sellFullRefundGraceSeconds) || 0);
+        return (gameState.simulationTimeSeconds ?? 0) - (tower.placedAtSeconds ?? 0) <= graceSeconds;
+    },
+
+    /** What selling the tower right now pays out. */
+    getSellValue(tower, gameState) {
+        const gameConfig = gameState.configuration;
+        const investment = this.getInvestment(tower, gameConfig);
+        if (this.isInGraceWindow(tower, gameState)) return investment;
+
+        const rate = Math.max(0, Math.min(1, Number(gameConfig?.towerRefundRate ?? 0.6)));
+        return Math.floor(investment * rate);
+    },
+};
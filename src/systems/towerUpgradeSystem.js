@@ -1,12 +1,134 @@
+// ===========================================
+// File: src/systems/towerUpgradeSystem.js
+// ===========================================
+/*
+ Tower upgrades. Each tower config may define `upgrades: { [category]: { displayName, levels: [...] } }`;
+ levels are bought in order. Besides its cost and stat changes (multiplier / unlocksEffect / ops,
+ see upgradeOperations.js), a level may declare:
+
+   requires: { damage: 2 }     other categories' minimum levels before this level can be bought
+   excludes: ["tremor"]        buying this level locks those categories for good (and it can't be
+                               bought once any of them is owned); declaring it on one side is enough
+
+ and the tower config may cap how far several categories go together:
+
+   upgradeTierCaps: [{ aboveLevel: 3, maxCategories: 1 }]   only one category may exceed Lv 3
+
+ A branch is just a category whose first level requires its parent, e.g. two categories that both
+ require { damage: 2 } and exclude each other.
+*/
+
+import { applyOperation, getLevelOperations, previewOperations, validateOperation } from "./upgradeOperations.js";
+
+function levelOf(tower, category) {
+    return Number(tower.upgradeState?.[category] ?? 0);
+}
+
+function toList(value) {
+    if (Array.isArray(value)) return value;
+    return value ? [value] : [];
+}
+
+function pathName(towerCfg, category) {
+    return towerCfg?.upgrades?.[category]?.displayName || category;
+}
+
+/** Owned category that shuts `category` out, either way round, or null. */
+function findExcludingCategory(tower, category, towerCfg) {
+    const upgrades = towerCfg?.upgrades || {};
+    const nextDef = upgrades[category]?.levels?.[levelOf(tower, category)];
+
+    for (const [other, path] of Object.entries(upgrades)) {
+        const ownedLevel = levelOf(tower, other);
+        if (other === category || ownedLevel <= 0) continue;
+
+        const ownedExcludes = (path.levels || []).slice(0, ownedLevel).some(def => toList(def.excludes).includes(category));
+        if (ownedExcludes || toList(nextDef?.excludes).includes(other)) return other;
+    }
+    return null;
+}
+
 export const TowerUpgradeSystem = {
-    canUpgrade(tower, category, gameConfig, playerMoney) {
+    /**
+     * Whether the next level of `category` may be bought, ignoring money.
+     * `state` tells the panel how to draw a refusal: "maxed", "excluded" (branch closed
+     * for good) or "locked" (requirements or tier cap not met yet).
+     *
+     * @returns {{ok:true}|{ok:false, state:"unknown"|"maxed"|"excluded"|"locked", reason:string}}
+     */
+    checkUpgrade(tower, category, gameConfig) {
         const towerCfg = gameConfig.towersByTypeKey[tower.towerTypeKey];
         const path = towerCfg?.upgrades?.[category];
-        if (!path) return false;
-        const nextLevel = (tower.upgradeState?.[category] ?? 0);
-        const def = path.levels[nextLevel];
-        if (!def) return false;
-        return playerMoney >= def.cost;
+        if (!path) return { ok: false, state: "unknown", reason: `Unknown upgrade "${category}".` };
+
+        const level = levelOf(tower, category);
+        const def = path.levels?.[level];
+        if (!def) return { ok: false, state: "maxed", reason: "Already maxed." };
+
+        const excludedBy = findExcludingCategory(tower, category, towerCfg);
+        if (excludedBy) {
+            return { ok: false, state: "excluded", reason: `Locked by ${pathName(towerCfg, excludedBy)}.` };
+        }
+
+        for (const [required, minLevel] of Object.entries(def.requires || {})) {
+            if (levelOf(tower, required) < minLevel) {
+                return { ok: false, state: "locked", reason: `Requires ${pathName(towerCfg, required)} Lv ${minLevel}.` };
+            }
+        }
+
+        for (const cap of towerCfg.upgradeTierCaps || []) {
+            const aboveLevel = Number(cap.aboveLevel);
+            const maxCategories = Number(cap.maxCategories);
+            // Only the purchase that carries this category past the cap counts against it
+            if (!(level <= aboveLevel && level + 1 > aboveLevel)) continue;
+
+            const alreadyAbove = Object.keys(towerCfg.upgrades)
+                .filter(other => other !== category && levelOf(tower, other) > aboveLevel).length;
+            if (alreadyAbove >= maxCategories) {
+                const paths = maxCategories === 1 ? "one upgrade path" : `${maxCategories} upgrade paths`;
+                return { ok: false, state: "locked", reason: `Only ${paths} may go past Lv ${aboveLevel}.` };
+            }
+        }
+
+        return { ok: true };
+    },
+
+    canUpgrade(tower, category, gameConfig, playerMoney) {
+        if (!this.checkUpgrade(tower, category, gameConfig).ok) return false;
+        return playerMoney >= this.getNextUpgradeCost(tower, category, gameConfig);
+    },
+
+    /**
+     * Categories in display order, each branch right after the category its first
+     * level requires (first `requires` key), with its depth in the tree.
+     *
+     * @returns {{key:string, depth:number, parentKey:string|null}[]}
+     */
+    getUpgradeTree(towerCfg) {
+        const upgrades = towerCfg?.upgrades || {};
+        const keys = Object.keys(upgrades);
+        const parentOf = (key) => {
+            const parentKey = Object.keys(upgrades[key].levels?.[0]?.requires || {})[0];
+            return parentKey && parentKey !== key && upgrades[parentKey] ? parentKey : null;
+        };
+
+        const nodes = [];
+        const visited = new Set();
+        const visit = (key, depth) => {
+            if (visited.has(key)) return;
+            visited.add(key);
+            nodes.push({ key, depth, parentKey: parentOf(key) });
+            for (const child of keys) {
+                if (parentOf(child) === key) visit(child, depth + 1);
+            }
+        };
+
+        for (const key of keys) {
+            if (!parentOf(key)) visit(key, 0);
+        }
+        // Requirement cycles have no root; show them flat rather than not at all
+        for (const key of keys) visit(key, 0);
+        return nodes;
     },
 
     getNextUpgradeCost(tower, category, gameConfig) {
@@ -16,6 +138,16 @@ export const TowerUpgradeSystem = {
         return path?.levels?.[level]?.cost ?? null;
     },
 
+    /**
+     * Stat changes the next level of `category` would make (see previewOperations).
+     * Empty when there is no next level.
+     */
+    previewUpgrade(tower, category, gameConfig) {
+        const towerCfg = gameConfig.towersByTypeKey[tower.towerTypeKey];
+        const def = towerCfg?.upgrades?.[category]?.levels?.[levelOf(tower, category)];
+        return def ? previewOperations(tower, getLevelOperations(def)) : [];
+    },
+
     applyUpgrade(tower, category, gameConfig) {
         const towerCfg = gameConfig.towersByTypeKey[tower.towerTypeKey];
         const path = towerCfg?.upgrades?.[category];
@@ -25,43 +157,59 @@ export const TowerUpgradeSystem = {
         const def = path.levels?.[level];
         if (!def) return;
 
-        // Apply stat multipliers (multiplicative)
-        if (def.multiplier) {
-            for (const key of Object.keys(def.multiplier)) {
-                const factor = def.multiplier[key];
-                if (Number.isFinite(tower[key])) {
-                    tower[key] *= factor;
-                }
-            }
+        // multiplier / unlocksEffect / ops, in that order (see upgradeOperations.js)
+        for (const operation of getLevelOperations(def)) {
+            const result = applyOperation(tower, operation);
+            if (!result.ok) console.warn(`Upgrade ${tower.towerTypeKey}.${category} Lv ${level + 1}: ${result.reason}`);
         }
 
-        // Unlock new projectile effects WITHOUT losing existing ones (deep merge).
-        if (def.unlocksEffect) {
-            const current = tower.projectileEffects || {};
-
-            // Support both shapes:
-            //   A) { ripple: {...} }
-            //   B) { projectileEffects: { ripple: {...} } }
-            const additionRoot = def.unlocksEffect.projectileEffects
-                ? def.unlocksEffect.projectileEffects
-                : def.unlocksEffect;
-
-            const merged = { ...current };
-            for (const effectKey of Object.keys(additionRoot)) {
-                const currVal = current[effectKey];
-                const addVal = additionRoot[effectKey];
-
-                if (currVal && typeof currVal === "object" && addVal && typeof addVal === "object") {
-                    // Shallow merge per-effect objects so existing fields (e.g., enabled) persist.
-                    merged[effectKey] = { ...currVal, ...addVal };
-                } else {
-                    merged[effectKey] = addVal;
-                }
-            }
+        tower.upgradeState = { ...(tower.upgradeState || {}), [category]: level + 1 };
+        // Purchase order, so a loaded save can re-apply the ops exactly (see saveGame.js)
+        tower.upgradeOrder = [...(tower.upgradeOrder || []), category];
+    }
+};
 
-            tower.projectileEffects = merged;
+/**
+ * Checks a tower definition's `upgrades` / `upgradeTierCaps` before it goes live
+ * (admin authoring). Returns a list of problems; empty means valid.
+ *
+ * @param {object} towerCfg
+ * @returns {string[]}
+ */
+export function validateUpgradeConfig(towerCfg) {
+    const problems = [];
+    const upgrades = towerCfg?.upgrades ?? {};
+    if (typeof upgrades !== "object" || Array.isArray(upgrades)) {
+        return ["\"upgrades\" must be an object of { category: { displayName, levels } }."];
+    }
+
+    for (const [category, path] of Object.entries(upgrades)) {
+        if (!Array.isArray(path?.levels) || path.levels.length === 0) {
+            problems.push(`${category}: needs a non-empty "levels" array.`);
+            continue;
         }
+        path.levels.forEach((def, index) => {
+            const where = `${category} Lv ${index + 1}`;
+            if (!(Number(def?.cost) >= 0)) problems.push(`${where}: cost must be a number >= 0.`);
 
-        tower.upgradeState = { ...(tower.upgradeState || {}), [category]: level + 1 };
+            for (const [required, minLevel] of Object.entries(def?.requires || {})) {
+                if (!upgrades[required]) problems.push(`${where}: requires unknown category "${required}".`);
+                if (!(Number(minLevel) >= 1)) problems.push(`${where}: requires ${required} needs a level >= 1.`);
+            }
+            for (const excluded of toList(def?.excludes)) {
+                if (!upgrades[excluded]) problems.push(`${where}: excludes unknown category "${excluded}".`);
+            }
+            for (const operation of getLevelOperations(def)) {
+                const result = validateOperation(operation);
+                if (!result.ok) problems.push(`${where}: ${result.reason}`);
+            }
+        });
     }
-};
+
+    for (const cap of towerCfg?.upgradeTierCaps || []) {
+        if (!Number.isFinite(cap?.aboveLevel) || !(cap?.maxCategories >= 1)) {
+            problems.push("upgradeTierCaps entries need a numeric aboveLevel and maxCategories >= 1.");
+        }
+    }
+    return problems;
+}
@@ -0,0 +1,168 @@
+// ===========================================
+// File: src/systems/upgradeOperations.js
+// ===========================================
+/*
+ The upgrade operations language. An upgrade level's `ops` is a list of edits
+ applied to the tower in order, each on a dotted path from the tower root:
+
+   { op: "add",      path: "projectileEffects.chain.maxJumps", value: 1 }
+   { op: "multiply", path: "splash.radiusPixels", value: 1.25 }
+   { op: "set",      path: "damageType", value: "fire" }
+   { op: "merge",    path: "projectileEffects.burn", value: { enabled: true, damagePerSecond: 6 } }
+
+ add starts from 0 when the value is missing; multiply leaves missing values
+ alone. merge deep-merges plain objects (arrays and other values replace).
+ The older level fields still work and are read as ops: `multiplier` becomes
+ multiply ops and `unlocksEffect` becomes merges into projectileEffects.
+
+ Writes are copy-on-write: each object along the path is copied before it is
+ changed, so objects a tower still shares with the config are never mutated
+ and a preview can run on a shallow copy of the tower.
+
+ Loading a save re-applies a tower's upgrades in purchase order, so ops on any
+ path survive a save/load.
+*/
+
+export const UPGRADE_OPERATIONS = ["add", "multiply", "set", "merge"];
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function cloneValue(value) {
+    return value && typeof value === "object" ? structuredClone(value) : value;
+}
+
+function deepMerge(base, addition) {
+    if (!isPlainObject(base) || !isPlainObject(addition)) return cloneValue(addition);
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(addition)) {
+        merged[key] = deepMerge(base[key], value);
+    }
+    return merged;
+}
+
+/** Reads a dotted path ("aoe.radiusPixels"); undefined if any step is missing. */
+export function getPathValue(target, path) {
+    let node = target;
+    for (const key of String(path).split(".")) {
+        if (node === null || node === undefined) return undefined;
+        node = node[key];
+    }
+    return node;
+}
+
+// Copies every object on the way down, then replaces the leaf with update(current)
+function writePathValue(target, path, update) {
+    const keys = String(path).split(".");
+    let node = target;
+    for (const key of keys.slice(0, -1)) {
+        node[key] = isPlainObject(node[key]) ? { ...node[key] } : {};
+        node = node[key];
+    }
+    const leaf = keys.at(-1);
+    node[leaf] = update(node[leaf]);
+}
+
+/**
+ * Checks an operation's shape (not whether it applies to a particular tower).
+ * @returns {{ok:true}|{ok:false, reason:string}}
+ */
+export function validateOperation(operation) {
+    if (!isPlainObject(operation)) return { ok: false, reason: "Operation must be an object." };
+    if (!UPGRADE_OPERATIONS.includes(operation.op)) {
+        return { ok: false, reason: `Unknown op "${operation.op}" (use ${UPGRADE_OPERATIONS.join(", ")}).` };
+    }
+    if (typeof operation.path !== "string" || !/^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/.test(operation.path)) {
+        return { ok: false, reason: `Invalid path "${operation.path}".` };
+    }
+    if ((operation.op === "add" || operation.op === "multiply") && !Number.isFinite(operation.value)) {
+        return { ok: false, reason: `"${operation.op}" on ${operation.path} needs a numeric value.` };
+    }
+    if (operation.op === "merge" && !isPlainObject(operation.value)) {
+        return { ok: false, reason: `"merge" on ${operation.path} needs an object value.` };
+    }
+    return { ok: true };
+}
+
+/**
+ * Applies one operation to `target` in place (copy-on-write along the path).
+ * @returns {{ok:true}|{ok:false, reason:string}}
+ */
+export function applyOperation(target, operation) {
+    const validation = validateOperation(operation);
+    if (!validation.ok) return validation;
+
+    const { op, path, value } = operation;
+    const current = getPathValue(target, path);
+
+    if (op === "add" || op === "multiply") {
+        if (current === undefined && op === "multiply") return { ok: true };
+        if (current !== undefined && !Number.isFinite(current)) {
+            return { ok: false, reason: `Can't ${op} non-numeric ${path}.` };
+        }
+        writePathValue(target, path, (existing) => op === "add" ? (existing ?? 0) + value : existing * value);
+    } else if (op === "set") {
+        writePathValue(target, path, () => cloneValue(value));
+    } else {
+        writePathValue(target, path, (existing) => deepMerge(isPlainObject(existing) ? existing : {}, value));
+    }
+    return { ok: true };
+}
+
+/** Every operation an upgrade level performs, including its `multiplier` / `unlocksEffect` shorthands. */
+export function getLevelOperations(levelDef) {
+    const operations = [];
+
+    for (const [key, factor] of Object.entries(levelDef?.multiplier || {})) {
+        operations.push({ op: "multiply", path: key, value: factor });
+    }
+
+    if (levelDef?.unlocksEffect) {
+        // Support both shapes:
+        //   A) { ripple: {...} }
+        //   B) { projectileEffects: { ripple: {...} } }
+        const additionRoot = levelDef.unlocksEffect.projectileEffects || levelDef.unlocksEffect;
+        for (const [effectKey, addition] of Object.entries(additionRoot)) {
+            operations.push(isPlainObject(addition)
+                ? { op: "merge", path: `projectileEffects.${effectKey}`, value: addition }
+                : { op: "set", path: `projectileEffects.${effectKey}`, value: addition });
+        }
+    }
+
+    return operations.concat(Array.isArray(levelDef?.ops) ? levelDef.ops : []);
+}
+
+// Leaf paths an operation can change (merges fan out into their value's leaves)
+function touchedPaths(operation) {
+    if (operation.op !== "merge") return [operation.path];
+    const paths = [];
+    const walk = (value, prefix) => {
+        if (isPlainObject(value) && Object.keys(value).length) {
+            for (const [key, child] of Object.entries(value)) walk(child, `${prefix}.${key}`);
+        } else {
+            paths.push(prefix);
+        }
+    };
+    walk(operation.value, operation.path);
+    return paths;
+}
+
+/**
+ * What applying `operations` would change, without touching `target`.
+ * @returns {{path:string, before:any, after:any}[]} one entry per changed leaf, in first-touched order
+ */
+export function previewOperations(target, operations) {
+    const scratch = { ...target };
+    const paths = [];
+    for (const operation of operations) {
+        if (!applyOperation(scratch, operation).ok) continue;
+        for (const path of touchedPaths(operation)) {
+            if (!paths.includes(path)) paths.push(path);
+        }
+    }
+
+    return paths
+        .map(path => ({ path, before: getPathValue(target, path), after: getPathValue(scratch, path) }))
+        .filter(({ before, after }) => JSON.stringify(before) !== JSON.stringify(after));
+}
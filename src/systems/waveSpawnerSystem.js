@@ -9,17 +9,33 @@ export class WaveSpawnerSystem {
         this.spawnPlan = [];
         this.isActive = false;
         this.waveNumber = 0;
+        this.bonusReward = 0;
     }
     startWave(gameState) {
         if (this.isActive) return;
         this.waveNumber = ++gameState.currentWaveNumber;
         const waveEntries = this.wavePlanFactory.makeWaveEntries(this.waveNumber);
-        this.spawnPlan = waveEntries.flatMap((entry) =>
-            Array.from({ length: entry.count }, (_, index) => ({
-                enemyTypeKey: entry.enemyTypeKey,
-                at: index * entry.spawnIntervalSeconds,
-            }))
-        );
+        // Entries without a pathName are spread round-robin over the map's walkable paths.
+        const pathNames = (gameState.gridMap?.getWalkablePaths?.() ?? []).map(p => p.name);
+        let roundRobin = 0;
+        this.spawnPlan = waveEntries
+            .filter((entry) => {
+                if (typeof this.enemyStatFactories[entry.enemyTypeKey] === "function") return true;
+                console.warn(`Wave ${this.waveNumber}: skipping unknown enemy type "${entry.enemyTypeKey}".`);
+                return false;
+            })
+            .flatMap((entry) =>
+                Array.from({ length: entry.count }, (_, index) => ({
+                    enemyTypeKey: entry.enemyTypeKey,
+                    at: (entry.startDelaySeconds || 0) + index * entry.spawnIntervalSeconds,
+                    pathName: entry.pathName || (pathNames.length ? pathNames[roundRobin++ % pathNames.length] : null),
+                }))
+            )
+            // Groups overlap in time; spawn strictly in time order
+            .sort((a, b) => a.at - b.at);
+        this.bonusReward = typeof this.wavePlanFactory.getBonusReward === "function"
+            ? this.wavePlanFactory.getBonusReward(this.waveNumber)
+            : 0;
         this.elapsedSeconds = 0;
         this.nextIndexToSpawn = 0;
         this.isActive = true;
@@ -34,12 +50,12 @@ export class WaveSpawnerSystem {
             const plan = this.spawnPlan[this.nextIndexToSpawn];
             const statFactory = this.enemyStatFactories[plan.enemyTypeKey];
             const statBlock = statFactory(this.waveNumber);
-            gameState.enemies.push(gameState.factories.createEnemy(statBlock));
+            gameState.enemies.push(gameState.factories.createEnemy(statBlock, plan.pathName));
             this.nextIndexToSpawn += 1;
         }
         if (this.nextIndexToSpawn >= this.spawnPlan.length && gameState.enemies.length === 0) {
             this.isActive = false;
-            gameState.money += this.waveNumber * 10;
+            gameState.money += this.waveNumber * 10 + this.bonusReward;
 
             if (typeof this.onWaveComplete === "function") {
                 this.onWaveComplete(this.waveNumber, gameState);
@@ -6,17 +6,33 @@
 
  Features:
  - Spawn custom enemy/boss (full config)
- - Create custom tower types and inject into shop
+ - Create custom tower types (stats, projectile effects, upgrades) and inject into shop;
+   preview them on the map and import/export their JSON
+ - Author upgrade trees for any tower type (JSON, validated before it goes live)
  - Global tower damage multiplier
  - Toggle open/close via API; hotkeys wired from main.js
 
  NOTE: main.js should pass:
    createAdminPanel(document, gameState, configuration, {
      rebuildTowerButtons: () => buildTowerButtonsFromConfig(userInterface, configuration, selectTowerType),
-     selectTowerType: (key) => selectTowerType(key, findButtonForKey(key))
+     selectTowerType: (key) => selectTowerType(key, findButtonForKey(key)),
+     configStore, // core/configStore.js; tower edits go through it so open panels refresh
+     previewTowerDefinition, clearTowerPreview, // Tower Creator test tower + dummies
+     onAdminAction, // (label) => void; called after each edit that changes the run (flags recordings)
    })
 */
 
+import { UPGRADE_OPERATIONS } from "../systems/upgradeOperations.js";
+import {
+    PROJECTILE_EFFECT_FIELDS,
+    buildProjectileEffect,
+    readProjectileEffectField,
+    validateTowerDefinition,
+    serializeTowerDefinition,
+    parseTowerDefinition,
+} from "../config/towerDefinition.js";
+import { PROJECTILE_MODES, PROJECTILE_TRAJECTORIES } from "../systems/projectileGuidance.js";
+
 function createEl(tag, attrs = {}, children = []) {
     const el = document.createElement(tag);
     for (const [k, v] of Object.entries(attrs)) {
@@ -38,8 +54,16 @@ export function createAdminPanel(rootDocument, gameState, configuration, uiHooks
         rebuildTowerButtons = null,
         selectTowerType = null,
         mapDesignerHooks = null, // ✅ include it properly here
+        configStore = null,
+        previewTowerDefinition = null, // (towerTypeKey, definition) => {ok, reason}
+        clearTowerPreview = null,
+        onAdminAction = null, // (label) => void
     } = uiHooks;
 
+    const noteAdminAction = (label) => {
+        if (typeof onAdminAction === "function") onAdminAction(label);
+    };
+
     // Cache a local reference so handlers don't try to use a global
     const MD = mapDesignerHooks;
 
@@ -216,6 +240,10 @@ export function createAdminPanel(rootDocument, gameState, configuration, uiHooks
             "#md_startBlank",
             "#md_export",
             "#md_import",
+            "#md_path",
+            "#md_pathName",
+            "#md_addPath",
+            "#md_removePath",
             // tool radios + their labels (if present)
             "input[name='md_tool_path']",
             "input[name='md_tool_erase']",
@@ -266,6 +294,9 @@ export function createAdminPanel(rootDocument, gameState, configuration, uiHooks
                     createLabeledCheckbox("Is Boss", "eb_isBoss", false),
                     createLabeledText("Boss Fill Color (optional)", "eb_bossFill", "#8b5cf6"),
                 ]),
+                createEl("div", { class: "row2" }, [
+                    createLabeledCheckbox("Flying (air lane)", "eb_isFlying", false),
+                ]),
 
                 createEl("div", { class: "admin-subtitle" }, ["Damage Taken Multipliers"]),
                 createEl("div", { class: "rows-grid" }, DAMAGE_TYPES.map((t) =>
@@ -294,6 +325,7 @@ export function createAdminPanel(rootDocument, gameState, configuration, uiHooks
                 const name = str("#eb_name", "Enemy");
                 const isBoss = bool("#eb_isBoss");
                 const bossCol = str("#eb_bossFill", "#8b5cf6");
+                const isFlying = bool("#eb_isFlying");
 
                 const damageTypeMultipliers = {};
                 for (const t of DAMAGE_TYPES) {
@@ -308,6 +340,8 @@ export function createAdminPanel(rootDocument, gameState, configuration, uiHooks
                     rewardMoney: reward,
                     fillColor: isBoss ? bossCol : color,
                     isBoss,
+                    isFlying,
+                    archetype: isBoss ? "boss" : (isFlying ? "flyer" : "grunt"),
                     name: name || (isBoss ? "BOSS" : "Enemy"),
                     damageTypeMultipliers,
                 };
@@ -317,6 +351,7 @@ export function createAdminPanel(rootDocument, gameState, configuration, uiHooks
 
                 const enemy = gameState.factories.createEnemy(statBlock);
                 gameState.enemies.push(enemy);
+                noteAdminAction("enemy spawn");
             });
 
             section.querySelector("#spawnBossPresetBtn").addEventListener("click", () => {
@@ -335,6 +370,7 @@ export function createAdminPanel(rootDocument, gameState, configuration, uiHooks
                 };
                 const enemy = gameState.factories.createEnemy(statBlock);
                 gameState.enemies.push(enemy);
+                noteAdminAction("enemy spawn");
             });
 
             return section;
@@ -346,6 +382,22 @@ export function createAdminPanel(rootDocument, gameState, configuration, uiHooks
         id: "towerCreator",
         title: "Tower Creator",
         render: () => {
+            const effectFieldId = (effectKey, fieldKey) => `tw_fx_${effectKey}__${fieldKey.replace(/\./g, "_")}`;
+
+            // One collapsible block per projectile effect, off until its Enabled box is ticked
+            const effectBlocks = Object.entries(PROJECTILE_EFFECT_FIELDS).map(([effectKey, fields]) =>
+                createEl("details", { class: "admin-effect" }, [
+                    createEl("summary", {}, [effectKey]),
+                    createLabeledCheckbox("Enabled", `tw_fx_${effectKey}`, false),
+                    createEl("div", { class: "row2" }, fields.map((field) => {
+                        const id = effectFieldId(effectKey, field.key);
+                        if (field.type === "color") return createLabeledColor(field.label, id, field.defaultValue);
+                        if (field.type === "checkbox") return createLabeledCheckbox(field.label, id, field.defaultValue);
+                        return createLabeledNumber(field.label, id, field.defaultValue, field.min, field.max, field.step);
+                    }))
+                ])
+            );
+
             const form = createEl("form", { id: "towerCreatorForm", class: "admin-form" }, [
                 createEl("div", { class: "row2" }, [
                     createLabeledText("Type Key", "tw_key", "custom"),
@@ -361,19 +413,62 @@ export function createAdminPanel(rootDocument, gameState, configuration, uiHooks
                 ]),
                 createEl("div", { class: "row2" }, [
                     createLabeledNumber("Range (px)", "tw_range", 120, 8, 2000, 1),
+                    createLabeledNumber("Min Range (px) (0 = none)", "tw_minRange", 0, 0, 2000, 1),
                     createLabeledNumber("Splash Radius (px) (0 = none)", "tw_splash", 0, 0, 600, 1),
+                    createLabeledNumber("AoE Radius (px) (0 = none)", "tw_aoe", 0, 0, 600, 1),
                     createLabeledNumber("Size (cells)", "tw_size", 1, 1, 6, 1),
                     createLabeledNumber("Visual Scale", "tw_vscale", 1.0, 0.1, 5, 0.1),
                 ]),
 
                 createLabeledSelect("Damage Type", "tw_dmgType", DAMAGE_TYPES, "physical"),
+                createEl("div", { class: "row2" }, [
+                    createLabeledSelect("Projectile Mode", "tw_projMode", ["auto", ...PROJECTILE_MODES], "auto"),
+                    createLabeledNumber("Homing Curve (0 = straight)", "tw_curve", 0, 0, 2, 0.05),
+                    createLabeledNumber("Shot Speed (px/s) (0 = default)", "tw_projSpeed", 0, 0, 10_000, 10),
+                    createLabeledNumber("Shot Accel (px/s²)", "tw_projAccel", 0, -10_000, 10_000, 10),
+                    createLabeledNumber("Shot Lifetime (s) (0 = default)", "tw_projLife", 0, 0, 60, 0.1),
+                    createLabeledSelect("Trajectory", "tw_trajectory", PROJECTILE_TRAJECTORIES, "straight"),
+                    createLabeledNumber("Arc Height (x shot length)", "tw_arcHeight", 0.35, 0, 3, 0.05),
+                ]),
+                createEl("div", { class: "row2" }, [
+                    createLabeledCheckbox("Can Target Ground", "tw_canGround", true),
+                    createLabeledCheckbox("Can Target Air", "tw_canAir", true),
+                ]),
+
+                createEl("h3", { class: "admin-section-title" }, ["Projectile Effects"]),
+                ...effectBlocks,
+
+                createEl("label", { class: "admin-label" }, [
+                    createEl("span", { class: "admin-label-text" }, ["Upgrades JSON (blank keeps the existing tree)"]),
+                    createEl("textarea", {
+                        id: "tw_upgrades", class: "admin-input", rows: "6", spellcheck: "false",
+                        placeholder: "{ \"upgrades\": { \"damage\": { \"levels\": [ { \"cost\": 100, \"multiplier\": { \"damagePerShot\": 1.3 } } ] } } }"
+                    }, [])
+                ]),
 
                 createEl("div", { class: "row" }, [
                     createEl("button", { type: "submit", class: "admin-btn success" }, ["Add To Shop"]),
-                    createEl("button", { type: "button", id: "tw_selectBtn", class: "admin-btn" }, ["Select In Shop"])
+                    createEl("button", { type: "button", id: "tw_selectBtn", class: "admin-btn" }, ["Select In Shop"]),
+                    createEl("button", { type: "button", id: "tw_loadBtn", class: "admin-btn" }, ["Load Type"])
+                ]),
+                createEl("div", { class: "row" }, [
+                    createEl("button", { type: "button", id: "tw_previewBtn", class: "admin-btn primary" }, ["Preview"]),
+                    createEl("button", { type: "button", id: "tw_clearPreviewBtn", class: "admin-btn warning" }, ["Clear Preview"])
                 ]),
-                createEl("div", { class: "hintText" }, [
-                    "After adding, the shop buttons rebuild using the current configuration."
+
+                createEl("label", { class: "admin-label" }, [
+                    createEl("span", { class: "admin-label-text" }, ["Definition JSON"]),
+                    createEl("textarea", { id: "tw_json", class: "admin-input", rows: "8", spellcheck: "false" }, [])
+                ]),
+                createEl("div", { class: "row" }, [
+                    createEl("button", { type: "button", id: "tw_exportBtn", class: "admin-btn" }, ["Export"]),
+                    createEl("button", { type: "button", id: "tw_importBtn", class: "admin-btn" }, ["Import"]),
+                    createEl("button", { type: "button", id: "tw_copyBtn", class: "admin-btn" }, ["Copy"])
+                ]),
+                createEl("div", { id: "tw_status", class: "hintText", style: { whiteSpace: "pre-line" } }, [
+                    "After adding, the shop buttons rebuild using the current configuration. ",
+                    "Between waves, Preview places a free test tower by the path with stationary dummies in range; ",
+                    "it only shoots the dummies, and starting a wave clears it."
                 ])
             ]);
 
@@ -382,49 +477,342 @@ export function createAdminPanel(rootDocument, gameState, configuration, uiHooks
                 form
             ]);
 
-            // Events
-            form.addEventListener("submit", (e) => {
-                e.preventDefault();
-
-                const key = sanitizeKey(str("#tw_key", "custom"));
-                const name = str("#tw_name", "Custom Tower");
-                const cost = int("#tw_cost", 0);
-                const color = str("#tw_color", "#38bdf8");
-                const damage = int("#tw_damage", 1);
-                const aps = num("#tw_aps", 1);
-                const rangePx = int("#tw_range", 40);
+            const field = (sel) => section.querySelector(sel);
+            const setStatus = (text) => { field("#tw_status").textContent = text; };
+
+            // Fields of an imported/loaded definition the form has no control for; kept on export/add
+            const FORM_FIELDS = [
+                "displayName", "buildCost", "uiColor", "damagePerShot", "attacksPerSecond", "attackRangePixels",
+                "damageType", "canTargetGround", "canTargetAir", "sizeCells", "visualScale", "splash", "aoe",
+                "projectileEffects", "upgrades", "upgradeTierCaps", "projectileMode", "homingCurvature",
+                "projectileSpeedPixelsPerSecond", "projectileAccelerationPixelsPerSecondSquared", "projectileMaxLifetimeSeconds",
+                "minimumRangePixels", "projectileTrajectory", "arcHeightRatio",
+            ];
+            let extraFields = {};
+            // Same for registered effects without form fields (e.g. added by a plugin)
+            let extraEffects = {};
+
+            /** Form -> { towerTypeKey, definition }, or null (with a status message) if the upgrades JSON is bad. */
+            function readDefinition() {
+                const towerTypeKey = sanitizeKey(str("#tw_key", "custom"));
                 const splashPx = int("#tw_splash", 0);
-                const dmgType = str("#tw_dmgType", "physical");
-                const sizeCells = Math.max(1, Math.min(6, int("#tw_size", 1)));
+                const aoePx = int("#tw_aoe", 0);
                 const visualScale = num("#tw_vscale", 1);
 
                 const def = {
-                    displayName: name,
-                    buildCost: cost,
-                    uiColor: color,
-                    damagePerShot: damage,
-                    attacksPerSecond: aps,
-                    attackRangePixels: rangePx,
-                    damageType: dmgType,
-                    sizeCells: Math.max(1, sizeCells),
+                    ...structuredClone(extraFields),
+                    displayName: str("#tw_name", "Custom Tower"),
+                    buildCost: int("#tw_cost", 0),
+                    uiColor: str("#tw_color", "#38bdf8"),
+                    damagePerShot: int("#tw_damage", 1),
+                    attacksPerSecond: num("#tw_aps", 1),
+                    attackRangePixels: int("#tw_range", 40),
+                    damageType: str("#tw_dmgType", "physical"),
+                    canTargetGround: bool("#tw_canGround"),
+                    canTargetAir: bool("#tw_canAir"),
+                    sizeCells: Math.max(1, Math.min(6, int("#tw_size", 1))),
                     visualScale: Number.isFinite(visualScale) ? visualScale : 1,
                 };
+                const projectileMode = str("#tw_projMode", "auto");
+                if (projectileMode !== "auto") def.projectileMode = projectileMode;
+                if (num("#tw_curve", 0) > 0) def.homingCurvature = num("#tw_curve", 0);
+                if (num("#tw_projSpeed", 0) > 0) def.projectileSpeedPixelsPerSecond = num("#tw_projSpeed", 0);
+                if (num("#tw_projAccel", 0) !== 0) def.projectileAccelerationPixelsPerSecondSquared = num("#tw_projAccel", 0);
+                if (num("#tw_projLife", 0) > 0) def.projectileMaxLifetimeSeconds = num("#tw_projLife", 0);
+                if (int("#tw_minRange", 0) > 0) def.minimumRangePixels = int("#tw_minRange", 0);
+                if (str("#tw_trajectory", "straight") === "arc") {
+                    def.projectileTrajectory = "arc";
+                    def.arcHeightRatio = num("#tw_arcHeight", 0.35);
+                }
                 if (splashPx > 0) def.splash = { radiusPixels: splashPx };
+                if (aoePx > 0) def.aoe = { radiusPixels: aoePx };
+
+                const projectileEffects = structuredClone(extraEffects);
+                for (const [effectKey, fields] of Object.entries(PROJECTILE_EFFECT_FIELDS)) {
+                    if (!bool(`#tw_fx_${effectKey}`)) continue;
+                    projectileEffects[effectKey] = buildProjectileEffect(effectKey, (fieldKey) => {
+                        const spec = fields.find(f => f.key === fieldKey);
+                        const sel = `#${effectFieldId(effectKey, fieldKey)}`;
+                        if (spec.type === "checkbox") return bool(sel);
+                        if (spec.type === "color") return str(sel, spec.defaultValue);
+                        return num(sel, spec.defaultValue);
+                    });
+                }
+                if (Object.keys(projectileEffects).length) def.projectileEffects = projectileEffects;
+
+                const upgradesText = field("#tw_upgrades").value.trim();
+                if (upgradesText) {
+                    try {
+                        const tree = JSON.parse(upgradesText);
+                        if (tree?.upgrades) def.upgrades = tree.upgrades;
+                        if (tree?.upgradeTierCaps) def.upgradeTierCaps = tree.upgradeTierCaps;
+                    } catch (error) {
+                        setStatus(`Upgrades JSON is invalid: ${error.message}`);
+                        return null;
+                    }
+                } else {
+                    // Blank keeps whatever tree the type already has
+                    const existing = configuration.towersByTypeKey[towerTypeKey];
+                    if (existing?.upgrades) def.upgrades = existing.upgrades;
+                    if (existing?.upgradeTierCaps) def.upgradeTierCaps = existing.upgradeTierCaps;
+                }
+
+                return { towerTypeKey, definition: def };
+            }
+
+            function setValue(sel, value) {
+                const el = field(sel);
+                if (!el) return;
+                if (el.type === "checkbox") el.checked = Boolean(value);
+                else el.value = String(value);
+            }
+
+            /** Definition -> form. Unknown fields are remembered in extraFields / extraEffects. */
+            function fillForm(towerTypeKey, def) {
+                if (towerTypeKey) setValue("#tw_key", towerTypeKey);
+                setValue("#tw_name", def.displayName ?? towerTypeKey ?? "Custom Tower");
+                setValue("#tw_cost", def.buildCost ?? 0);
+                setValue("#tw_color", def.uiColor ?? "#38bdf8");
+                setValue("#tw_damage", def.damagePerShot ?? 0);
+                setValue("#tw_aps", def.attacksPerSecond ?? 1);
+                setValue("#tw_range", def.attackRangePixels ?? 80);
+                setValue("#tw_splash", def.splash?.radiusPixels ?? 0);
+                setValue("#tw_aoe", def.aoe?.radiusPixels ?? 0);
+                setValue("#tw_size", def.sizeCells ?? 1);
+                setValue("#tw_vscale", def.visualScale ?? 1);
+                setValue("#tw_dmgType", def.damageType ?? "physical");
+                setValue("#tw_projMode", def.projectileMode ?? "auto");
+                setValue("#tw_curve", def.homingCurvature ?? 0);
+                setValue("#tw_projSpeed", def.projectileSpeedPixelsPerSecond ?? 0);
+                setValue("#tw_projAccel", def.projectileAccelerationPixelsPerSecondSquared ?? 0);
+                setValue("#tw_projLife", def.projectileMaxLifetimeSeconds ?? 0);
+                setValue("#tw_minRange", def.minimumRangePixels ?? 0);
+                setValue("#tw_trajectory", def.projectileTrajectory ?? "straight");
+                setValue("#tw_arcHeight", def.arcHeightRatio ?? 0.35);
+                setValue("#tw_canGround", def.canTargetGround !== false);
+                setValue("#tw_canAir", def.canTargetAir !== false);
+
+                for (const [effectKey, fields] of Object.entries(PROJECTILE_EFFECT_FIELDS)) {
+                    const effect = def.projectileEffects?.[effectKey];
+                    setValue(`#tw_fx_${effectKey}`, Boolean(effect) && effect.enabled !== false);
+                    for (const spec of fields) {
+                        setValue(`#${effectFieldId(effectKey, spec.key)}`, readProjectileEffectField(effect, spec));
+                    }
+                }
+
+                const tree = {};
+                if (def.upgrades) tree.upgrades = def.upgrades;
+                if (def.upgradeTierCaps) tree.upgradeTierCaps = def.upgradeTierCaps;
+                field("#tw_upgrades").value = Object.keys(tree).length ? JSON.stringify(tree, null, 2) : "";
+
+                extraFields = Object.fromEntries(Object.entries(def).filter(([key]) => !FORM_FIELDS.includes(key)));
+                extraEffects = Object.fromEntries(Object.entries(def.projectileEffects || {})
+                    .filter(([key]) => !PROJECTILE_EFFECT_FIELDS[key]));
+            }
+
+            /** Reads + validates the form; shows problems and returns null if it isn't usable. */
+            function readValidDefinition() {
+                const result = readDefinition();
+                if (!result) return null;
+                const problems = validateTowerDefinition(result.definition, { damageTypes: DAMAGE_TYPES });
+                if (problems.length) {
+                    setStatus([`${problems.length} problem(s):`, ...problems].join("\n"));
+                    return null;
+                }
+                return result;
+            }
+
+            // Events
+            form.addEventListener("submit", (e) => {
+                e.preventDefault();
+                const result = readValidDefinition();
+                if (!result) return;
 
-                configuration.towersByTypeKey[key] = def;
+                if (configStore) configStore.setTowerDefinition(result.towerTypeKey, result.definition);
+                else configuration.towersByTypeKey[result.towerTypeKey] = result.definition;
+                noteAdminAction("tower definition");
 
                 if (typeof rebuildTowerButtons === "function") {
                     rebuildTowerButtons();
                 }
+                setStatus(`Added "${result.towerTypeKey}" to the shop.`);
             });
 
-            section.querySelector("#tw_selectBtn").addEventListener("click", () => {
+            field("#tw_selectBtn").addEventListener("click", () => {
                 const key = sanitizeKey(str("#tw_key", "custom"));
                 if (typeof selectTowerType === "function") {
                     selectTowerType(key);
                 }
             });
 
+            field("#tw_loadBtn").addEventListener("click", () => {
+                const key = sanitizeKey(str("#tw_key", "custom"));
+                const def = configuration.towersByTypeKey[key];
+                if (!def) {
+                    setStatus(`No tower type "${key}".`);
+                    return;
+                }
+                fillForm(key, structuredClone(def));
+                setStatus(`Loaded "${key}".`);
+            });
+
+            field("#tw_previewBtn").addEventListener("click", () => {
+                if (typeof previewTowerDefinition !== "function") return;
+                const result = readValidDefinition();
+                if (!result) return;
+                const preview = previewTowerDefinition(result.towerTypeKey, result.definition);
+                setStatus(preview.ok ? "Preview tower placed; it fires at the dummies unless the game is paused." : preview.reason);
+            });
+
+            field("#tw_clearPreviewBtn").addEventListener("click", () => {
+                clearTowerPreview?.();
+                setStatus("Preview cleared.");
+            });
+
+            field("#tw_exportBtn").addEventListener("click", () => {
+                const result = readDefinition();
+                if (!result) return;
+                field("#tw_json").value = serializeTowerDefinition(result.towerTypeKey, result.definition);
+                setStatus("Exported the form to JSON.");
+            });
+
+            field("#tw_importBtn").addEventListener("click", () => {
+                const parsed = parseTowerDefinition(field("#tw_json").value);
+                if (!parsed.ok) {
+                    setStatus(parsed.reason);
+                    return;
+                }
+                fillForm(parsed.towerTypeKey, parsed.definition);
+                const problems = validateTowerDefinition(parsed.definition, { damageTypes: DAMAGE_TYPES });
+                setStatus(problems.length
+                    ? [`Imported with ${problems.length} problem(s):`, ...problems].join("\n")
+                    : "Imported into the form.");
+            });
+
+            field("#tw_copyBtn").addEventListener("click", async () => {
+                try {
+                    await navigator.clipboard.writeText(field("#tw_json").value);
+                    setStatus("Copied the JSON to the clipboard.");
+                } catch (error) {
+                    setStatus(`Could not copy to the clipboard: ${error?.message || error}`);
+                }
+            });
+
+            return section;
+        }
+    });
+
+    // ---------- Upgrade Authoring ----------
+    registerSection({
+        id: "upgrades",
+        title: "Upgrades",
+        render: () => {
+            const towerKeys = Object.keys(configuration.towersByTypeKey);
+            const form = createEl("form", { id: "upgradeAuthoringForm", class: "admin-form" }, [
+                createEl("div", { class: "row2" }, [
+                    createLabeledSelect("Tower Type", "up_tower", towerKeys, towerKeys[0]),
+                    createEl("div") // spacer
+                ]),
+                createEl("label", { class: "admin-label" }, [
+                    createEl("span", { class: "admin-label-text" }, ["Upgrade Tree JSON"]),
+                    createEl("textarea", { id: "up_json", class: "admin-input", rows: "12", spellcheck: "false" }, [])
+                ]),
+
+                createEl("div", { class: "admin-subtitle" }, ["Add Level"]),
+                createEl("div", { class: "row2" }, [
+                    createLabeledText("Category", "up_category", "damage"),
+                    createLabeledText("Display Name", "up_displayName", ""),
+                ]),
+                createEl("div", { class: "row2" }, [
+                    createLabeledNumber("Cost ($)", "up_cost", 100, 0, 999_999, 1),
+                    createLabeledSelect("Op", "up_op", UPGRADE_OPERATIONS, "multiply"),
+                ]),
+                createEl("div", { class: "row2" }, [
+                    createLabeledText("Path", "up_path", "damagePerShot"),
+                    createLabeledText("Value (number or JSON)", "up_value", "1.25"),
+                ]),
+
+                createEl("div", { class: "row" }, [
+                    createEl("button", { type: "button", id: "up_addLevel", class: "admin-btn" }, ["Add Level"]),
+                    createEl("button", { type: "button", id: "up_reload", class: "admin-btn" }, ["Reload"]),
+                    createEl("button", { type: "submit", class: "admin-btn success" }, ["Apply"])
+                ]),
+                createEl("div", { id: "up_status", class: "hintText", style: { whiteSpace: "pre-line" } }, [
+                    "{ upgrades: { category: { displayName, levels: [{ cost, ops, requires, excludes }] } }, upgradeTierCaps: [...] }"
+                ])
+            ]);
+
+            const section = createEl("section", { class: "admin-section" }, [
+                createEl("h2", { class: "admin-section-title" }, ["Upgrade Authoring"]),
+                form
+            ]);
+
+            const field = (sel) => section.querySelector(sel);
+            const setStatus = (text) => { field("#up_status").textContent = text; };
+
+            function loadTree() {
+                const def = configuration.towersByTypeKey[field("#up_tower").value] || {};
+                const tree = { upgrades: def.upgrades || {} };
+                if (def.upgradeTierCaps) tree.upgradeTierCaps = def.upgradeTierCaps;
+                field("#up_json").value = JSON.stringify(tree, null, 2);
+            }
+
+            function readTree() {
+                try {
+                    const tree = JSON.parse(field("#up_json").value || "{}");
+                    return tree && typeof tree === "object" ? tree : null;
+                } catch (error) {
+                    setStatus(`Invalid JSON: ${error.message}`);
+                    return null;
+                }
+            }
+
+            loadTree();
+            field("#up_tower").addEventListener("change", () => { loadTree(); setStatus(""); });
+            field("#up_reload").addEventListener("click", () => { loadTree(); setStatus("Reloaded from the live config."); });
+
+            // Appends one level (with a single op) to a category in the JSON; Apply makes it live
+            field("#up_addLevel").addEventListener("click", () => {
+                const tree = readTree();
+                if (!tree) return;
+                const category = sanitizeKey(str("#up_category", ""));
+                if (!category) {
+                    setStatus("Category is required.");
+                    return;
+                }
+
+                const rawValue = str("#up_value", "");
+                let value;
+                try { value = JSON.parse(rawValue); } catch { value = rawValue; }
+
+                tree.upgrades = tree.upgrades || {};
+                const path = tree.upgrades[category] || (tree.upgrades[category] = { levels: [] });
+                const displayName = str("#up_displayName", "");
+                if (displayName) path.displayName = displayName;
+                path.levels = Array.isArray(path.levels) ? path.levels : [];
+                path.levels.push({ cost: Math.max(0, int("#up_cost", 0)), ops: [{ op: str("#up_op", "multiply"), path: str("#up_path", ""), value }] });
+
+                field("#up_json").value = JSON.stringify(tree, null, 2);
+                setStatus(`Added ${category} Lv ${path.levels.length}. Apply to make it live.`);
+            });
+
+            form.addEventListener("submit", (e) => {
+                e.preventDefault();
+                const tree = readTree();
+                if (!tree) return;
+                if (!configStore) {
+                    setStatus("No config store connected.");
+                    return;
+                }
+
+                const towerTypeKey = field("#up_tower").value;
+                const result = configStore.setTowerUpgrades(towerTypeKey, tree.upgrades || {}, tree.upgradeTierCaps);
+                if (result.ok) noteAdminAction("upgrade tree");
+                setStatus(result.ok
+                    ? `Applied to ${towerTypeKey}.`
+                    : [result.reason, ...result.problems].join("\n"));
+            });
+
             return section;
         }
     });
@@ -468,6 +856,7 @@ export function createAdminPanel(rootDocument, gameState, configuration, uiHooks
                 gameState.lives = Math.max(0, lives);
                 const clampedWave = Math.max(0, Math.min(wave, maxWave));
                 gameState.currentWaveNumber = clampedWave;
+                noteAdminAction("economy edit");
             });
 
 
@@ -505,6 +894,7 @@ export function createAdminPanel(rootDocument, gameState, configuration, uiHooks
                 const m = Math.max(0, num("#gm_dmgMult", 1));
                 if (!gameState.modifiers) gameState.modifiers = {};
                 gameState.modifiers.towerDamageMultiplier = m;
+                noteAdminAction("damage multiplier");
             });
 
             return section;
@@ -541,6 +931,21 @@ export function createAdminPanel(rootDocument, gameState, configuration, uiHooks
                             createEl("span", {}, ["The editor snaps clicks to cells; drag to paint."])
                         ])
                     ]),
+                    // Named paths (entrances / branches)
+                    createEl("div", { class: "row" }, [
+                        createEl("label", { class: "admin-label" }, [
+                            createEl("span", { class: "admin-label-text" }, ["Editing Path"]),
+                            createEl("select", { id: "md_path", class: "admin-input" }, [])
+                        ]),
+                        createEl("label", { class: "admin-label" }, [
+                            createEl("span", { class: "admin-label-text" }, ["New Path Name"]),
+                            createEl("input", { id: "md_pathName", type: "text", value: "branch", class: "admin-input" })
+                        ])
+                    ]),
+                    createEl("div", { class: "row" }, [
+                        createEl("button", { type: "button", id: "md_addPath", class: "admin-btn" }, ["Add Path"]),
+                        createEl("button", { type: "button", id: "md_removePath", class: "admin-btn warning" }, ["Remove Path"])
+                    ]),
                     // Import/Export
                     createEl("div", { class: "row2" }, [
                         createEl("label", { class: "admin-label" }, [
@@ -549,7 +954,7 @@ export function createAdminPanel(rootDocument, gameState, configuration, uiHooks
                         ]),
                         createEl("label", { class: "admin-label" }, [
                             createEl("span", { class: "admin-label-text" }, ["Import JSON"]),
-                            createEl("textarea", { id: "md_import", class: "admin-input", rows: "6", placeholder: "[ { x:0, y:0 }, ... ]" }, [])
+                            createEl("textarea", { id: "md_import", class: "admin-input", rows: "6", placeholder: "{ main: [ { x:0, y:0 }, ... ] }" }, [])
                         ])
                     ]),
                     createEl("div", { class: "row" }, [
@@ -559,7 +964,8 @@ export function createAdminPanel(rootDocument, gameState, configuration, uiHooks
                     ]),
                     createEl("div", { class: "hintText" }, [
                         "Tip: With editor enabled, click-or-drag on the main canvas to add/erase path cells. ",
-                        "Export/Import uses a minimal array of { x, y } cells."
+                        "Each named path runs edge to edge; paths that share cells fork or merge. ",
+                        "Export/Import uses { pathName: [ { x, y }, ... ] } (a bare array loads as the main path)."
                     ])
                 ])
             ]);
@@ -568,11 +974,40 @@ export function createAdminPanel(rootDocument, gameState, configuration, uiHooks
             const h = uiHooks?.mapDesignerHooks;
             const q = (id) => section.querySelector(id);
 
+            // Rebuild the path dropdown from the designer's working set
+            function refreshPathSelect() {
+                const select = q("#md_path");
+                if (!select || !h?.listPaths) return;
+                const active = h.getActivePath?.();
+                select.innerHTML = "";
+                for (const name of h.listPaths()) {
+                    select.appendChild(createEl("option", { value: name, ...(name === active ? { selected: "" } : {}) }, [name]));
+                }
+            }
+
             // On open, refresh export box with current working copy (or config if inactive)
             setTimeout(() => {
                 if (h?.getExportText) q("#md_export").value = h.getExportText();
+                refreshPathSelect();
             }, 0);
 
+            q("#md_path")?.addEventListener("change", (e) => h?.setActivePath?.(e.target.value));
+
+            q("#md_addPath")?.addEventListener("click", (e) => {
+                e.preventDefault();
+                h?.addPath?.(q("#md_pathName")?.value);
+                refreshPathSelect();
+                q("#md_export").value = h?.getExportText?.() ?? "{}";
+            });
+
+            q("#md_removePath")?.addEventListener("click", (e) => {
+                e.preventDefault();
+                const name = q("#md_path")?.value;
+                if (name) h?.removePath?.(name);
+                refreshPathSelect();
+                q("#md_export").value = h?.getExportText?.() ?? "{}";
+            });
+
             q("#md_enable")?.addEventListener("click", (e) => {
                 e.preventDefault();
                 if (!MD) return;
@@ -591,6 +1026,7 @@ export function createAdminPanel(rootDocument, gameState, configuration, uiHooks
                     // === TURNING ON ===
                     MD.enable?.();
                     setMapDesignerUiEnabled(true);
+                    refreshPathSelect();
                     btn.dataset.active = "1";
                     btn.classList.add("md-active"); // 👈 add glow
                     btn.textContent = "Disable Editing";
@@ -603,7 +1039,8 @@ export function createAdminPanel(rootDocument, gameState, configuration, uiHooks
                 if (!MD) return;
 
                 MD.startBlank?.();
-                q("#md_export").value = MD.getExportText?.() ?? "[]";
+                refreshPathSelect();
+                q("#md_export").value = MD.getExportText?.() ?? "{}";
             });
 
 
@@ -629,9 +1066,10 @@ export function createAdminPanel(rootDocument, gameState, configuration, uiHooks
                 const toolSel = q("#md_tool");
                 if (toolSel) toolSel.value = "path";
 
-                // Update export box (now just "[]")
+                // Update export box (now just an empty main path)
+                refreshPathSelect();
                 const exp = q("#md_export");
-                if (exp) exp.value = MD.getExportText?.() ?? "[]";
+                if (exp) exp.value = MD.getExportText?.() ?? "{}";
             });
 
 
@@ -646,7 +1084,10 @@ export function createAdminPanel(rootDocument, gameState, configuration, uiHooks
             q("#md_paste").addEventListener("click", () => {
                 const text = q("#md_import").value;
                 const ok = h?.loadFromJSON?.(text);
-                if (ok) q("#md_export").value = h.getExportText();
+                if (ok) {
+                    q("#md_export").value = h.getExportText();
+                    refreshPathSelect();
+                }
             });
 
             // Commit & Rebuild: apply working path, rebuild map, then DISABLE editing
@@ -663,7 +1104,7 @@ export function createAdminPanel(rootDocument, gameState, configuration, uiHooks
                 btn.textContent = "Enable Editing";
                 setMapDesignerUiEnabled(false);
 
-                q("#md_export").value = MD.getExportText?.() ?? "[]";
+                q("#md_export").value = MD.getExportText?.() ?? "{}";
             });
 
 
@@ -0,0 +1,98 @@
+// ===========================================
+// File: src/ui/replayPanel.js
+// ===========================================
+
+export const REPLAY_SPEEDS = [0.5, 1, 2, 4, 8];
+
+/**
+ * Sidebar controls for recording and watching replays.
+ * main.js owns the recorder/player; this only renders state and forwards clicks.
+ *
+ * @param {HTMLElement} containerElement
+ * @param {{
+ *   onToggleRecording: () => void,
+ *   onExport: () => void,
+ *   onImport: (text:string) => void,
+ *   onWatchLast: () => void,
+ *   onSpeedChange: (speed:number) => void,
+ *   onExitViewer: () => void,
+ * }} handlers
+ * @returns {{update: (state:{isRecording:boolean, isViewing:boolean, isFinished:boolean, hasRecording:boolean, tick:number, endTick:number}) => void}}
+ */
+export function installReplayPanel(containerElement, handlers) {
+    if (!containerElement) {
+        console.warn("replayPanel element not found in DOM");
+        return { update() { } };
+    }
+
+    const speedOptions = REPLAY_SPEEDS
+        .map(speed => `<option value="${speed}" ${speed === 1 ? "selected" : ""}>${speed}x</option>`)
+        .join("");
+
+    containerElement.innerHTML = `
+      <div class="row">
+        <button type="button" data-action="record">Record</button>
+        <button type="button" data-action="watchLast">Watch</button>
+        <button type="button" data-action="export">Export</button>
+        <button type="button" data-action="import">Import</button>
+      </div>
+      <div class="row replayViewerRow" hidden>
+        <select class="replaySpeedSelect" aria-label="Replay speed">${speedOptions}</select>
+        <button type="button" data-action="exit">Exit Viewer</button>
+      </div>
+      <div class="hintText replayStatus"></div>
+      <input type="file" accept="application/json,.json" class="replayImportInput" hidden />`;
+
+    const button = (action) => containerElement.querySelector(`[data-action="${action}"]`);
+    const viewerRow = containerElement.querySelector(".replayViewerRow");
+    const speedSelect = containerElement.querySelector(".replaySpeedSelect");
+    const statusElement = containerElement.querySelector(".replayStatus");
+    const fileInput = containerElement.querySelector(".replayImportInput");
+
+    containerElement.addEventListener("click", (event) => {
+        const action = event.target?.closest?.("button")?.dataset?.action;
+        switch (action) {
+            case "record": handlers.onToggleRecording(); break;
+            case "watchLast": handlers.onWatchLast(); break;
+            case "export": handlers.onExport(); break;
+            case "import": fileInput.click(); break;
+            case "exit": handlers.onExitViewer(); break;
+        }
+    });
+
+    speedSelect.addEventListener("change", () => handlers.onSpeedChange(Number(speedSelect.value) || 1));
+
+    fileInput.addEventListener("change", async () => {
+        const file = fileInput.files?.[0];
+        fileInput.value = "";
+        if (file) handlers.onImport(await file.text());
+    });
+
+    // Only touch the DOM when something visible changed (update runs every frame)
+    let lastKey = "";
+    function update(state) {
+        const key = JSON.stringify(state);
+        if (key === lastKey) return;
+        lastKey = key;
+
+        button("record").textContent = state.isRecording ? "Stop" : "Record";
+        button("record").disabled = state.isViewing;
+        button("watchLast").disabled = state.isViewing || state.isRecording || !state.hasRecording;
+        button("export").disabled = state.isRecording || !state.hasRecording;
+        button("import").disabled = state.isRecording;
+        viewerRow.hidden = !state.isViewing;
+        if (!state.isViewing) speedSelect.value = "1";
+
+        if (state.isViewing) {
+            statusElement.textContent = state.isFinished
+                ? "Replay finished."
+                : `Watching replay — tick ${state.tick} / ${state.endTick}`;
+        } else if (state.isRecording) {
+            statusElement.textContent = `Recording… tick ${state.tick}`;
+        } else {
+            statusElement.textContent = "";
+        }
+    }
+
+    return { update };
+}
@@ -0,0 +1,114 @@
+// ===========================================
+// File: src/ui/saveSlotsPanel.js
+// ===========================================
+
+import { AUTOSAVE_SLOT } from "../core/saveGame.js";
+
+/**
+ * Sidebar controls for save slots plus JSON export/import.
+ * All game-state work is delegated to main.js through the handlers.
+ *
+ * @param {HTMLElement} containerElement
+ * @param {{
+ *   store: import("../core/saveGame.js").SaveSlotStore,
+ *   slots: string[],
+ *   onSave: (slot:string) => void,
+ *   onLoad: (slot:string) => void,
+ *   onDelete: (slot:string) => void,
+ *   onExport: () => void,
+ *   onImport: (text:string) => void,
+ *   onNewRun: () => void,
+ * }} handlers
+ * @returns {{refresh: () => void}}
+ */
+export function installSaveSlotsPanel(containerElement, handlers) {
+    if (!containerElement) {
+        console.warn("saveSlotsPanel element not found in DOM");
+        return { refresh() { } };
+    }
+
+    const { store, slots } = handlers;
+
+    containerElement.innerHTML = `
+      <div class="row">
+        <select class="saveSlotSelect" aria-label="Save slot"></select>
+      </div>
+      <div class="row">
+        <button type="button" data-action="save">Save</button>
+        <button type="button" data-action="load">Load</button>
+        <button type="button" data-action="delete">Delete</button>
+      </div>
+      <div class="row">
+        <button type="button" data-action="export">Export</button>
+        <button type="button" data-action="import">Import</button>
+        <button type="button" data-action="newRun">New Run</button>
+      </div>
+      <input type="file" accept="application/json,.json" class="saveImportInput" hidden />`;
+
+    const select = containerElement.querySelector(".saveSlotSelect");
+    const fileInput = containerElement.querySelector(".saveImportInput");
+
+    function labelFor(slot) {
+        const name = slot === AUTOSAVE_SLOT ? "Autosave" : `Slot ${slot.replace(/^\D+/, "")}`;
+        const info = store.describe(slot);
+        if (!info) return `${name} — empty`;
+        const when = info.savedAt ? new Date(info.savedAt).toLocaleString() : "";
+        return `${name} — Wave ${info.currentWaveNumber}, $${info.money}, ${info.lives} lives ${when ? `(${when})` : ""}`;
+    }
+
+    function refresh() {
+        const selected = select.value || slots[0];
+        select.innerHTML = slots
+            .map(slot => `<option value="${slot}">${labelFor(slot)}</option>`)
+            .join("");
+        select.value = slots.includes(selected) ? selected : slots[0];
+
+        const hasSave = Boolean(store.describe(select.value));
+        containerElement.querySelector('[data-action="load"]').disabled = !hasSave;
+        containerElement.querySelector('[data-action="delete"]').disabled = !hasSave;
+        containerElement.querySelector('[data-action="save"]').disabled =
+            !store.isAvailable() || select.value === AUTOSAVE_SLOT;
+    }
+
+    select.addEventListener("change", refresh);
+
+    containerElement.addEventListener("click", (event) => {
+        const action = event.target?.closest?.("button")?.dataset?.action;
+        if (!action) return;
+
+        switch (action) {
+            case "save": handlers.onSave(select.value); break;
+            case "load": handlers.onLoad(select.value); break;
+            case "delete": handlers.onDelete(select.value); break;
+            case "export": handlers.onExport(); break;
+            case "import": fileInput.click(); break;
+            case "newRun": handlers.onNewRun(); break;
+        }
+        refresh();
+    });
+
+    fileInput.addEventListener("change", async () => {
+        const file = fileInput.files?.[0];
+        fileInput.value = "";
+        if (!file) return;
+        handlers.onImport(await file.text());
+        refresh();
+    });
+
+    select.disabled = !store.isAvailable();
+    refresh();
+    return { refresh };
+}
+
+/** Triggers a browser download of a JSON document. */
+export function downloadJSONFile(filename, data) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -1,11 +1,127 @@
 import { TowerUpgradeSystem } from "../systems/towerUpgradeSystem.js";
-import { GAME_CONFIG } from "../config/gameConfig.js";
+import { TowerSaleSystem } from "../systems/towerSaleSystem.js";
+import { TARGETING_MODES } from "../systems/combatSystem.js";
 import { toast } from "./toast.js";
+import { summarizeUpgradeChanges } from "./upgradePreview.js";
 
 let upgradePanelElement = null;
 let currentTower = null;
 let currentGameState = null;
 
+// Live configuration (core/configStore.js); upgrade definitions and prices are read from it
+let configStore = null;
+let unsubscribeConfigStore = null;
+
+// Player actions leave the panel as commands so main.js can record/replay them.
+// Without a handler the panel applies them itself.
+let commandHandler = null;
+let isReadOnly = false;
+
+// Upgrade row under the pointer; main.js draws its range preview on the canvas
+let hoverHandler = null;
+let hoveredUpgradeKey = null;
+
+/** Routes upgrade/targeting commands through main.js (see core/replay.js for shapes). */
+export function setTowerUpgradeCommandHandler(handler) {
+    commandHandler = typeof handler === "function" ? handler : null;
+}
+
+/**
+ * Points the panel at the run's config store. Edits to the shown tower's type
+ * (admin upgrade authoring, price changes) re-render the panel.
+ */
+export function setTowerUpgradeConfigStore(store) {
+    unsubscribeConfigStore?.();
+    configStore = store || null;
+    unsubscribeConfigStore = configStore?.subscribe((change) => {
+        if (!change?.towerTypeKey || change.towerTypeKey === currentTower?.towerTypeKey) refreshTowerUpgrades();
+    }) ?? null;
+    refreshTowerUpgrades();
+}
+
+function liveConfig() {
+    return configStore?.configuration ?? { towersByTypeKey: {} };
+}
+
+/**
+ * Called with `{ tower, upgradeKey, changes }` while an upgrade row is hovered and
+ * with null when the hover ends. `changes` is TowerUpgradeSystem.previewUpgrade's result.
+ */
+export function setTowerUpgradeHoverHandler(handler) {
+    hoverHandler = typeof handler === "function" ? handler : null;
+}
+
+/** Read-only panels (replay viewer) show state but disable every control. */
+export function setTowerUpgradePanelReadOnly(readOnly) {
+    isReadOnly = Boolean(readOnly);
+    refreshTowerUpgrades();
+}
+
+/** Re-renders the panel for the tower it is currently showing. */
+export function refreshTowerUpgrades() {
+    if (currentTower && currentGameState) showTowerUpgrades(currentTower, currentGameState);
+}
+
+/** True if the panel is currently showing this tower. */
+export function isShowingTowerUpgrades(tower) {
+    return Boolean(tower) && currentTower === tower;
+}
+
+/**
+ * Keeps the Sell button's price current (the full-refund grace window expires
+ * with game time). Cheap enough to call every frame.
+ */
+export function refreshTowerSellValue() {
+    const button = upgradePanelElement?.querySelector(".sellButton");
+    if (!button || !currentTower || !currentGameState) return;
+    const label = sellButtonLabel(currentTower, currentGameState);
+    if (button.textContent !== label) button.textContent = label;
+}
+
+function sellButtonLabel(tower, gameState) {
+    const value = TowerSaleSystem.getSellValue(tower, gameState);
+    return TowerSaleSystem.isInGraceWindow(tower, gameState) ? `Sell $${value} (full)` : `Sell $${value}`;
+}
+
+/**
+ * Buys the next level of an upgrade path: checks funds, charges, applies.
+ * @returns {boolean} true if the upgrade was bought
+ */
+export function purchaseTowerUpgrade(tower, key, gameState) {
+    const gameConfig = gameState.configuration ?? liveConfig();
+    const check = TowerUpgradeSystem.checkUpgrade(tower, key, gameConfig);
+    if (!check.ok) {
+        toast.warn(check.reason, { durationMs: 1600 });
+        return false;
+    }
+    if (!TowerUpgradeSystem.canUpgrade(tower, key, gameConfig, gameState.money)) {
+        toast.warn("Not enough money!", { durationMs: 1600 });
+        return false;
+    }
+
+    const nextCost = TowerUpgradeSystem.getNextUpgradeCost(tower, key, gameConfig);
+    gameState.money -= nextCost;
+    TowerSaleSystem.addInvestment(tower, nextCost, gameConfig);
+    TowerUpgradeSystem.applyUpgrade(tower, key, gameConfig);
+
+    toast.success(`Upgraded: ${tower.displayName || tower.towerTypeKey} — ${key}`, { durationMs: 1400 });
+    return true;
+}
+
+function dispatchCommand(command) {
+    if (isReadOnly) return;
+    if (commandHandler) {
+        commandHandler(command);
+        return;
+    }
+    if (command.type === "upgradeTower") {
+        purchaseTowerUpgrade(currentTower, command.upgradeKey, currentGameState);
+        refreshTowerUpgrades();
+    } else if (command.type === "setTargeting") {
+        currentTower.targetingMode = command.mode;
+    }
+}
+
 export function initializeTowerUpgradePanel(documentRoot = document) {
     upgradePanelElement = documentRoot.getElementById("towerUpgradePanel");
     if (!upgradePanelElement) {
@@ -19,64 +135,182 @@ export function showTowerUpgrades(tower, gameState) {
     if (!upgradePanelElement) initializeTowerUpgradePanel();
     if (!upgradePanelElement) return;
 
+    if (currentTower !== tower) hoveredUpgradeKey = null;
     currentTower = tower;
     currentGameState = gameState;
 
-    const towerCfg = GAME_CONFIG.towersByTypeKey[tower.towerTypeKey];
+    const targetingHtml = renderTargetingRow(tower) + renderSellRow(tower, gameState);
+
+    const gameConfig = liveConfig();
+    const towerCfg = gameConfig.towersByTypeKey[tower.towerTypeKey];
     if (!towerCfg?.upgrades) {
         upgradePanelElement.innerHTML = `
           <div class="upgradeContent">
+            ${targetingHtml}
             <div class="noUpgrades">No upgrades available for <strong>${tower.displayName || tower.towerTypeKey}</strong></div>
           </div>`;
+        bindTargetingSelect();
+        bindSellButton();
         return;
     }
 
-    const rowsHtml = Object.entries(towerCfg.upgrades).map(([key, path]) => {
+    // Tree order: branches sit under the category that unlocks them
+    const rowsHtml = TowerUpgradeSystem.getUpgradeTree(towerCfg).map(({ key, depth }) => {
+        const path = towerCfg.upgrades[key];
         const level = tower.upgradeState?.[key] ?? 0;
         const max = path.levels.length;
         const next = path.levels[level];
-        const canUpgrade = TowerUpgradeSystem.canUpgrade(tower, key, GAME_CONFIG, gameState.money);
-        const disabled = !next || !canUpgrade;
-        const costText = next ? `$${next.cost}` : "MAX";
+        const check = TowerUpgradeSystem.checkUpgrade(tower, key, gameConfig);
+        const canUpgrade = TowerUpgradeSystem.canUpgrade(tower, key, gameConfig, gameState.money);
+        const disabled = isReadOnly || !next || !canUpgrade;
+
+        // "locked"/"excluded" rows explain why; unaffordable ones just grey out the button
+        const state = check.ok ? "open" : check.state;
+        const costText = !next ? "MAX" : state === "excluded" ? "Locked" : `$${next.cost}`;
+        const levelText = state === "locked" || state === "excluded" ? check.reason : `Lv ${level}/${max}`;
+        const pips = path.levels.map((_, i) =>
+            `<span class="upgradePip ${i < level ? "owned" : ""}"></span>`
+        ).join("");
 
         return `
-          <div class="upgradeRow ${disabled ? "disabled" : ""}" data-upgrade-key="${key}">
+          <div class="upgradeRow upgradeNode ${state} ${disabled ? "disabled" : ""}" data-upgrade-key="${key}" style="--depth:${depth}">
             <div class="upgradeLabel">
-              <span class="upgradeName">${path.displayName || key}</span>
-              <span class="upgradeLevel">Lv ${level}/${max}</span>
+              <span class="upgradeName">${depth > 0 ? "└ " : ""}${path.displayName || key}</span>
+              <span class="upgradePips">${pips}</span>
+              <span class="upgradeLevel">${levelText}</span>
             </div>
             <button class="upgradeButton" ${disabled ? "disabled" : ""}>${costText}</button>
           </div>`;
     }).join("");
 
-    upgradePanelElement.querySelector(".upgradeContent").innerHTML = rowsHtml;
+    upgradePanelElement.querySelector(".upgradeContent").innerHTML =
+        targetingHtml + rowsHtml + `<div class="upgradePreview" hidden></div>`;
+    bindTargetingSelect();
+    bindSellButton();
+    bindUpgradePreview();
 
-    upgradePanelElement.querySelectorAll(".upgradeButton").forEach(btn => {
+    upgradePanelElement.querySelectorAll(".upgradeRow[data-upgrade-key] .upgradeButton").forEach(btn => {
         btn.addEventListener("click", () => {
             const row = btn.closest(".upgradeRow");
             const key = row?.dataset?.upgradeKey;
-            if (!key) return;
+            if (!key || !currentTower) return;
 
-            const can = TowerUpgradeSystem.canUpgrade(currentTower, key, GAME_CONFIG, currentGameState.money);
-            if (!can) {
-                toast.warn("Not enough money or already maxed!", { durationMs: 1600 });
-                return;
-            }
+            dispatchCommand({ type: "upgradeTower", gridX: currentTower.gridX, gridY: currentTower.gridY, upgradeKey: key });
+        });
+    });
+}
 
-            const nextCost = TowerUpgradeSystem.getNextUpgradeCost(currentTower, key, GAME_CONFIG);
-            currentGameState.money -= nextCost;
-            TowerUpgradeSystem.applyUpgrade(currentTower, key, GAME_CONFIG);
+function bindUpgradePreview() {
+    upgradePanelElement.querySelectorAll(".upgradeRow[data-upgrade-key]").forEach(row => {
+        const key = row.dataset.upgradeKey;
+        row.addEventListener("mouseenter", () => showUpgradePreview(key));
+        row.addEventListener("mouseleave", hideUpgradePreview);
+        row.addEventListener("focusin", () => showUpgradePreview(key));
+        row.addEventListener("focusout", hideUpgradePreview);
+    });
 
-            toast.success(`Upgraded: ${currentTower.displayName || currentTower.towerTypeKey} — ${key}`, { durationMs: 1400 });
+    // Re-rendered under the pointer (e.g. right after buying): preview the new next level
+    if (hoveredUpgradeKey) showUpgradePreview(hoveredUpgradeKey);
+}
 
-            showTowerUpgrades(currentTower, currentGameState);
-        });
+function showUpgradePreview(key) {
+    const box = upgradePanelElement?.querySelector(".upgradePreview");
+    const gameConfig = liveConfig();
+    const towerCfg = gameConfig.towersByTypeKey[currentTower?.towerTypeKey];
+    const path = towerCfg?.upgrades?.[key];
+    if (!box || !path) {
+        hideUpgradePreview();
+        return;
+    }
+    hoveredUpgradeKey = key;
+
+    const level = currentTower.upgradeState?.[key] ?? 0;
+    const next = path.levels[level];
+    const check = TowerUpgradeSystem.checkUpgrade(currentTower, key, gameConfig);
+    const changes = TowerUpgradeSystem.previewUpgrade(currentTower, key, gameConfig);
+
+    let bodyHtml;
+    if (!next) {
+        bodyHtml = `<div class="upgradePreviewNote">Fully upgraded.</div>`;
+    } else {
+        const rowsHtml = summarizeUpgradeChanges(changes).map(row => `
+          <div class="upgradePreviewRow">
+            <span>${row.label}</span>
+            <span>${row.after ? `${row.before} → <strong>${row.after}</strong>` : ""}
+              ${row.delta ? `<span class="upgradePreviewDelta">(${row.delta})</span>` : ""}</span>
+          </div>`).join("");
+        bodyHtml = (rowsHtml || `<div class="upgradePreviewNote">No stat changes.</div>`) +
+            (check.ok ? "" : `<div class="upgradePreviewNote">${check.reason}</div>`);
+    }
+
+    box.innerHTML = `
+      <div class="upgradePreviewTitle">
+        <span>${path.displayName || key}${next ? ` Lv ${level + 1}` : ""}</span>
+        <span>${next ? `$${next.cost}` : ""}</span>
+      </div>
+      ${bodyHtml}`;
+    box.hidden = false;
+
+    hoverHandler?.({ tower: currentTower, upgradeKey: key, changes });
+}
+
+function hideUpgradePreview() {
+    const box = upgradePanelElement?.querySelector(".upgradePreview");
+    if (box) box.hidden = true;
+    if (hoveredUpgradeKey === null) return;
+    hoveredUpgradeKey = null;
+    hoverHandler?.(null);
+}
+
+function renderTargetingRow(tower) {
+    const current = tower.targetingMode || "first";
+    const options = TARGETING_MODES.map(mode =>
+        `<option value="${mode}" ${mode === current ? "selected" : ""}>${mode[0].toUpperCase()}${mode.slice(1)}</option>`
+    ).join("");
+
+    return `
+      <div class="upgradeRow targetingRow">
+        <div class="upgradeLabel">
+          <span class="upgradeName">Targeting</span>
+          <span class="upgradeLevel">Priority for this tower</span>
+        </div>
+        <select class="targetingSelect" ${isReadOnly ? "disabled" : ""}>${options}</select>
+      </div>`;
+}
+
+function renderSellRow(tower, gameState) {
+    return `
+      <div class="upgradeRow sellRow">
+        <div class="upgradeLabel">
+          <span class="upgradeName">${tower.displayName || tower.towerTypeKey}</span>
+          <span class="upgradeLevel">Invested $${TowerSaleSystem.getInvestment(tower, liveConfig())}</span>
+        </div>
+        <button class="upgradeButton sellButton" ${isReadOnly ? "disabled" : ""}>${sellButtonLabel(tower, gameState)}</button>
+      </div>`;
+}
+
+function bindSellButton() {
+    const button = upgradePanelElement.querySelector(".sellButton");
+    if (!button) return;
+    button.addEventListener("click", () => {
+        if (!currentTower) return;
+        dispatchCommand({ type: "sellTower", gridX: currentTower.gridX, gridY: currentTower.gridY });
+    });
+}
+
+function bindTargetingSelect() {
+    const select = upgradePanelElement.querySelector(".targetingSelect");
+    if (!select) return;
+    select.addEventListener("change", () => {
+        if (!currentTower || !TARGETING_MODES.includes(select.value)) return;
+        dispatchCommand({ type: "setTargeting", gridX: currentTower.gridX, gridY: currentTower.gridY, mode: select.value });
     });
 }
 
 export function clearTowerUpgrades() {
     if (!upgradePanelElement) initializeTowerUpgradePanel();
     if (!upgradePanelElement) return;
+    hideUpgradePreview();
     upgradePanelElement.innerHTML = `<div class="upgradeContent"><div class="noUpgrades">Select or place a tower</div></div>`;
     currentTower = null;
     currentGameState = null;
@@ -18,14 +18,25 @@ export function createUserInterfaceBindings() {
         currentWaveValue: document.getElementById("currentWaveValue"),
         maxWaveValue: document.getElementById("maxWaveValue"),
         enemiesAliveValue: document.getElementById("enemiesAliveValue"),
+        seedValue: document.getElementById("seedValue"),
 
         // Controls
         startWaveButton: document.getElementById("startWaveButton"),
-        refundLastTowerButton: document.getElementById("refundLastTowerButton"),
-        targetingModeSelect: document.getElementById("targetingModeSelect"),
+        undoPlacementButton: document.getElementById("undoPlacementButton"),
         gridCellSizeInput: document.getElementById("gridCellSizeInput"),
         autoStartNextWaveCheckbox: document.getElementById("autoStartNextWaveCheckbox"),
 
+        // Game speed
+        pauseButton: document.getElementById("pauseButton"),
+        stepFrameButton: document.getElementById("stepFrameButton"),
+        gameSpeedButtons: Array.from(document.querySelectorAll("#gameSpeedRow [data-speed]")),
+
+        // Save slots
+        saveSlotsPanel: document.getElementById("saveSlotsPanel"),
+
+        // Replay
+        replayPanel: document.getElementById("replayPanel"),
+
         // Tooltip
         towerInfoTooltip: document.getElementById("towerInfoTooltip"),
     };
@@ -93,4 +104,7 @@ export function refreshStatsPanel(ui, gameState, configuration) {
         const aliveCount = (gameState.enemies || []).filter(e => !e._isMarkedDead).length;
         ui.enemiesAliveValue.textContent = String(aliveCount);
     }
+
+    // Shown so a run can be shared and reproduced with ?seed=
+    if (ui.seedValue) ui.seedValue.textContent = String(gameState.rng?.seed ?? "-");
 }
@@ -0,0 +1,67 @@
+// ===========================================
+// File: src/ui/upgradePreview.js
+// ===========================================
+/*
+ Formatting for upgrade previews (TowerUpgradeSystem.previewUpgrade), shared by
+ the tower tooltip and the upgrade panel.
+*/
+
+// Labels for the tower fields upgrades usually touch; other paths are shown as-is
+const STAT_PATH_LABELS = {
+    damagePerShot: "Damage / Shot",
+    attacksPerSecond: "Attacks / Sec",
+    attackRangePixels: "Range (px)",
+    minimumRangePixels: "Min Range (px)",
+    damageType: "Damage Type",
+    "splash.radiusPixels": "Splash (px)",
+    "aoe.radiusPixels": "Area (px)",
+    projectileSpeedPixelsPerSecond: "Shot Speed (px/s)",
+};
+
+export function describeStatPath(path) {
+    return STAT_PATH_LABELS[path] || path.replace(/^projectileEffects\./, "");
+}
+
+export function formatStatValue(value) {
+    if (value === undefined || value === null) return "—";
+    if (typeof value === "number") return String(Math.round(value * 100) / 100);
+    if (typeof value === "boolean") return value ? "on" : "off";
+    return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Display rows for a preview. Effects the tower doesn't have yet collapse into a
+ * single "Unlocks <effect>" row instead of one row per field.
+ *
+ * @param {{path:string, before:any, after:any}[]} changes
+ * @returns {{label:string, before:string, after:string, delta:string}[]}
+ */
+export function summarizeUpgradeChanges(changes) {
+    const rows = [];
+    const unlocked = new Set();
+
+    for (const { path, before, after } of changes) {
+        const effectKey = path.match(/^projectileEffects\.([^.]+)\./)?.[1];
+        const isNewEffect = effectKey && changes
+            .filter(c => c.path.startsWith(`projectileEffects.${effectKey}.`))
+            .every(c => c.before === undefined);
+
+        if (isNewEffect) {
+            if (!unlocked.has(effectKey)) {
+                unlocked.add(effectKey);
+                rows.push({ label: `Unlocks ${effectKey}`, before: "", after: "", delta: "" });
+            }
+            continue;
+        }
+
+        const isNumeric = typeof after === "number" && typeof (before ?? 0) === "number";
+        const difference = isNumeric ? Math.round((after - (before ?? 0)) * 100) / 100 : null;
+        rows.push({
+            label: describeStatPath(path),
+            before: formatStatValue(before),
+            after: formatStatValue(after),
+            delta: difference ? `${difference > 0 ? "+" : ""}${difference}` : "",
+        });
+    }
+    return rows;
+}
@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createConfigStore } from "../src/core/configStore.js";
+
+function createConfiguration() {
+    const shared = { buildCost: 100, upgrades: { damage: { levels: [{ cost: 50 }] } } };
+    return { shared, configuration: { towersByTypeKey: { cannon: shared } } };
+}
+
+test("setTowerUpgrades replaces the definition and notifies subscribers", () => {
+    const { shared, configuration } = createConfiguration();
+    const store = createConfigStore(configuration);
+    const changes = [];
+    store.subscribe((change) => changes.push(change));
+
+    const upgrades = { range: { levels: [{ cost: 80, ops: [{ op: "add", path: "attackRangePixels", value: 20 }] }] } };
+    const result = store.setTowerUpgrades("cannon", upgrades);
+
+    assert.deepEqual(result, { ok: true });
+    assert.equal(store.getTowerDefinition("cannon").upgrades, upgrades);
+    assert.equal(store.getTowerDefinition("cannon").buildCost, 100);
+    // The shared (GAME_CONFIG) object is left alone
+    assert.deepEqual(Object.keys(shared.upgrades), ["damage"]);
+    assert.deepEqual(changes, [{ kind: "tower", towerTypeKey: "cannon" }]);
+});
+
+test("invalid upgrade trees are rejected with their problems", () => {
+    const { configuration } = createConfiguration();
+    const store = createConfigStore(configuration);
+    let notified = false;
+    store.subscribe(() => { notified = true; });
+
+    const result = store.setTowerUpgrades("cannon", {
+        fire: { levels: [{ cost: 60, requires: { heat: 1 }, ops: [{ op: "explode", path: "damagePerShot", value: 2 }] }] },
+    });
+
+    assert.equal(result.ok, false);
+    assert.equal(result.problems.length, 2);
+    assert.match(result.problems[0], /unknown category "heat"/);
+    assert.match(result.problems[1], /Unknown op "explode"/);
+    assert.equal(notified, false);
+    assert.deepEqual(Object.keys(configuration.towersByTypeKey.cannon.upgrades), ["damage"]);
+});
+
+test("unsubscribed listeners stop hearing about changes", () => {
+    const { configuration } = createConfiguration();
+    const store = createConfigStore(configuration);
+    let calls = 0;
+    const unsubscribe = store.subscribe(() => { calls += 1; });
+
+    store.setTowerDefinition("wall", { buildCost: 5 });
+    unsubscribe();
+    store.notifyChanged();
+
+    assert.equal(calls, 1);
+    assert.equal(store.getTowerDefinition("wall").buildCost, 5);
+});
@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { applyDamageToEnemy } from "../src/systems/damageResolver.js";
+import { DEFAULT_DAMAGE_TEXT } from "../src/config/gameConfig.js";
+
+function createState(damageText) {
+    return {
+        simulationTimeSeconds: 0,
+        configuration: damageText ? { ui: { damageText } } : {},
+        floatingTexts: [],
+    };
+}
+
+function createEnemy(damageTypeMultipliers = {}) {
+    return { x: 0, y: 0, hitPoints: 100, maximumHitPoints: 100, damageTypeMultipliers };
+}
+
+test("plain hits take the damage type's color, falling back to hitColor", () => {
+    const state = createState();
+    applyDamageToEnemy(state, createEnemy(), 10, "fire");
+    applyDamageToEnemy(state, createEnemy(), 10, "physical");
+
+    assert.equal(state.floatingTexts[0].color, DEFAULT_DAMAGE_TEXT.typeColors.fire);
+    assert.equal(state.floatingTexts[1].color, DEFAULT_DAMAGE_TEXT.hitColor);
+    assert.equal(state.floatingTexts[1].fontScale, 1);
+});
+
+test("weak hits are larger and marked, resisted hits are smaller", () => {
+    const state = createState();
+    applyDamageToEnemy(state, createEnemy({ fire: 2 }), 10, "fire");
+    applyDamageToEnemy(state, createEnemy({ cold: 0.5 }), 10, "cold");
+
+    const [weak, resisted] = state.floatingTexts;
+    assert.equal(weak.text, "-20!");
+    assert.equal(weak.color, DEFAULT_DAMAGE_TEXT.weakColor);
+    assert.ok(weak.fontScale > 1);
+    assert.equal(resisted.text, "-5");
+    assert.equal(resisted.color, DEFAULT_DAMAGE_TEXT.resistColor);
+    assert.ok(resisted.fontScale < 1);
+});
+
+test("the configured palette replaces the defaults", () => {
+    const state = createState({ hitColor: "#111111", weakColor: "#222222" });
+    applyDamageToEnemy(state, createEnemy(), 10, "fire");
+    applyDamageToEnemy(state, createEnemy({ fire: 2 }), 10, "fire");
+
+    assert.deepEqual(state.floatingTexts.map(t => t.color), ["#111111", "#222222"]);
+});
@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { EffectsRegistry, findUnknownEffectKeys } from "../src/systems/effects/effectsRegistry.js";
+import { createGameConfiguration } from "../src/core/gameSetup.js";
+import { GAME_CONFIG } from "../src/config/gameConfig.js";
+import { createRandom } from "../src/core/random.js";
+
+test("registered effects are dispatched by key in declared order", () => {
+    const calls = [];
+    EffectsRegistry.register("test-late", { order: 90, onImpact: (gs, p, cfg) => calls.push(`late:${cfg.tag}`) });
+    EffectsRegistry.register("test-early", {
+        order: -90,
+        onSpawn: () => calls.push("spawn"),
+        onImpact: (gs, p, cfg, aoeRadius) => calls.push(`early:${aoeRadius}`),
+        onExpire: () => calls.push("expire"),
+    });
+
+    const projectile = {
+        effects: { "test-late": { tag: "x" }, "test-early": {}, "test-off": { enabled: false } },
+    };
+    EffectsRegistry.applySpawn({}, projectile);
+    EffectsRegistry.applyImpact({}, projectile, 30);
+    EffectsRegistry.applyExpire({}, projectile);
+
+    assert.deepEqual(calls, ["spawn", "early:30", "late:x", "expire"]);
+    assert.ok(EffectsRegistry.keys().indexOf("test-early") < EffectsRegistry.keys().indexOf("explosion"));
+});
+
+test("effects with enabled: false are skipped", () => {
+    let ran = false;
+    EffectsRegistry.register("test-toggle", { onTravel: () => { ran = true; } });
+    EffectsRegistry.applyTravel({}, { effects: { "test-toggle": { enabled: false } } }, 0.1);
+    assert.equal(ran, false);
+});
+
+test("register rejects unknown hooks", () => {
+    assert.throws(() => EffectsRegistry.register("test-bad", { onHit: () => { } }));
+    assert.throws(() => EffectsRegistry.register("test-bad", { order: "first" }));
+});
+
+test("unknown effect keys are found in effects, bomblets and upgrades", () => {
+    const towerCfg = {
+        projectileEffects: { burn: { enabled: true }, sparkle: {}, cluster: { childEffects: { glitter: {} } } },
+        upgrades: {
+            fx: { levels: [{ cost: 1, ops: [{ op: "merge", path: "projectileEffects.shimmer", value: {} }] }] },
+        },
+    };
+    assert.deepEqual(findUnknownEffectKeys(towerCfg).sort(), ["glitter", "shimmer", "sparkle"]);
+});
+
+test("loading a config warns about unknown effect keys", (t) => {
+    const warn = t.mock.method(console, "warn", () => { });
+    createGameConfiguration(GAME_CONFIG);
+    assert.equal(warn.mock.callCount(), 0);
+
+    createGameConfiguration({
+        ...GAME_CONFIG,
+        towersByTypeKey: { odd: { projectileEffects: { sparkle: { enabled: true } } } },
+    });
+    assert.equal(warn.mock.callCount(), 1);
+});
+
+test("Tower Creator preview shots leave the run's RNG alone", () => {
+    const gameState = { rng: createRandom(7), particles: [] };
+    const shot = { _currentX: 0, _currentY: 0, effects: { trail: { enabled: true } } };
+    const before = gameState.rng.getState();
+
+    EffectsRegistry.applyTravel(gameState, { ...shot, isPreview: true }, 0.1);
+    assert.equal(gameState.rng.getState(), before);
+
+    EffectsRegistry.applyTravel(gameState, shot, 0.1);
+    assert.notEqual(gameState.rng.getState(), before);
+    assert.equal(gameState.particles.length, 4);
+});
@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { GridMap } from "../src/map/gridMap.js";
+
+// GridMap only reads the surface size, so any { clientWidth, clientHeight } works.
+function createGrid(paths) {
+    const configuration = { gridCellSize: 40, map: { paths } };
+    return new GridMap(configuration, { clientWidth: 400, clientHeight: 400 });
+}
+
+test("isGridCellOnPath is true along every segment of the path", () => {
+    const grid = createGrid({ main: [{ x: 0, y: 2 }, { x: 5, y: 2 }, { x: 5, y: 9 }] });
+
+    for (let x = 0; x <= 5; x += 1) assert.ok(grid.isGridCellOnPath(x, 2), `(${x}, 2)`);
+    for (let y = 2; y <= 9; y += 1) assert.ok(grid.isGridCellOnPath(5, y), `(5, ${y})`);
+});
+
+test("isGridCellOnPath is false next to the path", () => {
+    const grid = createGrid({ main: [{ x: 0, y: 2 }, { x: 5, y: 2 }, { x: 5, y: 9 }] });
+
+    assert.equal(grid.isGridCellOnPath(0, 1), false);
+    assert.equal(grid.isGridCellOnPath(0, 3), false);
+    assert.equal(grid.isGridCellOnPath(6, 2), false);
+    assert.equal(grid.isGridCellOnPath(4, 9), false);
+});
+
+test("isGridCellOnPath checks every named path", () => {
+    const grid = createGrid({
+        main: [{ x: 0, y: 0 }, { x: 9, y: 0 }],
+        south: [{ x: 0, y: 9 }, { x: 9, y: 9 }],
+    });
+
+    assert.ok(grid.isGridCellOnPath(4, 0));
+    assert.ok(grid.isGridCellOnPath(4, 9));
+    assert.equal(grid.isGridCellOnPath(4, 5), false);
+});
+
+test("paths that leave a short grid are clamped to its edge, or dropped once nothing is left", (t) => {
+    const warn = t.mock.method(console, "warn", () => { });
+    const grid = createGrid({
+        main: [{ x: 0, y: 2 }, { x: 5, y: 2 }, { x: 5, y: 9 }],
+        south: [{ x: 3, y: 14 }, { x: 3, y: 6 }, { x: 5, y: 6 }],
+        far: [{ x: 12, y: 12 }, { x: 15, y: 12 }],
+    });
+
+    assert.deepEqual(grid.pathNames, ["main", "south"]);
+    assert.deepEqual(grid.paths.south.cells, [{ x: 3, y: 9 }, { x: 3, y: 6 }, { x: 5, y: 6 }]);
+    assert.equal(warn.mock.callCount(), 2);
+});
@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { projectPointOntoSegment, normalizeAngleRadians } from "../src/core/mathUtils.js";
+
+test("projectPointOntoSegment projects onto the segment interior", () => {
+    const result = projectPointOntoSegment({ x: 5, y: 3 }, { x: 0, y: 0 }, { x: 10, y: 0 });
+    assert.deepEqual(result, { x: 5, y: 0, t: 0.5, distance: 3 });
+});
+
+test("projectPointOntoSegment clamps to the segment endpoints", () => {
+    const before = projectPointOntoSegment({ x: -4, y: 3 }, { x: 0, y: 0 }, { x: 10, y: 0 });
+    assert.equal(before.t, 0);
+    assert.equal(before.x, 0);
+    assert.equal(before.distance, 5);
+
+    const after = projectPointOntoSegment({ x: 14, y: 0 }, { x: 0, y: 0 }, { x: 10, y: 0 });
+    assert.equal(after.t, 1);
+    assert.equal(after.x, 10);
+    assert.equal(after.distance, 4);
+});
+
+test("projectPointOntoSegment handles a zero-length segment", () => {
+    const result = projectPointOntoSegment({ x: 3, y: 4 }, { x: 0, y: 0 }, { x: 0, y: 0 });
+    assert.deepEqual(result, { x: 0, y: 0, t: 0, distance: 5 });
+});
+
+test("normalizeAngleRadians wraps into (-PI, PI]", () => {
+    assert.equal(normalizeAngleRadians(0), 0);
+    assert.equal(normalizeAngleRadians(Math.PI), Math.PI);
+    assert.equal(normalizeAngleRadians(-Math.PI), Math.PI);
+    assert.ok(Math.abs(normalizeAngleRadians(Math.PI * 2.5) - Math.PI / 2) < 1e-12);
+    assert.ok(Math.abs(normalizeAngleRadians(-Math.PI * 1.5) - Math.PI / 2) < 1e-12);
+});
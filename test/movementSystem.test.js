@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { MovementSystem } from "../src/systems/movementSystem.js";
+import { EnemyEntity } from "../src/entities/enemy.js";
+
+const WAYPOINTS = [{ x: 20, y: 20 }, { x: 220, y: 20 }];
+
+function createState(enemies, lives = 5) {
+    return { configuration: { gridCellSize: 40 }, lives, enemies };
+}
+
+function createEnemy(speedCellsPerSecond) {
+    return new EnemyEntity({ hitPoints: 10, movementSpeedCellsPerSecond: speedCellsPerSecond }, WAYPOINTS, "main");
+}
+
+test("enemies advance along the path without costing lives", () => {
+    const enemy = createEnemy(1);
+    const state = createState([enemy]);
+
+    new MovementSystem().tick(state, 1);
+
+    assert.equal(enemy.x, 60);
+    assert.equal(enemy._isMarkedDead, false);
+    assert.equal(state.lives, 5);
+});
+
+test("reaching the end of the path costs one life and marks the enemy", () => {
+    const enemy = createEnemy(10);
+    const state = createState([enemy]);
+
+    new MovementSystem().tick(state, 1);
+
+    assert.equal(enemy.x, 220);
+    assert.equal(enemy._isMarkedDead, true);
+    assert.equal(state.lives, 4);
+});
+
+test("an enemy at the exit only costs a life once", () => {
+    const enemy = createEnemy(10);
+    const state = createState([enemy]);
+    const movement = new MovementSystem();
+
+    movement.tick(state, 1);
+    enemy._isMarkedDead = false; // as if it was still in the list on the next tick
+    movement.tick(state, 1);
+
+    assert.equal(state.lives, 4);
+});
+
+test("lives never drop below zero", () => {
+    const state = createState([createEnemy(10), createEnemy(10)], 1);
+
+    new MovementSystem().tick(state, 1);
+
+    assert.equal(state.lives, 0);
+});
@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { validateWorkingPath, validateWorkingPaths } from "../src/map/pathValidation.js";
+
+const GRID = { gridColumnCount: 6, gridRowCount: 4 };
+
+function cells(...pairs) {
+    return pairs.map(([x, y]) => ({ x, y }));
+}
+
+test("accepts a contiguous edge-to-edge path", () => {
+    const path = cells([0, 1], [1, 1], [2, 1], [2, 2], [3, 2], [4, 2], [5, 2]);
+    assert.deepEqual(validateWorkingPath(path, GRID), { ok: true });
+});
+
+test("needs at least a START and END cell", () => {
+    assert.equal(validateWorkingPath(cells([0, 1]), GRID).ok, false);
+    assert.equal(validateWorkingPath(null, GRID).ok, false);
+});
+
+test("rejects cells outside the grid", () => {
+    const result = validateWorkingPath(cells([0, 1], [-1, 1]), GRID);
+    assert.equal(result.ok, false);
+    assert.match(result.reason, /out of bounds/);
+});
+
+test("START and END must sit on the grid edge", () => {
+    const startInside = validateWorkingPath(cells([1, 1], [0, 1]), GRID);
+    assert.match(startInside.reason, /START/);
+
+    const endInside = validateWorkingPath(cells([0, 1], [1, 1]), GRID);
+    assert.match(endInside.reason, /END/);
+});
+
+test("rejects gaps and diagonal steps", () => {
+    const gap = validateWorkingPath(cells([0, 1], [2, 1], [3, 1], [4, 1], [5, 1]), GRID);
+    assert.match(gap.reason, /not contiguous at \(0,1\)/);
+
+    const diagonal = validateWorkingPath(cells([0, 1], [1, 2], [1, 3]), GRID);
+    assert.match(diagonal.reason, /not contiguous/);
+});
+
+test("validateWorkingPaths names the failing path", () => {
+    const result = validateWorkingPaths({
+        main: cells([0, 1], [1, 1], [2, 1], [3, 1], [4, 1], [5, 1]),
+        south: cells([2, 3], [2, 2]),
+    }, GRID);
+
+    assert.equal(result.ok, false);
+    assert.match(result.reason, /^Path "south": END/);
+});
+
+test("validateWorkingPaths needs at least one path", () => {
+    assert.equal(validateWorkingPaths({}, GRID).ok, false);
+});
@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+    ProjectileBehaviorRegistry,
+    advanceProjectile,
+    fireProjectile,
+} from "../src/systems/projectileBehaviors.js";
+
+function createState(enemies) {
+    return {
+        simulationTimeSeconds: 0,
+        configuration: { projectileSpeedPixelsPerSecond: 200, towersByTypeKey: {} },
+        enemies,
+        projectiles: [],
+        floatingTexts: [],
+        particles: [],
+    };
+}
+
+function createTower(overrides = {}) {
+    return { x: 0, y: 0, towerTypeKey: "test", damagePerShot: 10, ...overrides };
+}
+
+function flyUntilDone(state, projectile) {
+    for (let i = 0; i < 20 && !projectile._isComplete; i += 1) advanceProjectile(state, projectile, 0.05);
+}
+
+test("behaviors resolve by projectileBehavior, then tower type, then basic", () => {
+    assert.equal(ProjectileBehaviorRegistry.resolveKey({ projectileBehavior: "nuke", towerTypeKey: "basic" }), "nuke");
+    assert.equal(ProjectileBehaviorRegistry.resolveKey({ towerTypeKey: "nuke" }), "nuke");
+    assert.equal(ProjectileBehaviorRegistry.resolveKey({ towerTypeKey: "sniper" }), "basic");
+});
+
+test("basic shots hit their target directly, or everything in the AoE with falloff", () => {
+    const target = { x: 50, y: 0, hitPoints: 100 };
+    const bystander = { x: 60, y: 0, hitPoints: 100 };
+
+    const direct = createState([target, bystander]);
+    flyUntilDone(direct, fireProjectile(direct, createTower(), target));
+    assert.deepEqual([target.hitPoints, bystander.hitPoints], [90, 100]);
+
+    const splash = createState([target, bystander]);
+    flyUntilDone(splash, fireProjectile(splash, createTower({ splash: { radiusPixels: 20 } }), target));
+    assert.deepEqual([target.hitPoints, bystander.hitPoints], [80, 95]);
+});
+
+test("registered behaviors run their hooks without changes to the combat loop", () => {
+    const calls = [];
+    ProjectileBehaviorRegistry.register("test-recorder", {
+        onSpawn: () => calls.push("spawn"),
+        onTravel: () => calls.push("travel"),
+        onImpact: (projectile) => calls.push(`impact@${projectile._currentX}`),
+    });
+
+    const target = { x: 50, y: 0, hitPoints: 100 };
+    const state = createState([target]);
+    const projectile = fireProjectile(state, createTower({ projectileBehavior: "test-recorder" }), target);
+    flyUntilDone(state, projectile);
+
+    assert.equal(calls[0], "spawn");
+    assert.equal(calls.at(-1), "impact@50");
+    assert.equal(target.hitPoints, 100);
+    assert.throws(() => ProjectileBehaviorRegistry.register("bad", { onImpact: 3 }));
+});
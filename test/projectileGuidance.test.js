@@ -0,0 +1,159 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+    createCurveControlPoint,
+    estimateEnemyVelocity,
+    flightSecondsFor,
+    predictInterceptPoint,
+    projectileHeightAt,
+    projectilePositionAt,
+    resolveProjectileMode,
+} from "../src/systems/projectileGuidance.js";
+import { advanceProjectile, fireProjectile } from "../src/systems/projectileBehaviors.js";
+import { CombatSystem } from "../src/systems/combatSystem.js";
+
+const STEP = 0.05;
+
+function createState(enemies) {
+    return {
+        simulationTimeSeconds: 0,
+        configuration: { projectileSpeedPixelsPerSecond: 500, towersByTypeKey: {} },
+        enemies,
+        projectiles: [],
+        floatingTexts: [],
+    };
+}
+
+// An enemy moving right at 200 px/s, already one step into its move
+function createRunner() {
+    return { x: 100, y: 0, _prevX: 90, _prevY: 0, hitPoints: 100, drawRadiusPixels: 8 };
+}
+
+// Moves the runner along with the projectile until the shot lands
+function flyAtRunner(state, projectile, runner) {
+    for (let i = 0; i < 40 && !projectile._isComplete; i += 1) {
+        runner.x += 200 * STEP;
+        advanceProjectile(state, projectile, STEP);
+    }
+}
+
+test("towers without a projectileMode home single-target shots and dumb-fire AoE", () => {
+    assert.equal(resolveProjectileMode({}), "homing");
+    assert.equal(resolveProjectileMode({ splash: { radiusPixels: 40 } }), "dumb");
+    assert.equal(resolveProjectileMode({ splash: { radiusPixels: 40 }, projectileMode: "predictive" }), "predictive");
+});
+
+test("predictive aim leads the target by its velocity", () => {
+    const velocity = estimateEnemyVelocity(createRunner(), STEP);
+    assert.deepEqual(velocity, { x: 200, y: 0 });
+    assert.deepEqual(predictInterceptPoint({ x: 0, y: 0 }, createRunner(), velocity, () => 0.2), { x: 140, y: 0 });
+});
+
+test("dumb-fire shots miss a moving target; homing and predictive shots connect", () => {
+    for (const [projectileMode, expectedHitPoints] of [["dumb", 100], ["homing", 90], ["predictive", 90]]) {
+        const runner = createRunner();
+        const state = createState([runner]);
+        const tower = { x: 0, y: 0, towerTypeKey: "test", damagePerShot: 10, projectileMode };
+        const projectile = fireProjectile(state, tower, runner, STEP);
+
+        flyAtRunner(state, projectile, runner);
+
+        assert.equal(runner.hitPoints, expectedHitPoints, projectileMode);
+        assert.equal(projectile.targetEnemy, expectedHitPoints === 100 ? null : runner, projectileMode);
+    }
+});
+
+test("curved shots bow out to one side and still end on the target", () => {
+    const from = { x: 0, y: 0 };
+    const to = { x: 100, y: 0 };
+    const control = createCurveControlPoint(from, to, 0.5, 1);
+    assert.deepEqual(control, { x: 50, y: 50 });
+
+    const projectile = { x: 0, y: 0, targetX: 100, targetY: 0, curveControl: control };
+    assert.deepEqual(projectilePositionAt(projectile, 0.5), { x: 50, y: 25 });
+    assert.deepEqual(projectilePositionAt(projectile, 1), { x: 100, y: 0 });
+});
+
+test("flight time follows distance, speed and acceleration", () => {
+    assert.equal(flightSecondsFor({ speedPixelsPerSecond: 400, accelerationPixelsPerSecondSquared: 0 }, 200), 0.5);
+    // 100 * t + 200 * t^2 / 2 = 200  ->  t = 1
+    assert.equal(flightSecondsFor({ speedPixelsPerSecond: 100, accelerationPixelsPerSecondSquared: 200 }, 200), 1);
+    // Decelerates to a stop after 50px
+    assert.equal(flightSecondsFor({ speedPixelsPerSecond: 100, accelerationPixelsPerSecondSquared: -100 }, 80), Infinity);
+});
+
+test("near targets are reached sooner than far ones", () => {
+    const stepsToHit = (distance) => {
+        const enemy = { x: distance, y: 0, hitPoints: 100 };
+        const state = createState([enemy]);
+        const projectile = fireProjectile(state, { x: 0, y: 0, towerTypeKey: "test", damagePerShot: 1 }, enemy);
+        let steps = 0;
+        while (!projectile._isComplete && steps < 100) {
+            advanceProjectile(state, projectile, STEP);
+            steps += 1;
+        }
+        return steps;
+    };
+    assert.equal(stepsToHit(50), 2);
+    assert.equal(stepsToHit(250), 10);
+});
+
+test("shots that outlive their max lifetime fizzle without hitting", () => {
+    const runner = createRunner();
+    const state = createState([runner]);
+    const tower = { x: 0, y: 0, towerTypeKey: "test", damagePerShot: 10, projectileSpeedPixelsPerSecond: 150, projectileMaxLifetimeSeconds: 0.5 };
+    const projectile = fireProjectile(state, tower, runner, STEP);
+
+    flyAtRunner(state, projectile, runner);
+
+    assert.equal(projectile._isComplete, true);
+    assert.ok(projectile.ageSeconds >= 0.5 && projectile.ageSeconds < 0.6);
+    assert.equal(runner.hitPoints, 100);
+});
+
+test("arc shots climb and land on the same ground track as straight ones", () => {
+    const enemy = { x: 200, y: 0, hitPoints: 100 };
+    const state = createState([enemy]);
+    const tower = { x: 0, y: 0, towerTypeKey: "test", damagePerShot: 10, projectileTrajectory: "arc", arcHeightRatio: 0.5 };
+    const projectile = fireProjectile(state, tower, enemy);
+    assert.equal(projectile.arcPeakPixels, 100);
+
+    const heights = [];
+    while (!projectile._isComplete) {
+        advanceProjectile(state, projectile, STEP);
+        heights.push(projectile._currentHeight);
+    }
+    assert.equal(Math.max(...heights), projectileHeightAt(projectile, 0.5));
+    assert.equal(heights.at(-1), 0);
+    assert.equal(enemy.hitPoints, 90);
+});
+
+test("towers ignore enemies inside their minimum range", () => {
+    const near = { x: 40, y: 0, hitPoints: 100 };
+    const far = { x: 150, y: 0, hitPoints: 100 };
+    const state = createState([near, far]);
+    state.towers = [{
+        x: 0, y: 0, towerTypeKey: "test", damagePerShot: 10, attacksPerSecond: 1, cooldownSeconds: 0,
+        attackRangePixels: 200, minimumRangePixels: 60, targetingMode: "closest",
+    }];
+
+    new CombatSystem().tick(state, STEP);
+
+    assert.equal(state.towers[0].currentTarget, far);
+});
+
+test("preview towers and dummies only ever fight each other", () => {
+    const dummy = { x: 50, y: 0, hitPoints: 100, isPreviewDummy: true };
+    const enemy = { x: 100, y: 0, hitPoints: 100 };
+    const state = createState([dummy, enemy]);
+    const tower = { x: 0, y: 0, towerTypeKey: "test", damagePerShot: 10, attacksPerSecond: 1, cooldownSeconds: 0, attackRangePixels: 200, targetingMode: "closest" };
+    // Each tower has the other side's unit closer
+    state.towers = [{ ...tower }, { ...tower, x: 150, isPreview: true }];
+
+    new CombatSystem().tick(state, STEP);
+
+    assert.equal(state.towers[0].currentTarget, enemy);
+    assert.equal(state.towers[1].currentTarget, dummy);
+    assert.deepEqual(state.projectiles.map(p => p.isPreview), [false, true]);
+});
@@ -0,0 +1,18 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { ReplayRecorder } from "../src/core/replay.js";
+
+test("admin changes made while recording are listed once each, and only while recording", () => {
+    const recorder = new ReplayRecorder();
+    recorder.noteUnrecordedChange("money edit");
+
+    recorder.start({ simulationTick: 10 });
+    recorder.record(12, { type: "startWave" });
+    recorder.noteUnrecordedChange("enemy spawn");
+    recorder.noteUnrecordedChange("enemy spawn");
+    const recording = recorder.stop(20);
+
+    assert.deepEqual(recording.unrecordedChanges, ["enemy spawn"]);
+    assert.deepEqual(recording.commands, [{ tick: 12, type: "startWave" }]);
+});
@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseRunSnapshot, restoreTowers, serializeRun } from "../src/core/saveGame.js";
+import { TowerUpgradeSystem } from "../src/systems/towerUpgradeSystem.js";
+
+function createState() {
+    return {
+        money: 120,
+        lives: 20,
+        currentWaveNumber: 3,
+        autoStartNextWave: true,
+        simulationTimeSeconds: 42,
+        towers: [],
+        enemies: [],
+        gridMap: { paths: { main: { cells: [{ x: 0, y: 1 }, { x: 5, y: 1 }] } } },
+        configuration: { map: {} },
+    };
+}
+
+test("a pending auto-start survives the round trip", () => {
+    const pending = serializeRun(createState(), { nextWaveStartsAtSeconds: 42.8 });
+    assert.equal(parseRunSnapshot(JSON.stringify(pending.snapshot)).snapshot.nextWaveStartsAtSeconds, 42.8);
+
+    assert.equal(serializeRun(createState()).snapshot.nextWaveStartsAtSeconds, null);
+});
+
+test("snapshots are refused while a wave is running", () => {
+    assert.equal(serializeRun(createState(), { waveInProgress: true }).ok, false);
+});
+
+test("upgrades that touch unlisted fields come back on load", () => {
+    const towersByTypeKey = {
+        lamp: {
+            upgrades: {
+                glow: { levels: [{ cost: 5, ops: [{ op: "set", path: "visualScale", value: 1.5 }] }] },
+                power: { levels: [{ cost: 5, ops: [{ op: "add", path: "damagePerShot", value: 4 }] }] },
+            },
+        },
+    };
+    const createTower = (towerTypeKey, gridX, gridY) => ({ towerTypeKey, gridX, gridY, damagePerShot: 10, upgradeState: {} });
+
+    const state = createState();
+    const tower = createTower("lamp", 2, 3);
+    TowerUpgradeSystem.applyUpgrade(tower, "power", { towersByTypeKey });
+    TowerUpgradeSystem.applyUpgrade(tower, "glow", { towersByTypeKey });
+    state.towers = [tower];
+    const { snapshot } = serializeRun(state);
+
+    const [restored] = restoreTowers(snapshot, createTower, towersByTypeKey).towers;
+    assert.equal(restored.visualScale, 1.5);
+    assert.equal(restored.damagePerShot, 14);
+    assert.deepEqual(restored.upgradeOrder, ["power", "glow"]);
+
+    // Saves from before upgradeOrder existed replay their owned levels
+    delete snapshot.towers[0].upgradeOrder;
+    assert.equal(restoreTowers(snapshot, createTower, towersByTypeKey).towers[0].visualScale, 1.5);
+});
@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createTimeScale, simulationNowMs } from "../src/core/simulationClock.js";
+
+test("simulationNowMs reads the game clock", () => {
+    assert.equal(simulationNowMs({ simulationTimeSeconds: 1.5 }), 1500);
+});
+
+test("speeds outside 1x-3x are rejected", () => {
+    const timeScale = createTimeScale();
+    assert.equal(timeScale.setSpeed(5), false);
+    assert.equal(timeScale.speed, 1);
+    assert.equal(timeScale.setSpeed(3), true);
+    assert.equal(timeScale.speed, 3);
+});
+
+test("step pauses and queues single ticks until they are taken", () => {
+    const timeScale = createTimeScale();
+
+    timeScale.step();
+    timeScale.step();
+    assert.equal(timeScale.isPaused, true);
+    assert.equal(timeScale.takePendingSteps(), 2);
+    assert.equal(timeScale.takePendingSteps(), 0);
+});
+
+test("resuming or picking a speed unpauses and drops queued steps", () => {
+    const timeScale = createTimeScale();
+
+    timeScale.step();
+    timeScale.togglePause();
+    assert.equal(timeScale.isPaused, false);
+    assert.equal(timeScale.takePendingSteps(), 0);
+
+    timeScale.step();
+    timeScale.setSpeed(2);
+    assert.equal(timeScale.isPaused, false);
+    assert.equal(timeScale.takePendingSteps(), 0);
+});
@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+    buildProjectileEffect,
+    validateTowerDefinition,
+    serializeTowerDefinition,
+    parseTowerDefinition,
+} from "../src/config/towerDefinition.js";
+import { GAME_CONFIG } from "../src/config/gameConfig.js";
+
+test("buildProjectileEffect nests dotted fields and drops optional zeros", () => {
+    const values = { delayMs: 400, radiusPixelsOverride: 0, "ripple.enabled": true, "ripple.endRadius": 90 };
+    const effect = buildProjectileEffect("aftershock", (key) => values[key]);
+
+    assert.equal(effect.enabled, true);
+    assert.equal(effect.delayMs, 400);
+    assert.equal("radiusPixelsOverride" in effect, false);
+    assert.deepEqual(effect.ripple, { enabled: true, endRadius: 90 });
+});
+
+test("validateTowerDefinition reports bad stats, effects and upgrades", () => {
+    const problems = validateTowerDefinition({
+        buildCost: 50,
+        damagePerShot: 5,
+        attacksPerSecond: 0,
+        attackRangePixels: 100,
+        damageType: "plasma",
+        aoe: { radiusPixels: 0 },
+        projectileEffects: { wobble: { enabled: true } },
+        upgrades: { damage: { levels: [{ cost: 10, ops: [{ op: "explode", path: "damagePerShot" }] }] } },
+    }, { damageTypes: ["physical", "fire"] });
+
+    assert.ok(problems.some(p => p.includes("attacksPerSecond")));
+    assert.ok(problems.some(p => p.includes("plasma")));
+    assert.ok(problems.some(p => p.includes("aoe.radiusPixels")));
+    assert.ok(problems.some(p => p.includes("wobble")));
+    assert.ok(problems.some(p => p.includes("explode")));
+});
+
+test("every shipped tower definition validates", () => {
+    for (const [key, def] of Object.entries(GAME_CONFIG.towersByTypeKey)) {
+        assert.deepEqual(validateTowerDefinition(def, { damageTypes: GAME_CONFIG.damageTypes }), [], key);
+    }
+});
+
+test("exported definitions import back unchanged", () => {
+    const definition = { displayName: "Frost", buildCost: 90, projectileEffects: { slow: { enabled: true } } };
+    const parsed = parseTowerDefinition(serializeTowerDefinition("frost", definition));
+
+    assert.deepEqual(parsed, { ok: true, towerTypeKey: "frost", definition });
+    assert.deepEqual(parseTowerDefinition(JSON.stringify(definition)), { ok: true, towerTypeKey: null, definition });
+    assert.equal(parseTowerDefinition("[1, 2]").ok, false);
+    assert.equal(parseTowerDefinition("{").ok, false);
+});
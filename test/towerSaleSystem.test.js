@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { TowerSaleSystem } from "../src/systems/towerSaleSystem.js";
+
+const CONFIG = {
+    towerRefundRate: 0.5,
+    sellFullRefundGraceSeconds: 10,
+    towersByTypeKey: {
+        cannon: {
+            buildCost: 100,
+            upgrades: {
+                damage: { levels: [{ cost: 40 }, { cost: 80 }] },
+                range: { levels: [{ cost: 30 }] },
+            },
+        },
+    },
+};
+
+function createState(overrides = {}) {
+    return { configuration: CONFIG, currentWaveNumber: 2, simulationTimeSeconds: 100, ...overrides };
+}
+
+function createTower() {
+    return { towerTypeKey: "cannon", buildCost: 100 };
+}
+
+test("investment counts the build cost plus every upgrade bought", () => {
+    const tower = createTower();
+    TowerSaleSystem.markBuilt(tower, createState());
+    TowerSaleSystem.addInvestment(tower, 40, CONFIG);
+    TowerSaleSystem.addInvestment(tower, 80, CONFIG);
+
+    assert.equal(TowerSaleSystem.getInvestment(tower, CONFIG), 220);
+});
+
+test("untracked towers are priced from their upgrade levels", () => {
+    const tower = { ...createTower(), upgradeState: { damage: 2, range: 1 } };
+    assert.equal(TowerSaleSystem.getInvestment(tower, CONFIG), 250);
+});
+
+test("outside the grace window towers sell for the refund rate", () => {
+    const tower = createTower();
+    TowerSaleSystem.markBuilt(tower, createState(), { duringBuildPhase: false });
+    TowerSaleSystem.addInvestment(tower, 45, CONFIG);
+
+    assert.equal(TowerSaleSystem.getSellValue(tower, createState()), 72);
+});
+
+test("build-phase placements refund in full until the grace time runs out", () => {
+    const tower = createTower();
+    TowerSaleSystem.markBuilt(tower, createState(), { duringBuildPhase: true });
+
+    assert.equal(TowerSaleSystem.getSellValue(tower, createState({ simulationTimeSeconds: 110 })), 100);
+    assert.equal(TowerSaleSystem.getSellValue(tower, createState({ simulationTimeSeconds: 110.5 })), 50);
+});
+
+test("the grace window closes when the next wave starts", () => {
+    const tower = createTower();
+    TowerSaleSystem.markBuilt(tower, createState(), { duringBuildPhase: true });
+
+    assert.equal(TowerSaleSystem.isInGraceWindow(tower, createState({ currentWaveNumber: 3 })), false);
+});
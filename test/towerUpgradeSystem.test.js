@@ -0,0 +1,174 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { TowerUpgradeSystem, validateUpgradeConfig } from "../src/systems/towerUpgradeSystem.js";
+import { GAME_CONFIG } from "../src/config/gameConfig.js";
+
+const CONFIG = {
+    towersByTypeKey: {
+        cannon: {
+            upgrades: {
+                damage: {
+                    levels: [
+                        { cost: 50, multiplier: { damagePerShot: 1.5, attackRangePixels: 2 } },
+                        { cost: 100, multiplier: { damagePerShot: 2 } },
+                    ],
+                },
+                quake: {
+                    levels: [
+                        { cost: 80, unlocksEffect: { projectileEffects: { aftershock: { enabled: true, delayMs: 600 } } } },
+                    ],
+                },
+                fire: {
+                    levels: [
+                        { cost: 60, unlocksEffect: { explosion: { flashAlpha: 0.2 }, burn: { enabled: true } } },
+                    ],
+                },
+            },
+        },
+    },
+};
+
+function createTower() {
+    return {
+        towerTypeKey: "cannon",
+        damagePerShot: 10,
+        attackRangePixels: 100,
+        projectileEffects: { explosion: { enabled: true, flashAlpha: 0.05, flashTtl: 90 } },
+    };
+}
+
+test("multipliers compound level by level and track upgradeState", () => {
+    const tower = createTower();
+
+    TowerUpgradeSystem.applyUpgrade(tower, "damage", CONFIG);
+    assert.equal(tower.damagePerShot, 15);
+    assert.equal(tower.attackRangePixels, 200);
+    assert.deepEqual(tower.upgradeState, { damage: 1 });
+
+    TowerUpgradeSystem.applyUpgrade(tower, "damage", CONFIG);
+    assert.equal(tower.damagePerShot, 30);
+    assert.equal(tower.attackRangePixels, 200);
+    assert.deepEqual(tower.upgradeState, { damage: 2 });
+});
+
+test("applying past the last level changes nothing", () => {
+    const tower = createTower();
+    TowerUpgradeSystem.applyUpgrade(tower, "damage", CONFIG);
+    TowerUpgradeSystem.applyUpgrade(tower, "damage", CONFIG);
+    TowerUpgradeSystem.applyUpgrade(tower, "damage", CONFIG);
+
+    assert.equal(tower.damagePerShot, 30);
+    assert.deepEqual(tower.upgradeState, { damage: 2 });
+});
+
+test("unlocked effects are added without dropping existing ones", () => {
+    const tower = createTower();
+
+    TowerUpgradeSystem.applyUpgrade(tower, "quake", CONFIG);
+
+    assert.deepEqual(tower.projectileEffects, {
+        explosion: { enabled: true, flashAlpha: 0.05, flashTtl: 90 },
+        aftershock: { enabled: true, delayMs: 600 },
+    });
+});
+
+test("unlocked effects merge into an existing effect of the same name", () => {
+    const tower = createTower();
+
+    TowerUpgradeSystem.applyUpgrade(tower, "fire", CONFIG);
+
+    assert.deepEqual(tower.projectileEffects.explosion, { enabled: true, flashAlpha: 0.2, flashTtl: 90 });
+    assert.deepEqual(tower.projectileEffects.burn, { enabled: true });
+});
+
+test("upgrading does not mutate the config's effect objects", () => {
+    const tower = createTower();
+    TowerUpgradeSystem.applyUpgrade(tower, "quake", CONFIG);
+    tower.projectileEffects.aftershock.delayMs = 1;
+
+    const level = CONFIG.towersByTypeKey.cannon.upgrades.quake.levels[0];
+    assert.equal(level.unlocksEffect.projectileEffects.aftershock.delayMs, 600);
+});
+
+test("canUpgrade and getNextUpgradeCost follow the current level and funds", () => {
+    const tower = createTower();
+
+    assert.equal(TowerUpgradeSystem.canUpgrade(tower, "damage", CONFIG, 49), false);
+    assert.equal(TowerUpgradeSystem.canUpgrade(tower, "damage", CONFIG, 50), true);
+    assert.equal(TowerUpgradeSystem.getNextUpgradeCost(tower, "damage", CONFIG), 50);
+
+    TowerUpgradeSystem.applyUpgrade(tower, "damage", CONFIG);
+    assert.equal(TowerUpgradeSystem.getNextUpgradeCost(tower, "damage", CONFIG), 100);
+
+    TowerUpgradeSystem.applyUpgrade(tower, "damage", CONFIG);
+    assert.equal(TowerUpgradeSystem.canUpgrade(tower, "damage", CONFIG, 1e9), false);
+    assert.equal(TowerUpgradeSystem.getNextUpgradeCost(tower, "damage", CONFIG), null);
+});
+
+const TREE_CONFIG = {
+    towersByTypeKey: {
+        quake: {
+            upgradeTierCaps: [{ aboveLevel: 1, maxCategories: 1 }],
+            upgrades: {
+                damage: { levels: [{ cost: 10 }, { cost: 10 }] },
+                range: { levels: [{ cost: 10 }, { cost: 10 }] },
+                shockwave: { displayName: "Groundbreaker", levels: [{ cost: 10, requires: { damage: 2 }, excludes: ["tremor"] }] },
+                tremor: { levels: [{ cost: 10, requires: { damage: 2 } }, { cost: 10 }] },
+            },
+        },
+    },
+};
+
+function createQuakeTower(upgradeState = {}) {
+    return { towerTypeKey: "quake", upgradeState };
+}
+
+test("levels with requires stay locked until the other category catches up", () => {
+    const tower = createQuakeTower({ damage: 1 });
+    const check = TowerUpgradeSystem.checkUpgrade(tower, "shockwave", TREE_CONFIG);
+
+    assert.equal(check.ok, false);
+    assert.equal(check.state, "locked");
+    assert.equal(TowerUpgradeSystem.canUpgrade(tower, "shockwave", TREE_CONFIG, 1e9), false);
+
+    tower.upgradeState.damage = 2;
+    assert.equal(TowerUpgradeSystem.canUpgrade(tower, "shockwave", TREE_CONFIG, 1e9), true);
+});
+
+test("picking a branch locks the one it excludes, whichever side declares it", () => {
+    const afterShockwave = createQuakeTower({ damage: 2, shockwave: 1 });
+    const lockedTremor = TowerUpgradeSystem.checkUpgrade(afterShockwave, "tremor", TREE_CONFIG);
+    assert.equal(lockedTremor.state, "excluded");
+    assert.equal(lockedTremor.reason, "Locked by Groundbreaker.");
+
+    const afterTremor = createQuakeTower({ damage: 2, tremor: 1 });
+    assert.equal(TowerUpgradeSystem.checkUpgrade(afterTremor, "shockwave", TREE_CONFIG).state, "excluded");
+});
+
+test("tier caps limit how many categories go past a level", () => {
+    const tower = createQuakeTower({ damage: 2, range: 1 });
+    const check = TowerUpgradeSystem.checkUpgrade(tower, "range", TREE_CONFIG);
+
+    assert.equal(check.state, "locked");
+    assert.match(check.reason, /Only one upgrade path may go past Lv 1/);
+    // Categories still at or below the cap are unaffected
+    assert.equal(TowerUpgradeSystem.checkUpgrade(createQuakeTower({ damage: 2 }), "range", TREE_CONFIG).ok, true);
+});
+
+test("getUpgradeTree nests branches under the category they require", () => {
+    const tree = TowerUpgradeSystem.getUpgradeTree(TREE_CONFIG.towersByTypeKey.quake);
+
+    assert.deepEqual(tree, [
+        { key: "damage", depth: 0, parentKey: null },
+        { key: "shockwave", depth: 1, parentKey: "damage" },
+        { key: "tremor", depth: 1, parentKey: "damage" },
+        { key: "range", depth: 0, parentKey: null },
+    ]);
+});
+
+test("every shipped upgrade tree validates", () => {
+    for (const [towerTypeKey, towerCfg] of Object.entries(GAME_CONFIG.towersByTypeKey)) {
+        assert.deepEqual(validateUpgradeConfig(towerCfg), [], towerTypeKey);
+    }
+});
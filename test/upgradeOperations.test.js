@@ -0,0 +1,102 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+    applyOperation,
+    getLevelOperations,
+    previewOperations,
+    validateOperation,
+} from "../src/systems/upgradeOperations.js";
+
+function createTower() {
+    const sharedSplash = { radiusPixels: 80 };
+    return {
+        damagePerShot: 10,
+        damageType: "physical",
+        splash: sharedSplash,
+        projectileEffects: { chain: { enabled: true, maxJumps: 3, jumpRadius: 120 } },
+    };
+}
+
+test("add, multiply and set work on dotted paths", () => {
+    const tower = createTower();
+
+    applyOperation(tower, { op: "add", path: "projectileEffects.chain.maxJumps", value: 2 });
+    applyOperation(tower, { op: "multiply", path: "splash.radiusPixels", value: 1.5 });
+    applyOperation(tower, { op: "set", path: "damageType", value: "fire" });
+
+    assert.equal(tower.projectileEffects.chain.maxJumps, 5);
+    assert.equal(tower.splash.radiusPixels, 120);
+    assert.equal(tower.damageType, "fire");
+});
+
+test("writes copy the objects along the path instead of mutating shared ones", () => {
+    const tower = createTower();
+    const originalSplash = tower.splash;
+
+    applyOperation(tower, { op: "add", path: "splash.radiusPixels", value: 20 });
+
+    assert.equal(originalSplash.radiusPixels, 80);
+    assert.equal(tower.splash.radiusPixels, 100);
+});
+
+test("add creates missing values; multiply leaves them missing", () => {
+    const tower = createTower();
+
+    applyOperation(tower, { op: "add", path: "aoe.radiusPixels", value: 30 });
+    applyOperation(tower, { op: "multiply", path: "projectileEffects.burn.damagePerSecond", value: 2 });
+
+    assert.deepEqual(tower.aoe, { radiusPixels: 30 });
+    assert.equal(tower.projectileEffects.burn, undefined);
+});
+
+test("merge deep-merges objects and keeps existing fields", () => {
+    const tower = createTower();
+
+    applyOperation(tower, { op: "merge", path: "projectileEffects", value: { chain: { maxJumps: 4 }, burn: { enabled: true } } });
+
+    assert.deepEqual(tower.projectileEffects, {
+        chain: { enabled: true, maxJumps: 4, jumpRadius: 120 },
+        burn: { enabled: true },
+    });
+});
+
+test("malformed or mistyped operations are refused", () => {
+    assert.equal(validateOperation({ op: "divide", path: "damagePerShot", value: 2 }).ok, false);
+    assert.equal(validateOperation({ op: "add", path: "damagePerShot..x", value: 2 }).ok, false);
+    assert.equal(validateOperation({ op: "add", path: "damagePerShot", value: "2" }).ok, false);
+    assert.equal(validateOperation({ op: "merge", path: "splash", value: 3 }).ok, false);
+
+    const tower = createTower();
+    assert.equal(applyOperation(tower, { op: "add", path: "damageType", value: 1 }).ok, false);
+    assert.equal(tower.damageType, "physical");
+});
+
+test("multiplier and unlocksEffect shorthands come before explicit ops", () => {
+    const operations = getLevelOperations({
+        multiplier: { damagePerShot: 1.5 },
+        unlocksEffect: { projectileEffects: { burn: { enabled: true } } },
+        ops: [{ op: "set", path: "damageType", value: "fire" }],
+    });
+
+    assert.deepEqual(operations, [
+        { op: "multiply", path: "damagePerShot", value: 1.5 },
+        { op: "merge", path: "projectileEffects.burn", value: { enabled: true } },
+        { op: "set", path: "damageType", value: "fire" },
+    ]);
+});
+
+test("previewOperations reports changed leaves and leaves the tower untouched", () => {
+    const tower = createTower();
+    const preview = previewOperations(tower, [
+        { op: "add", path: "damagePerShot", value: 5 },
+        { op: "multiply", path: "damagePerShot", value: 2 },
+        { op: "merge", path: "projectileEffects.chain", value: { enabled: true, jumpRadius: 150 } },
+    ]);
+
+    assert.deepEqual(preview, [
+        { path: "damagePerShot", before: 10, after: 30 },
+        { path: "projectileEffects.chain.jumpRadius", before: 120, after: 150 },
+    ]);
+    assert.deepEqual(tower, createTower());
+});
@@ -0,0 +1,29 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { summarizeUpgradeChanges } from "../src/ui/upgradePreview.js";
+
+test("stat changes get labels, formatted values and signed deltas", () => {
+    const rows = summarizeUpgradeChanges([
+        { path: "damagePerShot", before: 28, after: 36.4 },
+        { path: "attackRangePixels", before: 160, after: 144 },
+        { path: "damageType", before: "physical", after: "fire" },
+    ]);
+
+    assert.deepEqual(rows, [
+        { label: "Damage / Shot", before: "28", after: "36.4", delta: "+8.4" },
+        { label: "Range (px)", before: "160", after: "144", delta: "-16" },
+        { label: "Damage Type", before: "physical", after: "fire", delta: "" },
+    ]);
+});
+
+test("a brand-new effect collapses into one unlock row", () => {
+    const rows = summarizeUpgradeChanges([
+        { path: "projectileEffects.burn.enabled", before: undefined, after: true },
+        { path: "projectileEffects.burn.damagePerSecond", before: undefined, after: 8 },
+        { path: "projectileEffects.chain.maxJumps", before: 3, after: 4 },
+    ]);
+
+    assert.deepEqual(rows.map(r => r.label), ["Unlocks burn", "chain.maxJumps"]);
+    assert.equal(rows[1].delta, "+1");
+});
@@ -0,0 +1,116 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { WaveSpawnerSystem } from "../src/systems/waveSpawnerSystem.js";
+
+const STAT_FACTORIES = {
+    grunt: (waveNumber) => ({ enemyTypeKey: "grunt", waveNumber }),
+    runner: (waveNumber) => ({ enemyTypeKey: "runner", waveNumber }),
+};
+
+function createPlan(entries, bonusReward = 0) {
+    return {
+        makeWaveEntries: () => entries,
+        getBonusReward: () => bonusReward,
+    };
+}
+
+function createState() {
+    return {
+        money: 0,
+        currentWaveNumber: 0,
+        enemies: [],
+        gridMap: { getWalkablePaths: () => [{ name: "main" }, { name: "south" }] },
+        factories: {
+            createEnemy: (statBlock, pathName) => ({ ...statBlock, pathName }),
+        },
+    };
+}
+
+test("enemies spawn at their scheduled times, interleaved across groups", () => {
+    const spawner = new WaveSpawnerSystem(createPlan([
+        { enemyTypeKey: "grunt", count: 3, spawnIntervalSeconds: 1 },
+        { enemyTypeKey: "runner", count: 1, spawnIntervalSeconds: 0, startDelaySeconds: 1.5 },
+    ]), STAT_FACTORIES);
+    const state = createState();
+
+    spawner.startWave(state);
+    assert.equal(state.currentWaveNumber, 1);
+
+    spawner.tick(state, 0);
+    assert.deepEqual(state.enemies.map(e => e.enemyTypeKey), ["grunt"]);
+
+    spawner.tick(state, 0.99);
+    assert.equal(state.enemies.length, 1);
+
+    spawner.tick(state, 0.01);
+    assert.equal(state.enemies.length, 2);
+
+    spawner.tick(state, 1);
+    assert.deepEqual(state.enemies.map(e => e.enemyTypeKey), ["grunt", "grunt", "runner", "grunt"]);
+    assert.ok(state.enemies.every(e => e.waveNumber === 1));
+});
+
+test("entries without a pathName alternate between walkable paths", () => {
+    const spawner = new WaveSpawnerSystem(createPlan([
+        { enemyTypeKey: "grunt", count: 3, spawnIntervalSeconds: 0 },
+    ]), STAT_FACTORIES);
+    const state = createState();
+
+    spawner.startWave(state);
+    spawner.tick(state, 0);
+
+    assert.deepEqual(state.enemies.map(e => e.pathName), ["main", "south", "main"]);
+});
+
+test("unknown enemy types are skipped with a warning", (t) => {
+    const warn = t.mock.method(console, "warn", () => { });
+    const spawner = new WaveSpawnerSystem(createPlan([
+        { enemyTypeKey: "ghost", count: 2, spawnIntervalSeconds: 0 },
+        { enemyTypeKey: "grunt", count: 1, spawnIntervalSeconds: 0 },
+    ]), STAT_FACTORIES);
+
+    spawner.startWave(createState());
+
+    assert.equal(spawner.spawnPlan.length, 1);
+    assert.equal(warn.mock.callCount(), 1);
+});
+
+test("the wave completes once everything spawned is gone, paying the clear reward", () => {
+    const completed = [];
+    const spawner = new WaveSpawnerSystem(
+        createPlan([{ enemyTypeKey: "grunt", count: 2, spawnIntervalSeconds: 1 }], 25),
+        STAT_FACTORIES,
+        (waveNumber, gameState) => completed.push({ waveNumber, money: gameState.money })
+    );
+    const state = createState();
+
+    spawner.startWave(state);
+    spawner.tick(state, 0);
+    state.enemies.length = 0;
+    spawner.tick(state, 0.5);
+    assert.equal(spawner.isActive, true, "still has enemies left to spawn");
+
+    spawner.tick(state, 0.5);
+    assert.equal(state.enemies.length, 1);
+    spawner.tick(state, 0.1);
+    assert.equal(spawner.isActive, true, "enemy still alive");
+
+    state.enemies.length = 0;
+    spawner.tick(state, 0.1);
+
+    assert.equal(spawner.isActive, false);
+    assert.deepEqual(completed, [{ waveNumber: 1, money: 35 }]);
+});
+
+test("startWave is ignored while a wave is running", () => {
+    const spawner = new WaveSpawnerSystem(createPlan([
+        { enemyTypeKey: "grunt", count: 1, spawnIntervalSeconds: 0 },
+    ]), STAT_FACTORIES);
+    const state = createState();
+
+    spawner.startWave(state);
+    spawner.startWave(state);
+
+    assert.equal(state.currentWaveNumber, 1);
+});
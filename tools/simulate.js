@@ -0,0 +1,88 @@
+// ===========================================
+// File: tools/simulate.js
+// ===========================================
+/*
+ Headless balance runner.
+
+   node tools/simulate.js --waves 20 --seed 42 --layout tools/layouts/starter.json
+   node tools/simulate.js --procedural --json > run.json
+
+ Options are listed in USAGE below (or run with --help).
+*/
+
+import { readFileSync } from "node:fs";
+import { parseArgs } from "node:util";
+
+import { EnemyStatFactories } from "../src/config/gameConfig.js";
+import { validateWaveScript } from "../src/config/waveScript.js";
+import { runHeadlessSimulation, formatSimulationReport } from "../src/core/headlessSimulation.js";
+
+const USAGE = `Usage: node tools/simulate.js [options]
+
+  --waves <n>      waves to simulate (default 10)
+  --seed <value>   RNG seed (default 1)
+  --layout <file>  JSON array of tower placements
+  --script <file>  wave script (default src/config/waves.json)
+  --procedural     ignore the wave script and use WavePlanFactory only
+  --json           print the raw result instead of the table
+  -h, --help       print this usage`;
+
+let values;
+try {
+    ({ values } = parseArgs({
+        options: {
+            waves: { type: "string", default: "10" },
+            seed: { type: "string", default: "1" },
+            layout: { type: "string" },
+            script: { type: "string", default: new URL("../src/config/waves.json", import.meta.url).pathname },
+            procedural: { type: "boolean", default: false },
+            json: { type: "boolean", default: false },
+            help: { type: "boolean", short: "h", default: false },
+        },
+    }));
+} catch (err) {
+    // Unknown flags and missing values: say what was wrong, not a stack trace
+    console.error(`${err.message}\n\n${USAGE}`);
+    process.exit(2);
+}
+
+if (values.help) {
+    console.log(USAGE);
+    process.exit(0);
+}
+
+function readJSON(path, label) {
+    try {
+        return JSON.parse(readFileSync(path, "utf8"));
+    } catch (err) {
+        console.error(`Could not read ${label} "${path}": ${err.message}`);
+        process.exit(1);
+    }
+}
+
+const waveScript = values.procedural ? null : readJSON(values.script, "wave script");
+if (waveScript) {
+    const problems = validateWaveScript(waveScript, EnemyStatFactories);
+    if (problems.length) {
+        console.error(`Wave script has ${problems.length} problem(s):\n- ${problems.join("\n- ")}`);
+        process.exit(1);
+    }
+}
+
+const layout = values.layout ? readJSON(values.layout, "layout") : [];
+if (!Array.isArray(layout)) {
+    console.error("Layout must be a JSON array of { towerTypeKey, gridX, gridY, atWave?, upgrades? }.");
+    process.exit(1);
+}
+
+// Numeric seeds stay numbers so they match ?seed= in the browser
+const seed = Number.isFinite(Number(values.seed)) ? Number(values.seed) : values.seed;
+
+const result = runHeadlessSimulation({
+    waves: Math.max(1, Math.floor(Number(values.waves) || 10)),
+    seed,
+    layout,
+    waveScript,
+});
+
+console.log(values.json ? JSON.stringify(result, null, 2) : formatSimulationReport(result));